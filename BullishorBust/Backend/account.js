@@ -1,17 +1,59 @@
 // account.js
 const express = require('express');
-const { getAccountInfo } = require('./trade');
+const { getAccount, getPortfolioHistory, sendAlpacaError } = require('./trade');
+const logger = require('./logger');
 const router = express.Router();
 
+// Equity curve ranges and the Alpaca portfolio history params for each.
+// 'all' starts at the account's creation.
+const HISTORY_RANGES = {
+  '1D': { period: '1D', timeframe: '15Min' },
+  '1W': { period: '1W', timeframe: '1H' },
+  '1M': { period: '1M', timeframe: '1D' },
+  all: { timeframe: '1D' },
+};
+
+// Equity points { time (epoch ms), equity, profitLoss } for a range,
+// skipping the gaps Alpaca reports as null
+async function getEquityCurve(range) {
+  const params = { ...HISTORY_RANGES[range] };
+  if (range === 'all') params.start = (await getAccount()).created_at;
+  const history = await getPortfolioHistory(params);
+  const points = (history.timestamp || [])
+    .map((t, i) => ({
+      time: t * 1000,
+      equity: history.equity[i],
+      profitLoss: history.profit_loss?.[i] ?? null,
+    }))
+    .filter((p) => p.equity != null);
+  return { range, timeframe: history.timeframe, baseValue: history.base_value, points };
+}
+
 router.get('/account', async (req, res) => {
   try {
-    const account = await getAccountInfo();
+    const account = await getAccount();
     res.json(account);
   } catch (err) {
-    console.error('Account route error:', err.message);
-    res.status(500).json({ error: err.message });
+    logger.error('account_failed', { error: err.message });
+    sendAlpacaError(res, err);
   }
 });
 
-module.exports = { router };
+// GET /account/history?range=1D|1W|1M|all
+router.get('/account/history', async (req, res) => {
+  const range = req.query.range || '1D';
+  if (!Object.hasOwn(HISTORY_RANGES, range)) {
+    return res.status(400).json({
+      error: 'Invalid query',
+      details: [`range must be one of ${Object.keys(HISTORY_RANGES).join(', ')}`],
+    });
+  }
+  try {
+    res.json(await getEquityCurve(range));
+  } catch (err) {
+    logger.error('account_history_failed', { range, error: err.message });
+    sendAlpacaError(res, err);
+  }
+});
 
+module.exports = { router, getEquityCurve };
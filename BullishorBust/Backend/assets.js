@@ -0,0 +1,284 @@
+// assets.js
+// The crypto pairs the backend knows and the watchlists that pick which of
+// them are scanned. Pairs come from the broker's asset list (GET
+// /v2/assets), synced at startup and every ASSET_SYNC_INTERVAL_MS, with
+// each pair's tradable status and order increments (minimum order size,
+// quantity increment, price increment). Only pairs quoted in USD are kept:
+// the account trades in dollars.
+//
+// Stablecoins are listed but start disabled; buying one is just parking
+// cash. Any asset's `enabled` flag can be switched with PATCH
+// /api/assets/:symbol and survives resyncs. New positions are only opened
+// in assets that are tradable at the broker and enabled (canTrade).
+//
+// Watchlists are named symbol lists in the durable store. The app shows
+// one at a time and the scheduler scans every symbol on any of them; until
+// one is saved the built-in 'default' list holds every known pair. Before
+// the first sync the seed list in tokens.js stands in for the broker's.
+const express = require('express');
+const router = express.Router();
+const { ALPACA_TOKENS } = require('./tokens');
+const { getStore } = require('./store');
+const { logTradeAction } = require('./tradeLog');
+const logger = require('./logger');
+const {
+  validateSymbol,
+  validateWatchlistName,
+  validateWatchlistSymbols,
+} = require('./validate');
+
+const ASSET_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const QUOTE = 'USD';
+const STABLECOINS = ['USDC', 'USDT', 'USDG', 'DAI', 'PYUSD', 'TUSD', 'USDP', 'FDUSD'];
+const DEFAULT_WATCHLIST = 'default';
+
+// Outcome of the last sync, for GET /assets
+const syncState = { syncedAt: null, lastError: null };
+let timer = null;
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Our record for a broker asset ('BTC/USD'). The enabled flag is kept from
+// the previous record so a resync never overrides the user's choice. `cc`
+// is the pair's CryptoCompare symbol from tokens.js, else its base.
+function assetRecord(raw, previous) {
+  const [base, quote] = raw.symbol.split('/');
+  const stablecoin = STABLECOINS.includes(base);
+  const token = ALPACA_TOKENS.find((t) => t.name === raw.symbol);
+  return {
+    symbol: `${base}${quote}`,
+    name: raw.symbol,
+    base,
+    quote,
+    cc: token?.cc || base,
+    status: raw.status,
+    tradable: raw.status === 'active' && raw.tradable === true,
+    stablecoin,
+    enabled: previous ? previous.enabled : !stablecoin,
+    minOrderSize: toNumber(raw.min_order_size),
+    minTradeIncrement: toNumber(raw.min_trade_increment),
+    priceIncrement: toNumber(raw.price_increment),
+  };
+}
+
+// The seed list as asset records, used until the broker has been asked.
+// Increments are unknown (null) and every pair is assumed tradable.
+function seedAssets() {
+  return ALPACA_TOKENS.map((t) =>
+    assetRecord({ symbol: t.name, status: 'active', tradable: true }, null)
+  );
+}
+
+// Every known asset, sorted by symbol
+function getAssets() {
+  const synced = Object.values(getStore().all('assets'));
+  const assets = synced.length ? synced : seedAssets();
+  return assets.sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+// One asset by pair symbol (BTCUSD or BTC/USD), or null
+function getAsset(symbol) {
+  const key = String(symbol || '').replace('/', '').toUpperCase();
+  return getAssets().find((a) => a.symbol === key) || null;
+}
+
+// Whether new positions may be opened in an asset
+function canTrade(asset) {
+  return Boolean(asset && asset.tradable && asset.enabled);
+}
+
+// Why an asset can't be bought, for error messages
+function untradableReason(asset) {
+  if (!asset.tradable) return `${asset.symbol} is not tradable at the broker`;
+  if (asset.stablecoin) return `${asset.symbol} is a stablecoin and is disabled`;
+  return `${asset.symbol} is disabled`;
+}
+
+// Pull the crypto asset list from the broker into the store. Pairs the
+// broker stopped listing are kept (positions and history refer to them) but
+// marked inactive and untradable. Only changed records are written.
+async function syncAssets() {
+  // Required here: trade.js checks orders against this module's assets
+  const { listAssets } = require('./trade');
+  const store = getStore();
+  try {
+    const listed = (await listAssets({ asset_class: 'crypto' })).filter((a) =>
+      String(a.symbol).endsWith(`/${QUOTE}`)
+    );
+    const seen = new Set();
+    listed.forEach((raw) => {
+      const symbol = raw.symbol.replace('/', '');
+      const previous = store.get('assets', symbol);
+      const record = assetRecord(raw, previous);
+      seen.add(symbol);
+      if (JSON.stringify(record) !== JSON.stringify(previous)) {
+        store.set('assets', symbol, record);
+      }
+    });
+    Object.values(store.all('assets'))
+      .filter((a) => !seen.has(a.symbol) && (a.tradable || a.status !== 'inactive'))
+      .forEach((a) => store.set('assets', a.symbol, { ...a, status: 'inactive', tradable: false }));
+    syncState.syncedAt = new Date().toISOString();
+    syncState.lastError = null;
+    return getAssets();
+  } catch (err) {
+    syncState.lastError = err?.response?.data?.message || err.message;
+    throw err;
+  }
+}
+
+function setAssetEnabled(symbol, enabled) {
+  const record = { ...getStore().get('assets', symbol), enabled };
+  getStore().set('assets', symbol, record);
+  logTradeAction('asset_updated', symbol, { enabled });
+  return record;
+}
+
+// Saved watchlists by name, or the built-in default when none is saved
+function getWatchlists() {
+  const saved = Object.values(getStore().all('watchlists'));
+  if (saved.length) return saved.sort((a, b) => a.name.localeCompare(b.name));
+  return [
+    {
+      name: DEFAULT_WATCHLIST,
+      symbols: getAssets().map((a) => a.symbol),
+      builtIn: true,
+    },
+  ];
+}
+
+function getWatchlist(name) {
+  return getWatchlists().find((w) => w.name === name) || null;
+}
+
+// Create or replace a watchlist. Symbols are kept in the given order.
+function saveWatchlist(name, symbols) {
+  const previous = getStore().get('watchlists', name);
+  const now = new Date().toISOString();
+  const watchlist = {
+    name,
+    symbols: [...new Set(symbols)],
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+  };
+  getStore().set('watchlists', name, watchlist);
+  logTradeAction('watchlist_saved', null, { name, symbols: watchlist.symbols });
+  return watchlist;
+}
+
+function deleteWatchlist(name) {
+  const removed = getStore().remove('watchlists', name);
+  if (removed) logTradeAction('watchlist_deleted', null, { name });
+  return removed;
+}
+
+// Assets on one watchlist, or on any of them when no name is given, in
+// list order. Symbols the broker no longer lists are dropped.
+function getUniverse(name) {
+  const lists = name ? [getWatchlist(name)].filter(Boolean) : getWatchlists();
+  const symbols = [...new Set(lists.flatMap((w) => w.symbols))];
+  return symbols.map(getAsset).filter(Boolean);
+}
+
+// Sync now and then every ASSET_SYNC_INTERVAL_MS. A failed sync keeps the
+// last known list and is retried on the next tick.
+function start() {
+  if (timer) return;
+  const sync = () =>
+    syncAssets().catch((err) => logger.error('asset_sync_failed', { error: err.message }));
+  sync();
+  timer = setInterval(sync, ASSET_SYNC_INTERVAL_MS);
+  timer.unref?.();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Express routes
+// GET /assets?tradable=true
+router.get('/assets', (req, res) => {
+  const assets = getAssets().filter((a) => req.query.tradable !== 'true' || canTrade(a));
+  res.json({ ...syncState, assets });
+});
+
+router.post('/assets/sync', async (req, res) => {
+  const { sendAlpacaError } = require('./trade');
+  try {
+    const assets = await syncAssets();
+    res.json({ ...syncState, assets });
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Enable or disable trading an asset: { enabled: true | false }
+router.patch('/assets/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  if (typeof req.body?.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid asset update', details: errors });
+  }
+  const asset = getAsset(req.params.symbol);
+  if (!asset) return res.status(404).json({ error: `No asset ${req.params.symbol}` });
+  // Seed records are not stored; flags only stick to synced assets
+  if (!getStore().get('assets', asset.symbol)) {
+    return res.status(409).json({ error: 'Assets have not been synced from the broker yet' });
+  }
+  res.json(setAssetEnabled(asset.symbol, req.body.enabled));
+});
+
+router.get('/watchlists', (req, res) => {
+  res.json(getWatchlists());
+});
+
+router.get('/watchlists/:name', (req, res) => {
+  const watchlist = getWatchlist(req.params.name);
+  if (!watchlist) return res.status(404).json({ error: `No watchlist ${req.params.name}` });
+  res.json(watchlist);
+});
+
+// Create or replace a watchlist: { symbols: ['BTCUSD', 'ETH/USD', ...] }
+router.put('/watchlists/:name', (req, res) => {
+  const { symbols } = req.body || {};
+  const normalized = Array.isArray(symbols)
+    ? symbols.map((s) => (typeof s === 'string' ? s.replace('/', '').toUpperCase() : s))
+    : symbols;
+  const errors = [
+    ...validateWatchlistName(req.params.name),
+    ...validateWatchlistSymbols(normalized, getAssets().map((a) => a.symbol)),
+  ];
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid watchlist', details: errors });
+  }
+  const created = !getStore().get('watchlists', req.params.name);
+  res.status(created ? 201 : 200).json(saveWatchlist(req.params.name, normalized));
+});
+
+router.delete('/watchlists/:name', (req, res) => {
+  if (!deleteWatchlist(req.params.name)) {
+    return res.status(404).json({ error: `No watchlist ${req.params.name}` });
+  }
+  res.status(204).end();
+});
+
+module.exports = {
+  router,
+  start,
+  stop,
+  syncAssets,
+  getAssets,
+  getAsset,
+  canTrade,
+  untradableReason,
+  getWatchlists,
+  getWatchlist,
+  saveWatchlist,
+  deleteWatchlist,
+  getUniverse,
+  STABLECOINS,
+};
@@ -0,0 +1,206 @@
+// auth.js
+// API token authentication for every /api route. The backend is the only
+// holder of the Alpaca credentials; clients get their own revocable tokens
+// with scopes instead:
+//
+//   read  - GET routes (account, positions, orders, status, state, risk)
+//   trade - routes that place, change or cancel orders and start/stop the
+//           scheduler
+//   admin - token management, trade state edits, config changes and
+//           resetting the kill switch; implies every other scope
+//
+// Tokens look like borb_<id>_<secret>. Only a SHA-256 hash of the secret is
+// stored (in the trade state store), so a leaked state file cannot be
+// replayed. Clients send `Authorization: Bearer <token>`.
+//
+// Issue the first admin token from the command line:
+//   npm run token -- issue --name admin --scopes admin
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('./store');
+
+const SCOPES = ['read', 'trade', 'admin'];
+const TOKEN_RE = /^borb_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+// Routes that need more than their method's default scope. Checked in
+// order against the lower-cased path, since Express routes ignore case and
+// a trailing slash; the first match wins.
+const ROUTE_SCOPES = [
+  { methods: ['GET', 'POST', 'DELETE'], pattern: /^\/auth\//, scope: 'admin' },
+  { methods: ['PUT', 'DELETE'], pattern: /^\/state\//, scope: 'admin' },
+  { methods: ['DELETE'], pattern: /^\/risk\/kill-switch\/?$/, scope: 'admin' },
+  { methods: ['PUT', 'POST'], pattern: /^\/config/, scope: 'admin' },
+];
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Scope a request needs: GET/HEAD need read, anything else trade, unless
+// ROUTE_SCOPES says otherwise
+function requiredScope(method, path) {
+  const route = path.toLowerCase();
+  const rule = ROUTE_SCOPES.find((r) => r.methods.includes(method) && r.pattern.test(route));
+  if (rule) return rule.scope;
+  return method === 'GET' || method === 'HEAD' ? 'read' : 'trade';
+}
+
+function hasScope(scopes, scope) {
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+// Create a token. The plain token is only ever returned here.
+function issueToken(name, scopes) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    name,
+    scopes,
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  getStore().set('apiTokens', id, record);
+  return { token: `borb_${id}_${secret}`, ...publicToken(record) };
+}
+
+function revokeToken(id) {
+  const record = getStore().get('apiTokens', id);
+  if (!record || record.revokedAt) return null;
+  return publicToken(
+    getStore().set('apiTokens', id, { ...record, revokedAt: new Date().toISOString() })
+  );
+}
+
+function publicToken({ hash, ...rest }) {
+  return rest;
+}
+
+function listTokens() {
+  return Object.values(getStore().all('apiTokens')).map(publicToken);
+}
+
+// Resolve a bearer token to its record, or null
+function verifyToken(token) {
+  const match = TOKEN_RE.exec(token || '');
+  if (!match) return null;
+  const record = getStore().get('apiTokens', match[1]);
+  if (!record || record.revokedAt) return null;
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? record : null;
+}
+
+// Express middleware: 401 without a valid token, 403 without the scope
+function authenticate(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const record = verifyToken(token);
+  if (!record) {
+    return res.status(401).json({ error: 'Missing or invalid API token' });
+  }
+  const scope = requiredScope(req.method, req.path);
+  if (!hasScope(record.scopes, scope)) {
+    return res.status(403).json({
+      error: `Token lacks the ${scope} scope`,
+      required: scope,
+      scopes: record.scopes,
+    });
+  }
+  // Record usage at most once a minute to keep the journal small
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > 60000) {
+    getStore().set('apiTokens', record.id, { ...record, lastUsedAt: new Date(now).toISOString() });
+  }
+  req.token = publicToken(record);
+  next();
+}
+
+function validateTokenRequest(body = {}) {
+  const errors = [];
+  const { name, scopes } = body;
+  if (typeof name !== 'string' || name.length < 1 || name.length > 64) {
+    errors.push('name must be a string of 1 to 64 characters');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push(`scopes must be a non-empty list of ${SCOPES.join(', ')}`);
+  } else {
+    scopes
+      .filter((s) => !SCOPES.includes(s))
+      .forEach((s) => errors.push(`unknown scope ${s}`));
+  }
+  return errors;
+}
+
+// Express routes (admin scope)
+router.get('/auth/tokens', (req, res) => {
+  res.json(listTokens());
+});
+
+router.post('/auth/tokens', (req, res) => {
+  const errors = validateTokenRequest(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid token request', details: errors });
+  }
+  res.status(201).json(issueToken(req.body.name, req.body.scopes));
+});
+
+router.delete('/auth/tokens/:id', (req, res) => {
+  const revoked = revokeToken(req.params.id);
+  if (!revoked) {
+    return res.status(404).json({ error: `No active token ${req.params.id}` });
+  }
+  res.json(revoked);
+});
+
+// CLI: node auth.js issue --name NAME --scopes read,trade
+//      node auth.js list
+//      node auth.js revoke ID
+function main(argv) {
+  const [command, ...rest] = argv;
+  const flag = (name) => {
+    const i = rest.indexOf(`--${name}`);
+    return i >= 0 ? rest[i + 1] : undefined;
+  };
+  if (command === 'issue') {
+    const body = { name: flag('name'), scopes: (flag('scopes') || '').split(',').filter(Boolean) };
+    const errors = validateTokenRequest(body);
+    if (errors.length) throw new Error(errors.join('; '));
+    const issued = issueToken(body.name, body.scopes);
+    console.log(`Token for ${issued.name} (${issued.scopes.join(', ')}):`);
+    console.log(issued.token);
+    console.log('Store it now; it cannot be shown again.');
+  } else if (command === 'list') {
+    console.table(listTokens());
+  } else if (command === 'revoke') {
+    if (!revokeToken(rest[0])) throw new Error(`No active token ${rest[0]}`);
+    console.log(`Revoked ${rest[0]}`);
+  } else {
+    throw new Error('Usage: node auth.js issue --name NAME --scopes read,trade | list | revoke ID');
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config({ path: __dirname + '/.env' });
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.error('Token command failed:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  router,
+  SCOPES,
+  authenticate,
+  hasScope,
+  requiredScope,
+  issueToken,
+  revokeToken,
+  listTokens,
+  verifyToken,
+};
@@ -0,0 +1,360 @@
+// backtest.js
+// Offline backtester. Replays historical OHLCV bars from local JSON or CSV
+// files through the same entry, exit and sizing rules the scheduler uses
+// (strategy.js) and reports P&L, win rate, max drawdown, exposure and a
+// per-trade ledger.
+//
+// Usage:
+//   node backtest.js data/BTCUSD.csv [data/ETHUSD.json ...]
+//     [--cash 10000] [--fee 0.0025] [--cooldown-ms 1800000] [--no-stop]
+//     [--trailing percent|atr|off] [--strategies reversion,momentum] [--json]
+//
+// CSV files need a header row with time,open,high,low,close[,volume].
+// JSON files may hold an array of bars, { bars: [...] } or a raw
+// CryptoCompare histominute response. Times may be unix seconds, unix
+// milliseconds or ISO strings. The symbol is taken from the file name.
+const fs = require('fs');
+const path = require('path');
+const { last, rsi, atr } = require('../Shared/indicators');
+const { DEFAULT_ASSIGNMENTS, getStrategy } = require('../Shared/strategies');
+const { getConfig } = require('./config');
+const { roundPrice } = require('./orderRules');
+const {
+  analyzeToken,
+  retrySignalValid,
+  exitSignal,
+  protectiveStop,
+  sizeEntry,
+  limitBuyPrice,
+} = require('./strategy');
+
+// Matches the 52-bar (plus current) history the scheduler fetches
+const DEFAULT_LOOKBACK = 53;
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isNaN(n)) return n < 1e12 ? n * 1000 : n;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+function normalizeBar(raw) {
+  return {
+    time: parseTime(raw.time ?? raw.timestamp ?? raw.t),
+    open: Number(raw.open ?? raw.o),
+    high: Number(raw.high ?? raw.h),
+    low: Number(raw.low ?? raw.l),
+    close: Number(raw.close ?? raw.c),
+    volume: Number(raw.volume ?? raw.volumefrom ?? raw.v ?? 0),
+  };
+}
+
+function isValidBar(bar) {
+  return (
+    bar.time != null &&
+    [bar.open, bar.high, bar.low, bar.close].every((v) => Number.isFinite(v) && v > 0)
+  );
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',');
+    const row = {};
+    header.forEach((key, i) => {
+      row[key] = cells[i] !== undefined ? cells[i].trim() : undefined;
+    });
+    return row;
+  });
+}
+
+// Load, normalise and time-sort the bars in a JSON or CSV file
+function loadBars(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let rows;
+  if (path.extname(file).toLowerCase() === '.csv') {
+    rows = parseCsv(text);
+  } else {
+    const data = JSON.parse(text);
+    rows = Array.isArray(data) ? data : data.bars || data?.Data?.Data;
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(`No bars found in ${file}`);
+  }
+  const bars = rows.map(normalizeBar);
+  const invalid = bars.findIndex((bar) => !isValidBar(bar));
+  if (invalid >= 0) {
+    throw new Error(`Invalid bar at row ${invalid + 1} in ${file}`);
+  }
+  return bars.sort((a, b) => a.time - b.time);
+}
+
+// Replay `bars` for one symbol. Entries are limit buys placed at the bar
+// close and filled on the next bar if its low reaches the limit; otherwise
+// the scheduler's retry rule decides between a market buy at that bar's
+// close and cancelling. Exits are checked at every bar: the resting stop
+// first (filled at the stop, or the open on a gap down), then the stale
+// position rule and the take-profit target at the close. The stop then
+// trails the closes the way the live exit manager ratchets it, using the
+// `protection` settings (protectionDefaults() unless overridden).
+// `strategies` is the ordered { name, params } list the symbol runs, as in
+// PUT /api/strategies/:symbol. Fees, cooldown, limit buffer and minimum
+// order size default to the live config (config.js).
+function runBacktest(bars, options = {}) {
+  const config = getConfig();
+  const {
+    symbol = 'UNKNOWN',
+    initialCash = 10000,
+    feeRate = config.FEE_BUFFER,
+    cooldownMs = config.COOL_DOWN_MS,
+    lookback = DEFAULT_LOOKBACK,
+    restingStop = true,
+    protection = {},
+    strategies = DEFAULT_ASSIGNMENTS,
+  } = options;
+
+  const paramsFor = (name) => strategies.find((a) => a.name === name)?.params;
+
+  let cash = initialCash;
+  let position = null;
+  let pending = null;
+  let lastTradeTime = null;
+  let barsExposed = 0;
+  let peak = initialCash;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  const trades = [];
+  const equityCurve = [];
+
+  const openPosition = (bar, price, notional, meta, strategy) => {
+    const qty = Math.floor((notional / price) * 1e6) / 1e6;
+    if (qty <= 0) return;
+    const cost = qty * price;
+    const fee = cost * feeRate;
+    const entry = exitSignal(strategy, { basis: price, ...meta }, { price }, paramsFor(strategy));
+    cash -= cost + fee;
+    position = {
+      qty,
+      basis: price,
+      cost,
+      entryFee: fee,
+      entryTime: bar.time,
+      meta,
+      strategy,
+      stopPrice: entry.stopPrice,
+      highWater: price,
+    };
+  };
+
+  const closePosition = (bar, price, reason) => {
+    const proceeds = position.qty * price;
+    const fee = proceeds * feeRate;
+    cash += proceeds - fee;
+    const fees = position.entryFee + fee;
+    const pnl = proceeds - fee - position.cost - position.entryFee;
+    trades.push({
+      symbol,
+      strategy: position.strategy,
+      entryTime: new Date(position.entryTime).toISOString(),
+      exitTime: new Date(bar.time).toISOString(),
+      holdMs: bar.time - position.entryTime,
+      qty: position.qty,
+      entryPrice: position.basis,
+      exitPrice: price,
+      fees,
+      pnl,
+      returnPct: pnl / (position.cost + position.entryFee),
+      reason,
+    });
+    position = null;
+  };
+
+  for (let i = 0; i < bars.length; i++) {
+    const bar = bars[i];
+    const closes = bars.slice(Math.max(0, i - lookback + 1), i + 1).map((b) => b.close);
+    let exposed = position != null;
+
+    // Settle the limit buy placed on the previous bar
+    if (pending) {
+      if (bar.low <= pending.limitPrice) {
+        const fillPrice = Math.min(bar.open, pending.limitPrice);
+        openPosition(bar, fillPrice, pending.notional, pending.meta, pending.strategy);
+      } else if (retrySignalValid(closes)) {
+        openPosition(
+          bar,
+          bar.close,
+          pending.notional,
+          { entryTimestamp: bar.time, entryPrice: bar.close },
+          pending.strategy
+        );
+      }
+      pending = null;
+      exposed = exposed || position != null;
+    }
+
+    const token = analyzeToken({ symbol }, bar.close, closes, strategies);
+
+    if (position && restingStop && bar.low <= position.stopPrice) {
+      closePosition(bar, Math.min(bar.open, position.stopPrice), 'stop_loss');
+    }
+
+    if (position) {
+      const exit = exitSignal(
+        position.strategy,
+        { basis: position.basis, ...position.meta },
+        { price: bar.close, rsi: last(rsi(closes)), now: bar.time },
+        paramsFor(position.strategy)
+      );
+      if (exit.reasons.includes('stale_position')) {
+        closePosition(bar, bar.close, 'stale_position');
+      } else if (exit.reasons.includes('take_profit')) {
+        // A sell limit at the close, on the asset's price increment
+        closePosition(bar, roundPrice(symbol, bar.close, 'down'), 'take_profit');
+      }
+    }
+
+    if (position) {
+      position.highWater = Math.max(position.highWater, bar.close);
+      const barsSoFar = bars.slice(Math.max(0, i - lookback + 1), i + 1);
+      position.stopPrice = protectiveStop({
+        basis: position.basis,
+        stopPrice: position.stopPrice,
+        highWater: position.highWater,
+        atr: last(atr(barsSoFar)),
+        settings: protection,
+      }).stopPrice;
+    }
+
+    if (
+      !position &&
+      token.decision.type === 'entry' &&
+      (lastTradeTime == null || bar.time - lastTradeTime >= cooldownMs)
+    ) {
+      const { notional } = sizeEntry({
+        portfolioValue: cash,
+        cash,
+        allocation: token.decision.sizing.allocation,
+      });
+      if (notional >= config.MIN_ORDER_NOTIONAL) {
+        const limitPrice = limitBuyPrice(bar.close, config.BUY_LIMIT_BUFFER);
+        pending = {
+          limitPrice,
+          notional,
+          strategy: token.decision.strategy,
+          meta: { entryTimestamp: bar.time, entryPrice: limitPrice },
+        };
+        lastTradeTime = bar.time;
+      }
+    }
+
+    if (exposed) barsExposed += 1;
+    const equity = cash + (position ? position.qty * bar.close : 0);
+    equityCurve.push({ time: new Date(bar.time).toISOString(), equity });
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxDrawdownPct = Math.max(maxDrawdownPct, (peak - equity) / peak);
+  }
+
+  if (position) {
+    closePosition(bars[bars.length - 1], bars[bars.length - 1].close, 'end_of_data');
+  }
+
+  const wins = trades.filter((t) => t.pnl > 0).length;
+  const netPnl = cash - initialCash;
+  return {
+    summary: {
+      symbol,
+      bars: bars.length,
+      from: bars.length ? new Date(bars[0].time).toISOString() : null,
+      to: bars.length ? new Date(bars[bars.length - 1].time).toISOString() : null,
+      startingEquity: initialCash,
+      endingEquity: cash,
+      netPnl,
+      returnPct: netPnl / initialCash,
+      trades: trades.length,
+      wins,
+      losses: trades.length - wins,
+      winRate: trades.length ? wins / trades.length : null,
+      fees: trades.reduce((sum, t) => sum + t.fees, 0),
+      maxDrawdown,
+      maxDrawdownPct,
+      exposure: bars.length ? barsExposed / bars.length : 0,
+    },
+    trades,
+    equityCurve,
+  };
+}
+
+function parseArgs(argv) {
+  const opts = { files: [], json: false, restingStop: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') opts.json = true;
+    else if (arg === '--no-stop') opts.restingStop = false;
+    else if (arg === '--cash') opts.initialCash = Number(argv[++i]);
+    else if (arg === '--fee') opts.feeRate = Number(argv[++i]);
+    else if (arg === '--cooldown-ms') opts.cooldownMs = Number(argv[++i]);
+    else if (arg === '--trailing') opts.protection = { trailing: argv[++i] };
+    else if (arg === '--strategies') {
+      opts.strategies = argv[++i].split(',').map((name) => {
+        if (!getStrategy(name)) throw new Error(`Unknown strategy ${name}`);
+        return { name, params: {} };
+      });
+    }
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else opts.files.push(arg);
+  }
+  return opts;
+}
+
+function formatPct(value) {
+  return value == null ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+}
+
+function main() {
+  const { files, json, ...options } = parseArgs(process.argv.slice(2));
+  if (files.length === 0) {
+    console.error(
+      'Usage: node backtest.js <bars.csv|bars.json> [...] [--cash N] [--fee F] ' +
+        '[--cooldown-ms MS] [--no-stop] [--trailing percent|atr|off] ' +
+        '[--strategies reversion,momentum] [--json]'
+    );
+    process.exit(1);
+  }
+  const reports = files.map((file) => {
+    const symbol = path.basename(file, path.extname(file)).toUpperCase();
+    return runBacktest(loadBars(file), { ...options, symbol });
+  });
+  if (json) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+  reports.forEach(({ summary, trades }) => {
+    console.log(`\n=== ${summary.symbol} (${summary.bars} bars, ${summary.from} → ${summary.to})`);
+    console.log(`Net P&L:      $${summary.netPnl.toFixed(2)} (${formatPct(summary.returnPct)})`);
+    console.log(`Trades:       ${summary.trades} (${summary.wins} won, win rate ${formatPct(summary.winRate)})`);
+    console.log(`Fees:         $${summary.fees.toFixed(2)}`);
+    console.log(`Max drawdown: $${summary.maxDrawdown.toFixed(2)} (${formatPct(summary.maxDrawdownPct)})`);
+    console.log(`Exposure:     ${formatPct(summary.exposure)}`);
+    trades.forEach((t) => {
+      console.log(
+        `  ${t.entryTime} → ${t.exitTime} ${t.strategy.padEnd(10)} ${t.reason.padEnd(14)} ` +
+          `${t.entryPrice} → ${t.exitPrice} pnl $${t.pnl.toFixed(2)}`
+      );
+    });
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('Backtest failed:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { loadBars, runBacktest };
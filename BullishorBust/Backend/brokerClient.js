@@ -0,0 +1,324 @@
+// brokerClient.js
+// The one HTTP client for Alpaca's trading API (trade.js goes through it).
+// Every request:
+//
+//   - times out after timeoutMs
+//   - is retried with jittered exponential backoff after a network error,
+//     a timeout or a 5xx, but only when repeating it is safe: GET and
+//     DELETE, and calls marked `idempotent` (an order POST carrying a
+//     client_order_id the broker refuses to reuse). Closing a position is
+//     marked not idempotent: a repeat could sell twice.
+//   - is retried after a 429 whatever the method, since the broker did not
+//     act on it, waiting as long as its Retry-After or X-RateLimit-Reset
+//     header asks (up to maxRetryWaitMs)
+//
+// A circuit breaker counts calls that still failed with a network error, a
+// timeout, a 5xx or a 429. After failureThreshold in a row it opens: calls
+// fail at once with BrokerUnavailableError for cooldownMs, then a single
+// trial call is let through (half open) and closes the breaker again if it
+// succeeds. The scheduler skips its cycles while the breaker is open. Other
+// 4xx answers mean the broker is up and reset the count.
+//
+// Each call's outcome is passed to onCall listeners and added to per
+// operation metrics, served with the breaker's state at GET /api/broker.
+require('dotenv').config({ path: __dirname + '/.env' });
+const axios = require('axios');
+const express = require('express');
+const router = express.Router();
+const logger = require('./logger');
+
+const IDEMPOTENT_METHODS = ['get', 'delete'];
+const DEFAULTS = {
+  timeoutMs: 10 * 1000,
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+  maxRetryWaitMs: 30 * 1000,
+  failureThreshold: 5,
+  cooldownMs: 30 * 1000,
+};
+
+// Thrown instead of calling the broker while the breaker is open
+class BrokerUnavailableError extends Error {
+  constructor(retryAt) {
+    super(`Broker unavailable after repeated failures, retrying after ${retryAt}`);
+    this.name = 'BrokerUnavailableError';
+    this.retryAt = retryAt;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Whether a failure says the broker is down or overloaded, as opposed to
+// refusing this particular request
+function isBrokerFailure(err) {
+  const status = err?.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+// How long a 429 asks us to wait (ms), from Retry-After (seconds or a
+// date) or Alpaca's X-RateLimit-Reset (epoch seconds). null without a hint.
+function retryHintMs(headers = {}, now = Date.now()) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter != null) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+    if (Number.isFinite(ms)) return Math.max(0, ms);
+  }
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (reset > 0) return Math.max(0, reset * 1000 - now);
+  return null;
+}
+
+// Exponential backoff with jitter: between half and all of base * 2^attempt
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + (random() * delay) / 2);
+}
+
+function createBrokerClient(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { baseUrl, headers } = settings;
+  const wait = settings.sleep || sleep;
+  const callListeners = [];
+  const breakerListeners = [];
+  // closed -> open after failureThreshold failures -> half_open after
+  // cooldownMs -> closed on a successful trial call
+  const breaker = {
+    state: 'closed',
+    failures: 0,
+    openedAt: null,
+    retryAt: null,
+    trialInFlight: false,
+    trips: 0,
+  };
+  const metrics = {};
+
+  function setBreakerState(state) {
+    if (breaker.state === state) return;
+    breaker.state = state;
+    const snapshot = getBreaker();
+    breakerListeners.forEach((listener) => {
+      try {
+        listener(snapshot);
+      } catch (err) {
+        logger.error('breaker_listener_failed', { state, error: err.message });
+      }
+    });
+  }
+
+  function getBreaker() {
+    const { state, failures, openedAt, retryAt, trips } = breaker;
+    return { state, failures, openedAt, retryAt, trips };
+  }
+
+  // Whether a call would be sent now. An open breaker whose cooldown is
+  // over moves to half open.
+  function isAvailable(now = Date.now()) {
+    if (breaker.state === 'open' && now >= Date.parse(breaker.retryAt)) {
+      setBreakerState('half_open');
+    }
+    return breaker.state === 'closed' || (breaker.state === 'half_open' && !breaker.trialInFlight);
+  }
+
+  function recordSuccess() {
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.retryAt = null;
+    setBreakerState('closed');
+  }
+
+  function recordFailure() {
+    breaker.failures += 1;
+    if (breaker.state === 'half_open' || breaker.failures >= settings.failureThreshold) {
+      const now = Date.now();
+      breaker.openedAt = new Date(now).toISOString();
+      breaker.retryAt = new Date(now + settings.cooldownMs).toISOString();
+      breaker.trips += 1;
+      setBreakerState('open');
+    }
+  }
+
+  function recordMetric(call) {
+    const m = (metrics[call.op] ||= {
+      calls: 0,
+      failures: 0,
+      retries: 0,
+      rateLimited: 0,
+      shortCircuited: 0,
+      totalMs: 0,
+      maxMs: 0,
+      lastStatus: null,
+      lastCallAt: null,
+    });
+    m.calls += 1;
+    if (!call.ok) m.failures += 1;
+    m.retries += call.attempts > 0 ? call.attempts - 1 : 0;
+    m.rateLimited += call.rateLimited;
+    if (call.shortCircuited) m.shortCircuited += 1;
+    m.totalMs += call.durationMs;
+    m.maxMs = Math.max(m.maxMs, call.durationMs);
+    m.lastStatus = call.status;
+    m.lastCallAt = call.time;
+    callListeners.forEach((listener) => {
+      try {
+        listener(call);
+      } catch (err) {
+        logger.error('broker_call_listener_failed', { op: call.op, error: err.message });
+      }
+    });
+  }
+
+  // Send one request to the broker and resolve its body. `op` names the
+  // call in logs and metrics; statuses in `expectedStatuses` (a 404 for a
+  // position that is not held) are thrown to the caller without a log line.
+  async function request({
+    op,
+    method = 'get',
+    path,
+    params,
+    data,
+    idempotent = IDEMPOTENT_METHODS.includes(method),
+    expectedStatuses = [],
+  }) {
+    const started = Date.now();
+    const call = {
+      op,
+      method: method.toUpperCase(),
+      path,
+      time: new Date(started).toISOString(),
+      attempts: 0,
+      rateLimited: 0,
+      status: null,
+      ok: false,
+      shortCircuited: false,
+      durationMs: 0,
+    };
+    const finish = (ok) => {
+      call.ok = ok;
+      call.durationMs = Date.now() - started;
+      recordMetric(call);
+    };
+
+    if (!isAvailable()) {
+      call.shortCircuited = true;
+      finish(false);
+      throw new BrokerUnavailableError(breaker.retryAt);
+    }
+    const trial = breaker.state === 'half_open';
+    if (trial) breaker.trialInFlight = true;
+    try {
+      for (;;) {
+        call.attempts += 1;
+        try {
+          const res = await axios.request({
+            method,
+            url: `${baseUrl}${path}`,
+            headers,
+            params,
+            data,
+            timeout: settings.timeoutMs,
+          });
+          call.status = res.status;
+          recordSuccess();
+          finish(true);
+          return res.data;
+        } catch (err) {
+          const status = err?.response?.status ?? null;
+          call.status = status;
+          const retry = call.attempts <= settings.maxRetries && !trial;
+          if (status === 429) {
+            call.rateLimited += 1;
+            const hint = retryHintMs(err.response.headers);
+            const delay = hint ?? backoffMs(call.attempts - 1, settings);
+            if (retry && delay <= settings.maxRetryWaitMs) {
+              await wait(delay);
+              continue;
+            }
+          } else if (retry && idempotent && isBrokerFailure(err)) {
+            await wait(backoffMs(call.attempts - 1, settings));
+            continue;
+          }
+          if (isBrokerFailure(err)) recordFailure();
+          else recordSuccess();
+          finish(false);
+          if (!expectedStatuses.includes(status)) {
+            logger.error('broker_call_failed', {
+              op,
+              method: call.method,
+              path,
+              status,
+              attempts: call.attempts,
+              error: err?.response?.data || err.message,
+            });
+          }
+          throw err;
+        }
+      }
+    } finally {
+      if (trial) breaker.trialInFlight = false;
+    }
+  }
+
+  // Per operation call counts and latency, with totals
+  function getMetrics() {
+    const operations = {};
+    const totals = { calls: 0, failures: 0, retries: 0, rateLimited: 0, shortCircuited: 0 };
+    Object.entries(metrics).forEach(([op, m]) => {
+      const { totalMs, ...counts } = m;
+      operations[op] = { ...counts, avgMs: Math.round(totalMs / m.calls) };
+      Object.keys(totals).forEach((key) => {
+        totals[key] += m[key];
+      });
+    });
+    return { totals, operations };
+  }
+
+  return {
+    request,
+    get: (path, opts = {}) => request({ ...opts, method: 'get', path }),
+    post: (path, data, opts = {}) => request({ ...opts, method: 'post', path, data }),
+    patch: (path, data, opts = {}) => request({ ...opts, method: 'patch', path, data }),
+    delete: (path, opts = {}) => request({ ...opts, method: 'delete', path }),
+    isAvailable,
+    getBreaker,
+    getMetrics,
+    // Call `listener(call)` after every call
+    onCall: (listener) => callListeners.push(listener),
+    // Call `listener(breaker)` when the breaker opens, half opens or closes
+    onBreakerChange: (listener) => breakerListeners.push(listener),
+  };
+}
+
+// The client for ALPACA_BASE_URL with the account's keys, made on first use
+let defaultClient = null;
+function getBrokerClient() {
+  if (!defaultClient) {
+    defaultClient = createBrokerClient({
+      baseUrl: process.env.ALPACA_BASE_URL,
+      headers: {
+        'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
+        'APCA-API-SECRET-KEY': process.env.ALPACA_SECRET_KEY,
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+  return defaultClient;
+}
+
+// Express routes
+router.get('/broker', (req, res) => {
+  const client = getBrokerClient();
+  res.json({ breaker: client.getBreaker(), ...client.getMetrics() });
+});
+
+module.exports = {
+  router,
+  BrokerUnavailableError,
+  createBrokerClient,
+  getBrokerClient,
+  retryHintMs,
+  backoffMs,
+};
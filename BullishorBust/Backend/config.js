@@ -0,0 +1,255 @@
+// config.js
+// Runtime trading configuration. The constants that used to be baked into
+// strategy.js, trade.js and the scheduler are read through getConfig()
+// instead, so they can be changed with PUT /api/config without a redeploy.
+//
+// Every change is saved as a new numbered version in the durable store
+// (collection 'config', keyed by version) holding the full set of values,
+// which makes the history auditable and a rollback just another version
+// with an older version's values. Version 0 is CONFIG_SCHEMA's defaults.
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('./store');
+const { logTradeAction } = require('./tradeLog');
+const logger = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Every setting with its default and the range PUT /api/config accepts
+const CONFIG_SCHEMA = {
+  COOL_DOWN_MS: {
+    type: 'integer',
+    default: 30 * MINUTE_MS,
+    min: 0,
+    max: 24 * 60 * MINUTE_MS,
+    description: 'Cooldown between trades on the same symbol (ms)',
+  },
+  BUY_LIMIT_BUFFER: {
+    type: 'number',
+    default: 0.999,
+    min: 0.9,
+    max: 1,
+    description: 'Limit buy price as a multiple of the current price',
+  },
+  SELL_TARGET_MULTIPLIER: {
+    type: 'number',
+    default: 1.0015,
+    min: 1,
+    max: 2,
+    description: 'Take-profit price as a multiple of the cost basis',
+  },
+  STOP_LOSS_PERCENT: {
+    type: 'number',
+    default: 0.025,
+    min: 0.001,
+    max: 0.5,
+    description: 'Stop distance below the cost basis (and default trail)',
+  },
+  REFRESH_INTERVAL_MS: {
+    type: 'integer',
+    default: MINUTE_MS,
+    min: 10 * 1000,
+    max: 60 * MINUTE_MS,
+    description: 'Time between scheduler cycles and app refreshes (ms)',
+  },
+  FEE_BUFFER: {
+    type: 'number',
+    default: 0.0025,
+    min: 0,
+    max: 0.05,
+    description: 'Taker fee per side, added to limit sell markups',
+  },
+  TARGET_PROFIT: {
+    type: 'number',
+    default: 0.0005,
+    min: 0,
+    max: 0.5,
+    description: 'Profit added on top of fees for /api/trade limit sells',
+  },
+  MIN_ORDER_NOTIONAL: {
+    type: 'number',
+    default: 1,
+    min: 1,
+    max: 100000,
+    description: 'Smallest order value sent to Alpaca ($)',
+  },
+};
+
+const CONFIG_DEFAULTS = Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+const listeners = [];
+
+function defaultVersion() {
+  return { version: 0, values: CONFIG_DEFAULTS, changed: [], createdAt: null, source: 'defaults' };
+}
+
+// Newest saved version, or version 0
+function currentVersion() {
+  const versions = Object.values(getStore().all('config'));
+  if (versions.length === 0) return defaultVersion();
+  return versions.reduce((a, b) => (b.version > a.version ? b : a));
+}
+
+// Live values. Keys added to the schema after a version was saved fall
+// back to their defaults.
+function getConfig() {
+  return { ...CONFIG_DEFAULTS, ...currentVersion().values };
+}
+
+// Versions newest first, including the implicit version 0
+function getHistory(limit = 50) {
+  const saved = Object.values(getStore().all('config')).sort((a, b) => b.version - a.version);
+  return [...saved, defaultVersion()].slice(0, limit);
+}
+
+function getVersion(version) {
+  if (version === 0) return defaultVersion();
+  return getStore().get('config', String(version)) || null;
+}
+
+// Call `listener(config, previous)` after every change
+function onConfigChange(listener) {
+  listeners.push(listener);
+}
+
+function validateConfig(values) {
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    return ['values must be an object'];
+  }
+  const errors = [];
+  Object.entries(values).forEach(([key, value]) => {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      errors.push(`unknown setting ${key}`);
+      return;
+    }
+    const valid =
+      typeof value === 'number' &&
+      Number.isFinite(value) &&
+      (spec.type !== 'integer' || Number.isInteger(value));
+    if (!valid) {
+      errors.push(`${key} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(`${key} must be between ${spec.min} and ${spec.max}`);
+    }
+  });
+  return errors;
+}
+
+// Save a new version. `values` may be partial; the rest is carried over.
+function saveVersion(values, { source = 'update', note = null, author = null, rollbackOf } = {}) {
+  const previous = getConfig();
+  const next = { ...previous, ...values };
+  const changed = Object.keys(next).filter((key) => next[key] !== previous[key]);
+  const record = {
+    version: currentVersion().version + 1,
+    values: next,
+    changed,
+    createdAt: new Date().toISOString(),
+    source,
+    note,
+    author,
+  };
+  if (rollbackOf !== undefined) record.rollbackOf = rollbackOf;
+  getStore().set('config', String(record.version), record);
+  logTradeAction('config_updated', 'all', { version: record.version, source, changed });
+  listeners.forEach((listener) => {
+    try {
+      listener(next, previous);
+    } catch (err) {
+      logger.error('config_listener_failed', { version: record.version, error: err.message });
+    }
+  });
+  return record;
+}
+
+function updateConfig(values, options) {
+  return saveVersion(values, { ...options, source: 'update' });
+}
+
+// New version with the values of an older one. Null when it does not exist.
+function rollbackConfig(version, options = {}) {
+  const target = getVersion(version);
+  if (!target) return null;
+  return saveVersion(target.values, { ...options, source: 'rollback', rollbackOf: version });
+}
+
+function describeConfig() {
+  const current = currentVersion();
+  return {
+    version: current.version,
+    updatedAt: current.createdAt,
+    values: getConfig(),
+    defaults: CONFIG_DEFAULTS,
+    schema: CONFIG_SCHEMA,
+  };
+}
+
+// Express routes
+router.get('/config', (req, res) => {
+  res.json(describeConfig());
+});
+
+// Change settings: { values: { KEY: value }, note?, expectedVersion? }.
+// expectedVersion guards against overwriting someone else's change.
+router.put('/config', (req, res) => {
+  const { values, note, expectedVersion } = req.body || {};
+  const errors = validateConfig(values);
+  if (note !== undefined && (typeof note !== 'string' || note.length > 200)) {
+    errors.push('note must be a string of at most 200 characters');
+  }
+  if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+    errors.push('expectedVersion must be an integer');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid config', details: errors });
+  }
+  const { version } = currentVersion();
+  if (expectedVersion !== undefined && expectedVersion !== version) {
+    return res.status(409).json({ error: `Config is at version ${version}`, version });
+  }
+  updateConfig(values, { note: note || null, author: req.token?.name || null });
+  res.json(describeConfig());
+});
+
+// GET /config/history?limit=50 (newest first)
+router.get('/config/history', (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      error: 'Invalid query',
+      details: ['limit must be an integer between 1 and 1000'],
+    });
+  }
+  res.json(getHistory(limit));
+});
+
+// Restore an older version's values: { version }
+router.post('/config/rollback', (req, res) => {
+  const { version } = req.body || {};
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({
+      error: 'Invalid rollback',
+      details: ['version must be a non-negative integer'],
+    });
+  }
+  const record = rollbackConfig(version, { author: req.token?.name || null });
+  if (!record) {
+    return res.status(404).json({ error: `No config version ${version}` });
+  }
+  res.json(describeConfig());
+});
+
+module.exports = {
+  router,
+  CONFIG_SCHEMA,
+  CONFIG_DEFAULTS,
+  getConfig,
+  getHistory,
+  onConfigChange,
+  validateConfig,
+  updateConfig,
+  rollbackConfig,
+};
@@ -0,0 +1,61 @@
+// events.js
+// In-process event bus behind the live stream (stream.js). Modules publish
+// what happened under a topic:
+//
+//   log      - every structured log entry (logger.js)
+//   order    - an order was submitted, replaced or canceled, or its status
+//              or filled qty changed
+//   position - a position opened, changed size or closed
+//   signal   - a token's indicators and strategy decision from a scan
+//   status   - scheduler started, stopped or finished a cycle
+//
+// Events get increasing ids and the last MAX_EVENTS are kept so a client
+// that reconnects can resume after the last id it saw. Ids restart with
+// the process, so each run has a random BOOT_ID that clients send back.
+const crypto = require('crypto');
+
+const TOPICS = ['log', 'order', 'position', 'signal', 'status'];
+const MAX_EVENTS = 2000;
+const BOOT_ID = crypto.randomUUID();
+
+const buffer = [];
+const subscribers = new Set();
+let lastId = 0;
+
+function publish(topic, data) {
+  if (!TOPICS.includes(topic)) throw new Error(`Unknown event topic ${topic}`);
+  lastId += 1;
+  const event = { id: lastId, topic, time: new Date().toISOString(), data };
+  buffer.push(event);
+  if (buffer.length > MAX_EVENTS) buffer.shift();
+  subscribers.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('Event subscriber failed:', err.message);
+    }
+  });
+  return event;
+}
+
+// Call `listener(event)` for every new event. Returns an unsubscribe
+// function.
+function subscribe(listener) {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+}
+
+// Events after id `since`, or null when that point can no longer be
+// replayed: the ids belong to another run, or older events were dropped.
+function eventsSince(since, bootId = BOOT_ID) {
+  if (bootId !== BOOT_ID || since > lastId) return null;
+  const oldest = buffer.length ? buffer[0].id : lastId + 1;
+  if (since < oldest - 1) return null;
+  return buffer.filter((event) => event.id > since);
+}
+
+function getLastEventId() {
+  return lastId;
+}
+
+module.exports = { TOPICS, BOOT_ID, publish, subscribe, eventsSince, getLastEventId };
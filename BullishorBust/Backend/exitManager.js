@@ -0,0 +1,463 @@
+// exitManager.js
+// One-cancels-other take-profit/stop-loss exits for crypto positions.
+// Alpaca has no OCO orders for crypto and reserves the quantity of every
+// resting sell, so a take-profit and a stop for the same coins cannot rest
+// side by side. Each bracket therefore keeps one leg at the broker and
+// watches the other itself:
+//
+// - The stop rests by default, so the position stays protected while the
+//   server is down. It is a stop_limit with a collar under the stop price;
+//   a price that gaps through the collar is sold at market next cycle.
+// - Once the price reaches the target, the stop is cancelled and the
+//   take-profit limit is submitted in its place.
+// - If the price falls back under the target the unfilled take-profit is
+//   swapped back for the stop; at or under the stop price it is cancelled
+//   and whatever is left is sold at market.
+//
+// Every fill on either leg, partial or full, shrinks the remaining quantity
+// and the sibling is re-sized to match. The stop itself trails the highest
+// price seen and moves to break-even plus fees after a set gain (see
+// protectiveStop in strategy.js). Brackets persist in the store and are
+// reconciled against the broker once per scheduler cycle.
+const express = require('express');
+const router = express.Router();
+
+const {
+  getPosition,
+  getOrder,
+  submitOrder,
+  replaceOrder,
+  cancelOrder,
+  sendAlpacaError,
+} = require('./trade');
+const { protectionDefaults, protectiveStop } = require('./strategy');
+const { getConfig } = require('./config');
+const { logTradeAction } = require('./tradeLog');
+const { correlationId } = require('./logger');
+const { getStore } = require('./store');
+const { validateSymbol, validateProtection } = require('./validate');
+const { roundQty, roundPrice } = require('./orderRules');
+
+const CRYPTO_TIME_IN_FORCE = 'gtc';
+// Alpaca takes no plain stop orders for crypto, so the resting stop is a
+// stop_limit whose limit sits this far under the stop price
+const STOP_LIMIT_COLLAR = 0.01;
+const OPEN_STATUSES = ['new', 'accepted', 'pending_new', 'partially_filled'];
+
+// The limit price of a stop leg resting at `stopPrice`
+function stopLimitPrice(symbol, stopPrice) {
+  return roundPrice(symbol, stopPrice * (1 - STOP_LIMIT_COLLAR), 'down');
+}
+
+function save(bracket) {
+  bracket.updatedAt = new Date().toISOString();
+  return getStore().set('brackets', bracket.symbol, bracket);
+}
+
+function getBracket(symbol) {
+  return getStore().get('brackets', symbol) || null;
+}
+
+function listBrackets() {
+  return Object.values(getStore().all('brackets'));
+}
+
+function activeBracket(symbol) {
+  const bracket = getBracket(symbol);
+  return bracket && bracket.status === 'active' ? bracket : null;
+}
+
+// The leg currently resting at the broker, if any
+function restingLeg(bracket) {
+  return ['takeProfit', 'stopLoss'].find((name) => bracket[name].orderId) || null;
+}
+
+// Pull the latest fills for a leg's broker order into the bracket. Returns
+// the order, or null if it could not be fetched.
+async function refreshLeg(bracket, name) {
+  const leg = bracket[name];
+  if (!leg.orderId) return null;
+  let order;
+  try {
+    order = await getOrder(leg.orderId);
+  } catch (err) {
+    return null;
+  }
+  const filled = parseFloat(order.filled_qty || 0);
+  const { symbol } = bracket;
+  const newlyFilled = roundQty(symbol, filled - leg.orderFilledQty);
+  if (newlyFilled > 0) {
+    leg.orderFilledQty = filled;
+    leg.filledQty = roundQty(symbol, leg.filledQty + newlyFilled);
+    bracket.filledQty = roundQty(symbol, bracket.filledQty + newlyFilled);
+    bracket.remainingQty = roundQty(symbol, Math.max(0, bracket.remainingQty - newlyFilled));
+    const fillPrice = parseFloat(order.filled_avg_price);
+    logTradeAction(
+      order.status === 'filled' ? 'bracket_leg_filled' : 'bracket_partial_fill',
+      bracket.symbol,
+      {
+        leg: name,
+        orderId: order.id,
+        qty: newlyFilled,
+        price: fillPrice,
+        remaining: bracket.remainingQty,
+      }
+    );
+    getStore().recordTrade({
+      symbol: bracket.symbol,
+      side: 'sell',
+      type: order.type,
+      orderId: order.id,
+      qty: newlyFilled,
+      price: fillPrice,
+      reason: name === 'takeProfit' ? 'take_profit' : 'stop_loss',
+    });
+    bracket.lastFilledLeg = name;
+  }
+  if (!OPEN_STATUSES.includes(order.status)) {
+    leg.orderId = null;
+    leg.orderFilledQty = 0;
+    leg.state = order.status === 'filled' ? 'filled' : 'watching';
+  }
+  return order;
+}
+
+// Cancel a leg's resting order and capture any fills that raced the cancel
+async function withdrawLeg(bracket, name) {
+  const leg = bracket[name];
+  if (!leg.orderId) return;
+  try {
+    await cancelOrder(leg.orderId);
+  } catch (err) {
+    // Already filled or cancelled; refreshLeg below settles which
+  }
+  const order = await refreshLeg(bracket, name);
+  if (leg.orderId) {
+    // Still open after the cancel request (or unreadable); drop it and let
+    // the next reconcile pick up any late fill through the position size
+    if (order) {
+      logTradeAction('bracket_cancel_pending', bracket.symbol, {
+        leg: name,
+        orderId: leg.orderId,
+      });
+    }
+    leg.orderId = null;
+  }
+  leg.orderFilledQty = 0;
+  if (leg.state !== 'filled') leg.state = 'watching';
+}
+
+// Submit the order for a leg sized to the remaining quantity. `market`
+// sells at market instead, used once the stop price has been crossed.
+async function placeLeg(bracket, name, livePrice, market = false) {
+  const qty = roundQty(bracket.symbol, bracket.remainingQty);
+  const order = {
+    symbol: bracket.symbol,
+    qty,
+    side: 'sell',
+    time_in_force: CRYPTO_TIME_IN_FORCE,
+  };
+  if (market) {
+    order.type = 'market';
+  } else if (name === 'takeProfit') {
+    order.type = 'limit';
+    order.limit_price = roundPrice(
+      bracket.symbol,
+      Math.max(livePrice, bracket.takeProfit.price),
+      'up'
+    );
+  } else {
+    order.type = 'stop_limit';
+    order.stop_price = roundPrice(bracket.symbol, bracket.stopLoss.price);
+    order.limit_price = stopLimitPrice(bracket.symbol, order.stop_price);
+  }
+  try {
+    const result = await submitOrder(order);
+    const leg = bracket[name];
+    leg.orderId = result.id;
+    leg.orderFilledQty = 0;
+    leg.orderQty = qty;
+    leg.state = market ? 'triggered' : 'resting';
+    logTradeAction('bracket_leg_placed', bracket.symbol, {
+      leg: name,
+      orderId: result.id,
+      orderType: order.type,
+      qty,
+      limit_price: order.limit_price,
+      stop_price: order.stop_price,
+    });
+    return result;
+  } catch (err) {
+    logTradeAction('bracket_leg_failed', bracket.symbol, {
+      leg: name,
+      status: err?.response?.status,
+      reason: err?.response?.data?.message || err.message,
+    });
+    return null;
+  }
+}
+
+// Ratchet the stop up behind the price. A resting stop is replaced in
+// place; if the broker refuses, it is cancelled and placed again.
+async function adjustStop(bracket, livePrice, atr) {
+  bracket.highWater = Math.max(bracket.highWater || bracket.basis, livePrice);
+  const from = bracket.stopLoss.price;
+  const { stopPrice, reason } = protectiveStop({
+    basis: bracket.basis,
+    stopPrice: from,
+    highWater: bracket.highWater,
+    atr,
+    settings: bracket.protection,
+  });
+  if (!reason) return;
+
+  bracket.stopLoss.price = stopPrice;
+  logTradeAction('stop_adjusted', bracket.symbol, {
+    reason,
+    from,
+    to: stopPrice,
+    highWater: bracket.highWater,
+    atr,
+  });
+
+  const leg = bracket.stopLoss;
+  if (!leg.orderId || leg.state !== 'resting') return;
+  try {
+    const replacement = await replaceOrder(leg.orderId, {
+      stop_price: stopPrice,
+      limit_price: stopLimitPrice(bracket.symbol, stopPrice),
+    });
+    leg.orderId = replacement.id;
+    leg.orderQty = parseFloat(replacement.qty);
+    leg.orderFilledQty = 0;
+  } catch (err) {
+    logTradeAction('stop_replace_failed', bracket.symbol, {
+      status: err?.response?.status,
+      reason: err?.response?.data?.message || err.message,
+    });
+    await withdrawLeg(bracket, 'stopLoss');
+  }
+}
+
+function closeBracket(bracket, reason) {
+  bracket.status = reason === 'canceled' ? 'canceled' : 'closed';
+  bracket.closeReason = reason;
+  bracket.closedAt = new Date().toISOString();
+  logTradeAction('bracket_closed', bracket.symbol, {
+    reason,
+    filledQty: bracket.filledQty,
+  });
+  return save(bracket);
+}
+
+// Start managing exits for a position. Replaces any earlier bracket.
+// `protection` overrides protectionDefaults() for this position.
+async function openBracket(symbol, { qty, basis, takeProfitPrice, stopPrice, protection = {} }) {
+  const existing = activeBracket(symbol);
+  if (existing) await cancelBracket(symbol, 'replaced');
+  const now = new Date().toISOString();
+  const leg = (price) => ({
+    price,
+    state: 'watching',
+    orderId: null,
+    orderQty: 0,
+    orderFilledQty: 0,
+    filledQty: 0,
+  });
+  const bracket = {
+    symbol,
+    status: 'active',
+    basis,
+    qty: roundQty(symbol, qty),
+    filledQty: 0,
+    remainingQty: roundQty(symbol, qty),
+    takeProfit: leg(takeProfitPrice),
+    stopLoss: { ...leg(stopPrice), initialPrice: stopPrice },
+    protection: { ...protectionDefaults(), ...protection },
+    highWater: basis,
+    lastFilledLeg: null,
+    createdAt: now,
+    updatedAt: now,
+    closedAt: null,
+    closeReason: null,
+    // The trade workflow that opened it, for the scheduler's log entries
+    correlationId: correlationId(),
+  };
+  logTradeAction('bracket_opened', symbol, { qty: bracket.qty, takeProfitPrice, stopPrice });
+  await placeLeg(bracket, 'stopLoss', null);
+  return save(bracket);
+}
+
+// Bring a bracket in line with the broker and the live price. `positionQty`
+// is the broker's position size when known; it wins over the bracket's own
+// count so manual sells or extra buys re-size the legs. `entryQty`, when
+// given, caps that at what the entry bought less what the bracket sold, so
+// coins held besides the entry stay out of the legs. `atr` feeds ATR-based
+// trailing.
+async function reconcile(
+  symbol,
+  livePrice,
+  positionQty = null,
+  { atr = null, entryQty = null } = {}
+) {
+  const bracket = activeBracket(symbol);
+  if (!bracket) return null;
+
+  await refreshLeg(bracket, 'takeProfit');
+  await refreshLeg(bracket, 'stopLoss');
+
+  let heldQty = positionQty != null ? roundQty(symbol, positionQty) : null;
+  if (heldQty != null && entryQty != null) {
+    heldQty = Math.min(heldQty, roundQty(symbol, Math.max(0, entryQty - bracket.filledQty)));
+  }
+  if (heldQty != null && Math.abs(heldQty - bracket.remainingQty) >= 1e-6) {
+    logTradeAction('bracket_resized', symbol, { from: bracket.remainingQty, to: heldQty });
+    bracket.remainingQty = heldQty;
+  }
+
+  const price = livePrice || bracket.basis;
+  const { MIN_ORDER_NOTIONAL } = getConfig();
+  if (bracket.remainingQty <= 0 || bracket.remainingQty * price < MIN_ORDER_NOTIONAL) {
+    const resting = restingLeg(bracket);
+    if (resting) await withdrawLeg(bracket, resting);
+    const reason = bracket.lastFilledLeg === 'takeProfit'
+      ? 'take_profit'
+      : bracket.lastFilledLeg === 'stopLoss'
+        ? 'stop_loss'
+        : 'position_closed';
+    return closeBracket(bracket, reason);
+  }
+
+  if (livePrice != null) await adjustStop(bracket, livePrice, atr);
+
+  // Decide which leg should be at the broker right now
+  let wanted = 'stopLoss';
+  let market = false;
+  if (livePrice != null && livePrice <= bracket.stopLoss.price) {
+    market = true;
+  } else if (livePrice != null && livePrice >= bracket.takeProfit.price) {
+    wanted = 'takeProfit';
+  }
+
+  const resting = restingLeg(bracket);
+  // A market exit already working needs nothing more
+  if (resting && bracket[resting].state === 'triggered') return save(bracket);
+
+  if (resting) {
+    const leg = bracket[resting];
+    const wrongLeg = market || resting !== wanted;
+    const wrongSize = Math.abs(leg.orderQty - leg.orderFilledQty - bracket.remainingQty) >= 1e-6;
+    if (wrongLeg || wrongSize) await withdrawLeg(bracket, resting);
+  }
+  if (!restingLeg(bracket) && bracket.remainingQty > 0) {
+    if (market) {
+      logTradeAction('bracket_stop_triggered', symbol, {
+        livePrice,
+        stopPrice: bracket.stopLoss.price,
+      });
+    }
+    await placeLeg(bracket, market ? 'stopLoss' : wanted, livePrice, market);
+  }
+  return save(bracket);
+}
+
+// Cancel the resting leg and stop managing the position
+async function cancelBracket(symbol, reason = 'canceled') {
+  const bracket = activeBracket(symbol);
+  if (!bracket) return null;
+  const resting = restingLeg(bracket);
+  if (resting) await withdrawLeg(bracket, resting);
+  return closeBracket(bracket, reason);
+}
+
+// Express routes
+router.get('/brackets', (req, res) => {
+  const { status } = req.query;
+  res.json(listBrackets().filter((b) => !status || b.status === status));
+});
+
+router.get('/brackets/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid symbol', details: errors });
+  }
+  const bracket = getBracket(req.params.symbol);
+  if (!bracket) {
+    return res.status(404).json({ error: `No bracket for ${req.params.symbol}` });
+  }
+  res.json(bracket);
+});
+
+// Open a bracket by hand: { takeProfitPrice, stopPrice, qty?, protection? }.
+// qty defaults to the whole position, protection to protectionDefaults().
+router.post('/brackets/:symbol', async (req, res) => {
+  const { symbol } = req.params;
+  const errors = validateSymbol(symbol);
+  const { takeProfitPrice, stopPrice, qty, protection } = req.body || {};
+  if (!(typeof takeProfitPrice === 'number' && takeProfitPrice > 0)) {
+    errors.push('takeProfitPrice must be a positive number');
+  }
+  if (!(typeof stopPrice === 'number' && stopPrice > 0)) {
+    errors.push('stopPrice must be a positive number');
+  }
+  if (stopPrice >= takeProfitPrice) {
+    errors.push('stopPrice must be below takeProfitPrice');
+  }
+  if (qty !== undefined && !(typeof qty === 'number' && qty > 0)) {
+    errors.push('qty must be a positive number');
+  }
+  errors.push(...validateProtection(protection));
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid bracket', details: errors });
+  }
+  try {
+    const position = await getPosition(symbol);
+    if (!position) {
+      return res.status(404).json({ error: `No position for ${symbol}` });
+    }
+    const held = parseFloat(position.qty);
+    if (qty !== undefined && qty > held) {
+      return res.status(400).json({
+        error: 'Invalid bracket',
+        details: [`qty exceeds the ${held} held`],
+      });
+    }
+    // Release the coins held by the old legs before sizing the new ones
+    await cancelBracket(symbol, 'replaced');
+    const bracket = await openBracket(symbol, {
+      qty: qty ?? held,
+      basis: parseFloat(position.avg_entry_price),
+      takeProfitPrice,
+      stopPrice,
+      protection,
+    });
+    res.json(bracket);
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+router.delete('/brackets/:symbol', async (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid symbol', details: errors });
+  }
+  try {
+    const bracket = await cancelBracket(req.params.symbol);
+    if (!bracket) {
+      return res.status(404).json({ error: `No active bracket for ${req.params.symbol}` });
+    }
+    res.json(bracket);
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+module.exports = {
+  router,
+  openBracket,
+  reconcile,
+  cancelBracket,
+  getBracket,
+  listBrackets,
+};
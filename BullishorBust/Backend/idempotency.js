@@ -0,0 +1,174 @@
+// idempotency.js
+// Idempotency keys for order submission. Every order the backend sends
+// carries a client_order_id derived from a key, and the key is recorded in
+// the store's `orderKeys` table before the request goes out:
+//
+//   { key, clientOrderId, fingerprint, orderId, status, createdAt, updatedAt }
+//
+// `status` is 'pending' until the broker answers with an order and
+// 'submitted' after. A key still pending on the next attempt means the
+// earlier request may have reached the broker (a timeout, a 5xx after the
+// order was accepted), so submitOrder looks the client_order_id up before
+// sending anything again. A key that already has an order returns that
+// order; reusing it for a different order (another fingerprint) is refused
+// with IdempotencyConflictError.
+//
+// A client's key must come back with the very same order. The backend's own
+// keys name the state they act on (entry:BTCUSD:<last trade time>), which
+// pins the order while its size and price are worked out again from a
+// fresh quote on every attempt, so for them only symbol and side must match.
+//
+// Callers that retry pass the same key to every attempt: the scheduler
+// derives its keys from the state they act on and clients send an
+// Idempotency-Key header. Orders without a key get a fresh one. Records are
+// kept for KEY_TTL_MS.
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const CLIENT_ORDER_ID_PREFIX = 'bob-';
+const CLIENT_KEY_PREFIX = 'client:';
+// Order fields that make two requests the same order
+const FINGERPRINT_FIELDS = [
+  'symbol',
+  'side',
+  'type',
+  'time_in_force',
+  'qty',
+  'notional',
+  'limit_price',
+  'stop_price',
+  'trail_price',
+  'trail_percent',
+];
+// What must match for a key the backend derived itself
+const DERIVED_KEY_FIELDS = ['symbol', 'side'];
+
+// Thrown when a key that already placed an order is sent with another one
+class IdempotencyConflictError extends Error {
+  constructor(key) {
+    super(`Idempotency key ${key} was already used for a different order`);
+    this.name = 'IdempotencyConflictError';
+    this.key = key;
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// The client_order_id sent for a key. The same key always gives the same id.
+function clientOrderId(key) {
+  return `${CLIENT_ORDER_ID_PREFIX}${sha256(key).slice(0, 40)}`;
+}
+
+function fingerprint(order, fields = FINGERPRINT_FIELDS) {
+  return sha256(JSON.stringify(fields.map((field) => order[field] ?? null)));
+}
+
+// The fingerprint of an order sent under `key`
+function keyFingerprint(key, order) {
+  const fields = key.startsWith(CLIENT_KEY_PREFIX) ? FINGERPRINT_FIELDS : DERIVED_KEY_FIELDS;
+  return fingerprint(order, fields);
+}
+
+// A key for an order no caller will retry under the same key
+function newKey(order) {
+  return `${order.side}:${order.symbol}:${crypto.randomUUID()}`;
+}
+
+// Drop records older than KEY_TTL_MS
+function prune(now = Date.now()) {
+  const store = getStore();
+  Object.values(store.all('orderKeys'))
+    .filter((record) => now - Date.parse(record.createdAt) > KEY_TTL_MS)
+    .forEach((record) => store.remove('orderKeys', record.key));
+}
+
+function getKey(key) {
+  return getStore().get('orderKeys', key) || null;
+}
+
+// Whether a key's record was made for this order
+function sameOrder(record, order) {
+  return record.fingerprint === keyFingerprint(record.key, order);
+}
+
+// Record a key as pending just before its order is sent. `id` overrides
+// the derived client_order_id (a client's own). A retry keeps the record's
+// id and creation time.
+function beginKey(key, order, id = clientOrderId(key)) {
+  prune();
+  const previous = getKey(key);
+  const now = new Date().toISOString();
+  const record = {
+    key,
+    clientOrderId: previous?.clientOrderId || id,
+    fingerprint: keyFingerprint(key, order),
+    orderId: null,
+    status: 'pending',
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+  };
+  getStore().set('orderKeys', key, record);
+  return record;
+}
+
+// Record the order the broker placed for a key
+function completeKey(key, orderId) {
+  const record = getKey(key);
+  if (!record) return null;
+  const updated = {
+    ...record,
+    orderId,
+    status: 'submitted',
+    updatedAt: new Date().toISOString(),
+  };
+  getStore().set('orderKeys', key, updated);
+  return updated;
+}
+
+// Forget a pending key after the broker refused the order outright, so the
+// key can be used again
+function releaseKey(key) {
+  const record = getKey(key);
+  if (record && !record.orderId) getStore().remove('orderKeys', key);
+}
+
+// The key a client sent in an Idempotency-Key header, kept apart from the
+// backend's own keys, or undefined when none was sent
+function requestKey(req) {
+  const key = req.get('Idempotency-Key');
+  return key ? `${CLIENT_KEY_PREFIX}${key}` : undefined;
+}
+
+// The key for an order the backend sizes itself on a client's request
+// (POST /trade, /autotrade/buy), or undefined when no Idempotency-Key was
+// sent. It is tied to the client's key but matched like the backend's own
+// keys, since a retry works the order out again.
+function workflowKey(name, req) {
+  const key = req.get('Idempotency-Key');
+  return key ? `${name}:${key}` : undefined;
+}
+
+// The order id a key placed, or null
+function orderIdForKey(key) {
+  return getKey(key)?.orderId || null;
+}
+
+module.exports = {
+  KEY_TTL_MS,
+  IdempotencyConflictError,
+  clientOrderId,
+  fingerprint,
+  newKey,
+  getKey,
+  sameOrder,
+  beginKey,
+  completeKey,
+  releaseKey,
+  orderIdForKey,
+  requestKey,
+  workflowKey,
+  prune,
+};
@@ -1,29 +1,71 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const scheduler = require('./scheduler');
+const trade = require('./trade');
+const account = require('./account');
+const positions = require('./positions');
+const orders = require('./orders');
+const tradeState = require('./tradeState');
+const exitManager = require('./exitManager');
+const riskManager = require('./riskManager');
+const strategyConfig = require('./strategyConfig');
+const config = require('./config');
+const auth = require('./auth');
+const stream = require('./stream');
+const tradeUpdates = require('./tradeUpdates');
+const marketData = require('./marketData');
+const signals = require('./signals');
+const performance = require('./performance');
+const lotLedger = require('./lotLedger');
+const tokenDetail = require('./tokenDetail');
+const assets = require('./assets');
+const brokerClient = require('./brokerClient');
+const logger = require('./logger');
 const app = express();
 app.use(express.json());
-app.use(cors());
-const {
-  ALPACA_API_KEY,
-  ALPACA_SECRET_KEY,
-  ALPACA_BASE_URL,
-} = process.env;
-const headers = {
-  'APCA-API-KEY-ID': ALPACA_API_KEY,
-  'APCA-API-SECRET-KEY': ALPACA_SECRET_KEY,
-};
-app.get('/api/account', async (req, res) => {
-  try {
-    const account = await axios.get(`${ALPACA_BASE_URL}/account`, { headers });
-    res.json(account.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json(error.response?.data || { message: error.message });
-  }
-});
+// Every request logs under its own correlation id (see logger.js)
+app.use(logger.requestContext);
+// Browsers may only call the API from the origins listed in CORS_ORIGINS;
+// the native app does not send an Origin and is unaffected
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: corsOrigins.length ? corsOrigins : false }));
+// Every broker-facing route lives under /api and needs an API token
+app.use('/api', auth.authenticate);
+app.use('/api', auth.router);
+app.use('/api', account.router);
+app.use('/api', positions.router);
+app.use('/api', orders.router);
+app.use('/api', trade.router);
+app.use('/api', scheduler.router);
+app.use('/api', tradeState.router);
+app.use('/api', exitManager.router);
+app.use('/api', riskManager.router);
+app.use('/api', strategyConfig.router);
+app.use('/api', config.router);
+app.use('/api', stream.router);
+app.use('/api', marketData.router);
+app.use('/api', signals.router);
+app.use('/api', performance.router);
+app.use('/api', lotLedger.router);
+app.use('/api', tokenDetail.router);
+app.use('/api', assets.router);
+app.use('/api', brokerClient.router);
+app.use('/api', logger.router);
 app.get('/ping', (req, res) => {
   res.json({ status: 'ok' });
 });
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const server = app.listen(PORT, () => {
+  logger.info('server_started', { port: PORT });
+  // Order fills are pushed by the broker; see tradeUpdates.js
+  tradeUpdates.start();
+  // The tradable pairs and their order increments come from the broker
+  assets.start();
+  if (process.env.AUTO_TRADE_ON_START === 'true') scheduler.start();
+});
+// Live events for the app over a WebSocket at /api/stream (see stream.js)
+stream.attach(server);
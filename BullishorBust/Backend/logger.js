@@ -0,0 +1,218 @@
+// logger.js
+// Structured log for the whole backend. Every entry is one JSON object:
+//
+//   { seq, timestamp, level, type, symbol, correlationId, ...details }
+//
+// `seq` increases with every entry, across restarts too.
+// `type` names the event (buy_success, order_submit_failed...), `level` is
+// debug, info, warn or error, and entries under LOG_LEVEL (default info)
+// are dropped. Entries at LOG_CONSOLE_LEVEL (default warn) and above are
+// also printed as JSON lines ('off' prints none). Each entry is published
+// on the live stream under the 'log' topic and appended to logs.jsonl in
+// TRADE_STATE_DIR, which is rotated to logs.1.jsonl past MAX_FILE_BYTES.
+// The newest MAX_ENTRIES are kept in memory, reloaded from the files on
+// start, and served by GET /api/logs.
+//
+// Correlation ids tie together the entries of one workflow. A request gets
+// one from its X-Correlation-ID header or a new one (echoed back in the
+// response), and the scheduler gives each trade its own, kept with the
+// position so its entry, fills and exits share it. Code run inside
+// withCorrelation() logs under that id without passing it around.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const express = require('express');
+const router = express.Router();
+const { publish } = require('./events');
+const { LOG_LEVELS: LEVELS, validateCorrelationId, validateLogQuery } = require('./validate');
+
+const MAX_ENTRIES = 20000;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const LOG_FILE = 'logs.jsonl';
+const ROTATED_FILE = 'logs.1.jsonl';
+
+const context = new AsyncLocalStorage();
+// Loaded from disk on first use, oldest first
+let entries = null;
+let lastSeq = 0;
+let logDir = null;
+
+// Index of the lowest level `name` lets through; an unknown level lets
+// everything through and 'off' nothing
+function threshold(name, fallback) {
+  const level = String(process.env[name] || fallback).toLowerCase();
+  return level === 'off' ? LEVELS.length : Math.max(0, LEVELS.indexOf(level));
+}
+
+function readEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null; // A line cut short by a crash
+      }
+    })
+    .filter(Boolean);
+}
+
+function load() {
+  if (entries) return;
+  logDir = process.env.TRADE_STATE_DIR || path.join(__dirname, 'data');
+  fs.mkdirSync(logDir, { recursive: true });
+  entries = [
+    ...readEntries(path.join(logDir, ROTATED_FILE)),
+    ...readEntries(path.join(logDir, LOG_FILE)),
+  ];
+  if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+  lastSeq = entries.reduce((max, entry) => Math.max(max, entry.seq || 0), 0);
+}
+
+function persist(entry) {
+  const file = path.join(logDir, LOG_FILE);
+  try {
+    if (fs.existsSync(file) && fs.statSync(file).size > MAX_FILE_BYTES) {
+      fs.renameSync(file, path.join(logDir, ROTATED_FILE));
+    }
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    // Logging must never take the caller down
+    console.error('Log write failed:', err.message);
+  }
+}
+
+// The correlation id of the workflow the caller runs in, or null
+function correlationId() {
+  return context.getStore()?.correlationId ?? null;
+}
+
+function newCorrelationId(prefix) {
+  return `${prefix}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Run `fn` with every entry it logs, sync or async, under `id`
+function withCorrelation(id, fn) {
+  return context.run({ correlationId: id }, fn);
+}
+
+// Record an entry. `fields` may carry symbol and any details; a
+// correlationId in them overrides the current workflow's.
+function log(level, type, fields = {}) {
+  const rank = LEVELS.indexOf(level);
+  if (rank < threshold('LOG_LEVEL', 'info')) return null;
+  load();
+  const { symbol = null, correlationId: given, ...details } = fields;
+  lastSeq += 1;
+  const core = {
+    seq: lastSeq,
+    timestamp: new Date().toISOString(),
+    level,
+    type,
+    symbol,
+    correlationId: given ?? correlationId(),
+  };
+  // Core fields lead the JSON and a detail can't overwrite them
+  const entry = { ...core, ...details, ...core };
+  if (rank >= threshold('LOG_CONSOLE_LEVEL', 'warn')) console.log(JSON.stringify(entry));
+  entries.push(entry);
+  if (entries.length > MAX_ENTRIES) entries.shift();
+  persist(entry);
+  publish('log', entry);
+  return entry;
+}
+
+// Entries matching a validated query (see validateLogQuery), newest first.
+// `before` is the seq to page back from; `nextBefore` is null on the last
+// page.
+function queryLogs({
+  symbol,
+  types,
+  level,
+  correlationId: workflow,
+  since,
+  until,
+  q,
+  before,
+  limit = 100,
+} = {}) {
+  load();
+  const from = since ? Date.parse(since) : null;
+  const to = until ? Date.parse(until) : null;
+  const min = level ? LEVELS.indexOf(level) : 0;
+  const needle = q ? q.toLowerCase() : null;
+  const matches = [];
+  for (let i = entries.length - 1; i >= 0 && matches.length <= limit; i -= 1) {
+    const entry = entries[i];
+    const time = Date.parse(entry.timestamp);
+    if (before && entry.seq >= before) continue;
+    if (from !== null && time < from) break;
+    if (to !== null && time > to) continue;
+    if (symbol && entry.symbol !== symbol) continue;
+    if (types && !types.includes(entry.type)) continue;
+    if (LEVELS.indexOf(entry.level) < min) continue;
+    if (workflow && entry.correlationId !== workflow) continue;
+    if (needle && !JSON.stringify(entry).toLowerCase().includes(needle)) continue;
+    matches.push(entry);
+  }
+  const page = matches.slice(0, limit);
+  return {
+    entries: page,
+    nextBefore: matches.length > limit ? page[page.length - 1].seq : null,
+  };
+}
+
+// Entry types seen, with how many of each, most frequent first
+function logTypes() {
+  load();
+  const counts = {};
+  entries.forEach((entry) => {
+    counts[entry.type] = (counts[entry.type] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+}
+
+// Express middleware giving each request a correlation id
+function requestContext(req, res, next) {
+  const given = req.get('X-Correlation-ID');
+  const id = given && !validateCorrelationId(given).length ? given : newCorrelationId('req');
+  res.set('X-Correlation-ID', id);
+  withCorrelation(id, next);
+}
+
+// Express routes
+// GET /logs?symbol=BTCUSD&type=buy_success,buy_failed&level=warn
+//   &correlationId=&since=&until=&q=&before=&limit=
+router.get('/logs', (req, res) => {
+  const { errors, params } = validateLogQuery(req.query);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  res.json(queryLogs(params));
+});
+
+router.get('/logs/types', (req, res) => {
+  res.json(logTypes());
+});
+
+module.exports = {
+  router,
+  LEVELS,
+  log,
+  debug: (type, fields) => log('debug', type, fields),
+  info: (type, fields) => log('info', type, fields),
+  warn: (type, fields) => log('warn', type, fields),
+  error: (type, fields) => log('error', type, fields),
+  queryLogs,
+  logTypes,
+  correlationId,
+  newCorrelationId,
+  withCorrelation,
+  requestContext,
+};
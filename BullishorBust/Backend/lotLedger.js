@@ -0,0 +1,189 @@
+// lotLedger.js
+// Disposal ledger for tax and bookkeeping, built from the account's fills:
+// every sell is matched to the buy lots it disposed of, and each match is
+// one row with its acquisition and disposal dates, quantity, cost basis,
+// proceeds, fees and holding term.
+//
+// Basis is matched FIFO, LIFO or by specific identification. Specific lots
+// are designated per sell order (PUT /api/export/lot-selections/:orderId)
+// and stored, so a report run later matches them the same way; the part of
+// a sell without a designation falls back to FIFO.
+//
+// Matching always starts from the first fill the broker has, so a lot
+// bought before the requested range keeps its real basis; the range only
+// selects which disposals are reported.
+const express = require('express');
+const router = express.Router();
+const { METHODS, loadFills, matchRoundTrips } = require('./performance');
+const { sendAlpacaError } = require('./trade');
+const { getStore } = require('./store');
+const { validateOrderId, validateSymbol } = require('./validate');
+const { logTradeAction } = require('./tradeLog');
+
+const FORMATS = ['json', 'csv'];
+const CSV_COLUMNS = [
+  'symbol',
+  'quantity',
+  'acquired',
+  'disposed',
+  'term',
+  'costBasis',
+  'proceeds',
+  'fees',
+  'gain',
+  'buyOrderId',
+  'sellOrderId',
+];
+
+// Held for more than one year: disposed after the acquisition's anniversary
+function holdingTerm(acquired, disposed) {
+  if (!acquired) return 'unknown';
+  const anniversary = new Date(acquired);
+  anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+  return new Date(disposed) > anniversary ? 'long' : 'short';
+}
+
+// Ledger rows for round trips and unmatched sells. Cost basis and proceeds
+// are before fees; gain is proceeds - cost basis - fees.
+function ledgerRows({ roundTrips, unmatchedSells }) {
+  const rows = roundTrips.map((t) => ({
+    symbol: t.symbol,
+    quantity: t.qty,
+    acquired: t.entryTime,
+    disposed: t.exitTime,
+    term: holdingTerm(t.entryTime, t.exitTime),
+    costBasis: t.cost,
+    proceeds: t.proceeds,
+    fees: t.fees,
+    gain: t.pnl,
+    buyOrderId: t.buyOrderId,
+    sellOrderId: t.sellOrderId,
+  }));
+  // Sold without a known acquisition: the basis has to be filled in by hand
+  unmatchedSells.forEach((s) => {
+    rows.push({
+      symbol: s.symbol,
+      quantity: s.qty,
+      acquired: null,
+      disposed: s.time,
+      term: 'unknown',
+      costBasis: null,
+      proceeds: s.qty * s.price,
+      fees: s.fees,
+      gain: null,
+      buyOrderId: null,
+      sellOrderId: s.sellOrderId,
+    });
+  });
+  return rows.sort((a, b) => a.disposed.localeCompare(b.disposed));
+}
+
+function totals(rows) {
+  const sum = (list, key) => list.reduce((total, r) => total + (r[key] || 0), 0);
+  const byTerm = (term) => rows.filter((r) => r.term === term);
+  return {
+    rows: rows.length,
+    proceeds: sum(rows, 'proceeds'),
+    costBasis: sum(rows, 'costBasis'),
+    fees: sum(rows, 'fees'),
+    shortTermGain: sum(byTerm('short'), 'gain'),
+    longTermGain: sum(byTerm('long'), 'gain'),
+    unknownBasis: byTerm('unknown').length,
+  };
+}
+
+// Ledger of disposals between `from` and `to` (ISO times, either open)
+async function buildLedger({ from, to, method = 'fifo', symbol } = {}) {
+  const { fills, fees, estimated } = await loadFills({ until: to, symbol });
+  const matched = matchRoundTrips(fills, {
+    fees,
+    method,
+    selections: method === 'specific' ? getStore().all('lotSelections') : {},
+  });
+  const rows = ledgerRows(matched).filter((r) => !from || r.disposed >= from);
+  return {
+    method,
+    from: from || null,
+    to: to || null,
+    feesEstimated: estimated,
+    totals: totals(rows),
+    rows,
+  };
+}
+
+function csvField(value) {
+  if (value == null) return '';
+  const text = typeof value === 'number' ? String(Number(value.toFixed(8))) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = rows.map((row) => CSV_COLUMNS.map((c) => csvField(row[c])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...lines].join('\n')}\n`;
+}
+
+// Express routes
+// GET /export/lots?from=2025-01-01&to=2025-04-01&method=fifo|lifo|specific
+//   &format=json|csv&symbol=BTCUSD
+router.get('/export/lots', async (req, res) => {
+  const { from, to, symbol, method = 'fifo', format = 'json' } = req.query;
+  const errors = symbol !== undefined ? validateSymbol(symbol) : [];
+  [['from', from], ['to', to]].forEach(([name, value]) => {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      errors.push(`${name} must be an ISO date`);
+    }
+  });
+  if (!Object.keys(METHODS).includes(method)) {
+    errors.push(`method must be one of ${Object.keys(METHODS).join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) errors.push(`format must be one of ${FORMATS.join(', ')}`);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const [start, end] = [from, to].map((d) => d && new Date(d).toISOString());
+  try {
+    const ledger = await buildLedger({ from: start, to: end, method, symbol });
+    if (format === 'json') return res.json(ledger);
+    const range = [start, end].map((d) => (d ? d.slice(0, 10) : 'all')).join('_');
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="lots-${method}-${range}.csv"`);
+    res.send(toCsv(ledger.rows));
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Specific-ID designations: sell order id -> buy order ids, in order
+router.get('/export/lot-selections', (req, res) => {
+  res.json(getStore().all('lotSelections'));
+});
+
+// Designate the buy orders a sell disposes of: { buyOrderIds: [...] }
+router.put('/export/lot-selections/:orderId', (req, res) => {
+  const errors = validateOrderId(req.params.orderId);
+  const buyOrderIds = req.body?.buyOrderIds;
+  if (!Array.isArray(buyOrderIds) || buyOrderIds.length === 0) {
+    errors.push('buyOrderIds must be a non-empty array of order ids');
+  } else {
+    buyOrderIds.forEach((id) => errors.push(...validateOrderId(id)));
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid lot selection', details: errors });
+  }
+  getStore().set('lotSelections', req.params.orderId, buyOrderIds);
+  logTradeAction('lot_selection_updated', null, { sellOrderId: req.params.orderId, buyOrderIds });
+  res.json({ sellOrderId: req.params.orderId, buyOrderIds });
+});
+
+router.delete('/export/lot-selections/:orderId', (req, res) => {
+  const errors = validateOrderId(req.params.orderId);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid order id', details: errors });
+  }
+  if (!getStore().remove('lotSelections', req.params.orderId)) {
+    return res.status(404).json({ error: `No lot selection for ${req.params.orderId}` });
+  }
+  res.status(204).end();
+});
+
+module.exports = { router, buildLedger, holdingTerm, toCsv };
@@ -0,0 +1,354 @@
+// marketData.js
+// One place for prices and bars. Providers (CryptoCompare and Alpaca's
+// crypto data API) are tried in order: one that errors, times out or
+// answers with stale data is skipped for the next, and one that failed
+// recently moves to the back of the line for a while. Results are cached for
+// a few seconds so the scheduler, the routes and the app can ask freely.
+//
+// Everything is keyed by the Alpaca pair symbol (BTCUSD). Each provider maps
+// it explicitly: CryptoCompare takes the pair's `cc` from its asset record
+// (tokens.js) and the quote currency (fsym BTC, tsym USD), Alpaca takes
+// BTC/USD. Results are normalized:
+//
+//   quote: { symbol, price, bid, ask, time, provider }
+//   bars:  { symbol, interval, provider, bars: [{ time, open, high, low,
+//            close, volume }] }
+//
+// with times in epoch milliseconds and bars oldest first.
+require('dotenv').config({ path: __dirname + '/.env' });
+const axios = require('axios');
+const express = require('express');
+const router = express.Router();
+const { getAsset } = require('./assets');
+const { validateSymbol } = require('./validate');
+
+const {
+  ALPACA_API_KEY: API_KEY,
+  ALPACA_SECRET_KEY: SECRET_KEY,
+  ALPACA_DATA_URL: DATA_URL,
+  MARKET_DATA_PROVIDERS,
+  MARKET_DATA_TIMEOUT_MS,
+} = process.env;
+
+const CRYPTOCOMPARE_URL = 'https://min-api.cryptocompare.com';
+const MINUTE_MS = 60 * 1000;
+
+const QUOTE_TTL_MS = 5 * 1000;
+const BARS_TTL_MS = 30 * 1000;
+// A quote older than this is stale
+const MAX_QUOTE_AGE_MS = 2 * MINUTE_MS;
+// Bars are stale when the newest one opened more than this many intervals ago
+const MAX_BAR_LAG = 2;
+// How long a provider that failed waits at the back of the line
+const PROVIDER_COOLDOWN_MS = MINUTE_MS;
+// A provider request still unanswered after this fails, so the next is asked
+const PROVIDER_TIMEOUT_MS = Number(MARKET_DATA_TIMEOUT_MS) || 5 * 1000;
+const MAX_BARS = 1000;
+
+// Bar sizes with their length and each provider's name for them
+const INTERVALS = {
+  '1m': { ms: MINUTE_MS, cryptocompare: ['histominute', 1], alpaca: '1Min' },
+  '5m': { ms: 5 * MINUTE_MS, cryptocompare: ['histominute', 5], alpaca: '5Min' },
+  '15m': { ms: 15 * MINUTE_MS, cryptocompare: ['histominute', 15], alpaca: '15Min' },
+  '1h': { ms: 60 * MINUTE_MS, cryptocompare: ['histohour', 1], alpaca: '1Hour' },
+  '1d': { ms: 24 * 60 * MINUTE_MS, cryptocompare: ['histoday', 1], alpaca: '1Day' },
+};
+
+const QUOTE_CURRENCIES = ['USDT', 'USDC', 'USD'];
+
+// { symbol, base, quote, cc } for an Alpaca pair symbol (BTCUSD or BTC/USD),
+// from the pair's asset record. A pair with no record is split at its quote
+// currency and priced under its base.
+function resolveSymbol(raw) {
+  const symbol = String(raw || '').replace('/', '').toUpperCase();
+  const asset = getAsset(symbol);
+  if (asset) {
+    return { symbol, base: asset.base, quote: asset.quote, cc: asset.cc || asset.base };
+  }
+  const quote = QUOTE_CURRENCIES.find((q) => symbol.endsWith(q) && symbol.length > q.length);
+  if (!quote) return null;
+  const base = symbol.slice(0, -quote.length);
+  return { symbol, base, quote, cc: base };
+}
+
+const http = axios.create({ timeout: PROVIDER_TIMEOUT_MS });
+
+const ALPACA_HEADERS = {
+  'APCA-API-KEY-ID': API_KEY,
+  'APCA-API-SECRET-KEY': SECRET_KEY,
+};
+
+const cryptocompare = {
+  name: 'cryptocompare',
+  mapSymbol: (info) => ({ fsym: info.cc, tsym: info.quote }),
+  async getQuote(info) {
+    const { fsym, tsym } = this.mapSymbol(info);
+    const res = await http.get(`${CRYPTOCOMPARE_URL}/data/pricemultifull`, {
+      params: { fsyms: fsym, tsyms: tsym },
+    });
+    const raw = res.data?.RAW?.[fsym]?.[tsym];
+    if (typeof raw?.PRICE !== 'number') throw new Error(`No CryptoCompare price for ${fsym}`);
+    return {
+      price: raw.PRICE,
+      bid: null,
+      ask: null,
+      time: raw.LASTUPDATE ? raw.LASTUPDATE * 1000 : Date.now(),
+    };
+  },
+  async getBars(info, interval, limit) {
+    const { fsym, tsym } = this.mapSymbol(info);
+    const [endpoint, aggregate] = INTERVALS[interval].cryptocompare;
+    const res = await http.get(`${CRYPTOCOMPARE_URL}/data/v2/${endpoint}`, {
+      params: { fsym, tsym, limit: limit - 1, aggregate },
+    });
+    if (res.data?.Response === 'Error') throw new Error(res.data.Message);
+    const rows = Array.isArray(res.data?.Data?.Data) ? res.data.Data.Data : [];
+    return rows.map((bar) => ({
+      time: bar.time * 1000,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volumefrom,
+    }));
+  },
+};
+
+const alpaca = {
+  name: 'alpaca',
+  mapSymbol: (info) => `${info.base}/${info.quote}`,
+  async getQuote(info) {
+    const pair = this.mapSymbol(info);
+    const [tradeRes, quoteRes] = await Promise.all([
+      http.get(`${DATA_URL}/crypto/latest/trades`, {
+        params: { symbols: pair },
+        headers: ALPACA_HEADERS,
+      }),
+      http.get(`${DATA_URL}/crypto/latest/quotes`, {
+        params: { symbols: pair },
+        headers: ALPACA_HEADERS,
+      }),
+    ]);
+    const trade = tradeRes.data?.trades?.[pair];
+    if (!trade) throw new Error(`No Alpaca trade for ${pair}`);
+    const quote = quoteRes.data?.quotes?.[pair];
+    return {
+      price: Number(trade.p),
+      bid: quote ? Number(quote.bp) : null,
+      ask: quote ? Number(quote.ap) : null,
+      time: Date.parse(trade.t),
+    };
+  },
+  async getBars(info, interval, limit) {
+    const pair = this.mapSymbol(info);
+    const start = new Date(Date.now() - INTERVALS[interval].ms * (limit + 1)).toISOString();
+    const res = await http.get(`${DATA_URL}/crypto/bars`, {
+      params: { symbols: pair, timeframe: INTERVALS[interval].alpaca, limit, start },
+      headers: ALPACA_HEADERS,
+    });
+    const rows = res.data?.bars?.[pair] || [];
+    return rows.map((bar) => ({
+      time: Date.parse(bar.t),
+      open: bar.o,
+      high: bar.h,
+      low: bar.l,
+      close: bar.c,
+      volume: bar.v,
+    }));
+  },
+};
+
+const providers = new Map();
+const health = new Map(); // provider name -> { successes, failures, lastError... }
+const cache = new Map();
+
+// Add or replace a provider: { name, getQuote(info), getBars(info,
+// interval, limit) }. Both return the normalized shapes without `symbol`
+// and `provider`, which are filled in here. It is only asked once it is in
+// the provider order (setProviderOrder or MARKET_DATA_PROVIDERS).
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+  health.set(provider.name, {
+    successes: 0,
+    failures: 0,
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null,
+  });
+}
+
+registerProvider(cryptocompare);
+registerProvider(alpaca);
+
+// Providers to ask, in order. MARKET_DATA_PROVIDERS=alpaca leaves
+// CryptoCompare out entirely.
+let order = (MARKET_DATA_PROVIDERS || 'cryptocompare,alpaca')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+function setProviderOrder(names) {
+  order = names;
+  cache.clear();
+}
+
+// Configured order with providers that failed recently moved to the end
+function providerOrder() {
+  const cooling = (name) => {
+    const { lastErrorAt } = health.get(name);
+    return lastErrorAt != null && Date.now() - lastErrorAt < PROVIDER_COOLDOWN_MS;
+  };
+  return order
+    .filter((name) => providers.has(name))
+    .sort((a, b) => Number(cooling(a)) - Number(cooling(b)));
+}
+
+function recordFailure(name, message) {
+  const h = health.get(name);
+  h.failures += 1;
+  h.lastError = message;
+  h.lastErrorAt = Date.now();
+}
+
+function recordSuccess(name) {
+  const h = health.get(name);
+  h.successes += 1;
+  h.lastSuccessAt = Date.now();
+  h.lastErrorAt = null;
+}
+
+function quoteStaleness(quote) {
+  if (!Number.isFinite(quote.price) || quote.price <= 0) return 'no valid price';
+  const age = Date.now() - quote.time;
+  return age > MAX_QUOTE_AGE_MS ? `quote is ${Math.round(age / 1000)}s old` : null;
+}
+
+function barsStaleness(bars, interval) {
+  if (bars.length === 0) return 'no bars';
+  const lag = Date.now() - bars[bars.length - 1].time;
+  return lag > INTERVALS[interval].ms * MAX_BAR_LAG
+    ? `newest bar is ${Math.round(lag / MINUTE_MS)}m old`
+    : null;
+}
+
+// Ask each provider in turn until one answers with fresh data
+async function fromProviders(kind, info, request, staleness) {
+  const key = `${kind}:${info.symbol}`;
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  const problems = [];
+  for (const name of providerOrder()) {
+    try {
+      const result = await request(providers.get(name));
+      const stale = staleness(result);
+      if (stale) {
+        recordFailure(name, stale);
+        problems.push(`${name}: ${stale}`);
+        continue;
+      }
+      recordSuccess(name);
+      const value = { symbol: info.symbol, provider: name, ...result };
+      const ttl = kind === 'quote' ? QUOTE_TTL_MS : BARS_TTL_MS;
+      cache.set(key, { value, expires: Date.now() + ttl });
+      return value;
+    } catch (err) {
+      const message = err?.response?.data?.message || err.message;
+      recordFailure(name, message);
+      problems.push(`${name}: ${message}`);
+    }
+  }
+  throw new Error(`No fresh ${kind} for ${info.symbol} (${problems.join('; ')})`);
+}
+
+function requireSymbol(symbol) {
+  const info = resolveSymbol(symbol);
+  if (!info) throw new Error(`Unknown symbol ${symbol}`);
+  return info;
+}
+
+// Latest quote for a pair symbol
+async function getQuote(symbol) {
+  const info = requireSymbol(symbol);
+  return fromProviders('quote', info, (p) => p.getQuote(info), quoteStaleness);
+}
+
+// The last `limit` bars (the newest possibly still forming)
+async function getBars(symbol, { interval = '15m', limit = 53 } = {}) {
+  const info = requireSymbol(symbol);
+  if (!INTERVALS[interval]) throw new Error(`Unknown interval ${interval}`);
+  const count = Math.min(Math.max(1, limit), MAX_BARS);
+  return fromProviders(
+    `bars:${interval}:${count}`,
+    info,
+    async (p) => ({ interval, bars: (await p.getBars(info, interval, count)).slice(-count) }),
+    (r) => barsStaleness(r.bars, interval)
+  );
+}
+
+function getProviderHealth() {
+  return providerOrder().map((name) => ({ name, ...health.get(name) }));
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+// Express routes
+// GET /market/quotes?symbols=BTCUSD,ETHUSD
+router.get('/market/quotes', async (req, res) => {
+  const symbols = String(req.query.symbols || '').split(',').filter(Boolean);
+  const errors = symbols.length ? symbols.flatMap(validateSymbol) : ['symbols is required'];
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const quotes = {};
+  const failures = {};
+  await Promise.all(
+    symbols.map(async (symbol) => {
+      try {
+        quotes[symbol] = await getQuote(symbol);
+      } catch (err) {
+        failures[symbol] = err.message;
+      }
+    })
+  );
+  res.json({ quotes, failures });
+});
+
+// GET /market/bars/:symbol?interval=15m&limit=53
+router.get('/market/bars/:symbol', async (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  const { interval = '15m' } = req.query;
+  const limit = req.query.limit === undefined ? 53 : Number(req.query.limit);
+  if (!INTERVALS[interval]) {
+    errors.push(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BARS) {
+    errors.push(`limit must be an integer between 1 and ${MAX_BARS}`);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  try {
+    res.json(await getBars(req.params.symbol, { interval, limit }));
+  } catch (err) {
+    res.status(502).json({ error: err.message });
+  }
+});
+
+router.get('/market/providers', (req, res) => {
+  res.json(getProviderHealth());
+});
+
+module.exports = {
+  router,
+  INTERVALS,
+  resolveSymbol,
+  registerProvider,
+  setProviderOrder,
+  getQuote,
+  getBars,
+  getProviderHealth,
+  clearCache,
+};
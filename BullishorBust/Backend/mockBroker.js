@@ -0,0 +1,875 @@
+// mockBroker.js
+// Local stand-in for the Alpaca v2 trading API and the crypto market data
+// endpoints the backend uses. Orders fill against a price feed that tests
+// or a developer script through the /mock routes, so the backend can run
+// fully offline:
+//
+//   npm run mock-broker
+//   ALPACA_BASE_URL=http://localhost:10001 \
+//   ALPACA_DATA_URL=http://localhost:10001/v1beta2 npm start
+//
+// Market orders fill immediately at the current price. Limit buys fill once
+// the price is at or below the limit (sells at or above), stop_limit orders
+// trigger once the price crosses the stop and then rest as a limit. Plain
+// stop orders are refused, as Alpaca does for crypto. Open sell orders
+// reserve their quantity and open buys reserve cash, exactly like Alpaca,
+// so over-selling is rejected with the same 403 "insufficient balance"
+// error.
+//
+// Order events are pushed like Alpaca's trade_updates stream on a
+// WebSocket at /stream once the broker is started with listen() (or
+// attach() on an existing server).
+const crypto = require('crypto');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { ALPACA_TOKENS } = require('./tokens');
+
+const OPEN_STATUSES = ['new', 'accepted', 'partially_filled', 'pending_new'];
+// The order types Alpaca accepts for crypto
+const ORDER_TYPES = ['market', 'limit', 'stop_limit'];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Alpaca accepts BTC/USD and BTCUSD but reports positions as BTCUSD
+function normalizeSymbol(symbol) {
+  return String(symbol || '').replace('/', '').toUpperCase();
+}
+
+function round(value, decimals = 9) {
+  return parseFloat(Number(value).toFixed(decimals));
+}
+
+// Alpaca's crypto asset record for a pair ('BTC/USD'). Increments default
+// to fine enough values that no test order trips over them.
+function cryptoAsset({ symbol, tradable = true, status = 'active', ...increments }) {
+  return {
+    id: crypto.randomUUID(),
+    class: 'crypto',
+    exchange: 'CRYPTO',
+    symbol,
+    name: symbol,
+    status,
+    tradable,
+    marginable: false,
+    shortable: false,
+    easy_to_borrow: false,
+    fractionable: true,
+    min_order_size: '0.000000002',
+    min_trade_increment: '0.000000001',
+    price_increment: '0.000000001',
+    ...increments,
+  };
+}
+
+function alpacaError(res, status, code, message) {
+  return res.status(status).json({ code, message });
+}
+
+function createMockBroker(options = {}) {
+  const initialCash = options.cash ?? 100000;
+  // Every seed pair is listed and tradable, stablecoins included, as on
+  // Alpaca; options.assets replaces the list ({ symbol: 'BTC/USD', ... })
+  const assets = (options.assets || ALPACA_TOKENS.map((t) => ({ symbol: t.name }))).map(
+    cryptoAsset
+  );
+  let state;
+  // Stream sockets that authenticated and listen to trade_updates
+  const listeners = new Set();
+
+  function reset(cash = initialCash) {
+    state = {
+      cash,
+      lastEquity: cash,
+      equityDay: nowIso().slice(0, 10),
+      prices: {},
+      history: {},
+      positions: {},
+      orders: [],
+      fills: [],
+      // { t, equity } after every price change and fill
+      equityHistory: [{ t: nowIso(), equity: cash }],
+      script: null,
+      // Orders still to be placed with their response lost (see below)
+      droppedResponses: 0,
+      // Trading API requests still to be answered 429, and the Retry-After
+      // (seconds) sent with them
+      rateLimited: 0,
+      retryAfter: 1,
+      // Stream logins refused as if the credentials were wrong
+      refuseStreams: false,
+    };
+  }
+  reset();
+
+  function price(symbol) {
+    return state.prices[normalizeSymbol(symbol)] ?? null;
+  }
+
+  function positionValue() {
+    return Object.values(state.positions).reduce(
+      (sum, p) => sum + p.qty * (price(p.symbol) ?? p.avgEntryPrice),
+      0
+    );
+  }
+
+  function equity() {
+    return state.cash + positionValue();
+  }
+
+  function recordEquity() {
+    state.equityHistory.push({ t: nowIso(), equity: round(equity(), 4) });
+    if (state.equityHistory.length > 5000) state.equityHistory.shift();
+  }
+
+  // Roll last_equity over at the first request of a new UTC day
+  function rollDay() {
+    const today = nowIso().slice(0, 10);
+    if (today !== state.equityDay) {
+      state.lastEquity = equity();
+      state.equityDay = today;
+    }
+  }
+
+  function openOrders() {
+    return state.orders.filter((o) => OPEN_STATUSES.includes(o.status));
+  }
+
+  function reservedQty(symbol, exceptId) {
+    return openOrders()
+      .filter((o) => o.symbol === symbol && o.side === 'sell' && o.id !== exceptId)
+      .reduce((sum, o) => sum + (Number(o.qty) - Number(o.filled_qty)), 0);
+  }
+
+  function reservedCash(exceptId) {
+    return openOrders()
+      .filter((o) => o.side === 'buy' && o.id !== exceptId)
+      .reduce((sum, o) => {
+        const ref = Number(o.limit_price ?? o.stop_price ?? price(o.symbol) ?? 0);
+        const remaining = o.notional != null
+          ? Number(o.notional)
+          : (Number(o.qty) - Number(o.filled_qty)) * ref;
+        return sum + remaining;
+      }, 0);
+  }
+
+  function buyingPower(exceptId) {
+    return Math.max(0, state.cash - reservedCash(exceptId));
+  }
+
+  function serializePosition(p) {
+    const current = price(p.symbol) ?? p.avgEntryPrice;
+    const marketValue = p.qty * current;
+    const costBasis = p.qty * p.avgEntryPrice;
+    return {
+      asset_id: p.assetId,
+      symbol: p.symbol,
+      exchange: 'CRYPTO',
+      asset_class: 'crypto',
+      qty: String(round(p.qty)),
+      qty_available: String(round(Math.max(0, p.qty - reservedQty(p.symbol)))),
+      avg_entry_price: String(round(p.avgEntryPrice)),
+      side: 'long',
+      market_value: String(round(marketValue, 4)),
+      cost_basis: String(round(costBasis, 4)),
+      unrealized_pl: String(round(marketValue - costBasis, 4)),
+      unrealized_plpc: String(costBasis ? round((marketValue - costBasis) / costBasis, 6) : 0),
+      current_price: String(current),
+      lastday_price: String(current),
+      change_today: '0',
+    };
+  }
+
+  function serializeAccount() {
+    rollDay();
+    const eq = equity();
+    const bp = buyingPower();
+    return {
+      id: 'mock-account',
+      account_number: 'MOCK000001',
+      status: 'ACTIVE',
+      crypto_status: 'ACTIVE',
+      currency: 'USD',
+      cash: String(round(state.cash, 4)),
+      buying_power: String(round(bp, 4)),
+      non_marginable_buying_power: String(round(bp, 4)),
+      portfolio_value: String(round(eq, 4)),
+      equity: String(round(eq, 4)),
+      last_equity: String(round(state.lastEquity, 4)),
+      long_market_value: String(round(positionValue(), 4)),
+      short_market_value: '0',
+      pattern_day_trader: false,
+      trading_blocked: false,
+      account_blocked: false,
+      created_at: '2024-01-01T00:00:00Z',
+    };
+  }
+
+  // Apply a (partial) fill to an order and the account
+  function fill(order, qty, fillPrice) {
+    const symbol = order.symbol;
+    const notional = qty * fillPrice;
+    if (order.side === 'buy') {
+      state.cash -= notional;
+      const pos = state.positions[symbol] || {
+        symbol,
+        assetId: crypto.randomUUID(),
+        qty: 0,
+        avgEntryPrice: 0,
+      };
+      pos.avgEntryPrice = (pos.avgEntryPrice * pos.qty + notional) / (pos.qty + qty);
+      pos.qty = round(pos.qty + qty);
+      state.positions[symbol] = pos;
+    } else {
+      state.cash += notional;
+      const pos = state.positions[symbol];
+      pos.qty = round(pos.qty - qty);
+      if (pos.qty <= 0) delete state.positions[symbol];
+    }
+    const prevQty = Number(order.filled_qty);
+    const prevAvg = Number(order.filled_avg_price || 0);
+    const filledQty = round(prevQty + qty);
+    order.filled_avg_price = String(round((prevAvg * prevQty + notional) / filledQty));
+    order.filled_qty = String(filledQty);
+    order.updated_at = nowIso();
+    const complete = filledQty >= Number(order.qty) - 1e-9;
+    order.status = complete ? 'filled' : 'partially_filled';
+    if (complete) order.filled_at = order.updated_at;
+    const execution = {
+      id: crypto.randomUUID(),
+      activity_type: 'FILL',
+      type: complete ? 'fill' : 'partial_fill',
+      transaction_time: order.updated_at,
+      order_id: order.id,
+      symbol,
+      side: order.side,
+      qty: String(qty),
+      price: String(fillPrice),
+      cum_qty: order.filled_qty,
+      leaves_qty: String(round(Number(order.qty) - filledQty)),
+      order_status: order.status,
+    };
+    state.fills.push(execution);
+    recordEquity();
+    emitTradeUpdate(execution.type, order, {
+      execution_id: execution.id,
+      price: execution.price,
+      qty: execution.qty,
+      position_qty: String(state.positions[symbol]?.qty ?? 0),
+    });
+  }
+
+  // Try to fill one open order at the current price
+  function evaluate(order) {
+    const p = price(order.symbol);
+    if (p == null) return;
+    const remaining = round(Number(order.qty) - Number(order.filled_qty));
+    if (remaining <= 0) return;
+    const isBuy = order.side === 'buy';
+
+    if (order.type === 'stop_limit' && !order.triggered) {
+      const stop = Number(order.stop_price);
+      const crossed = isBuy ? p >= stop : p <= stop;
+      if (!crossed) return;
+      order.triggered = true;
+    }
+
+    if (order.type === 'market') {
+      fill(order, remaining, p);
+      return;
+    }
+    const limit = Number(order.limit_price);
+    if (isBuy ? p <= limit : p >= limit) {
+      // Marketable limits fill at the better of the limit and the price
+      fill(order, remaining, isBuy ? Math.min(p, limit) : Math.max(p, limit));
+    }
+  }
+
+  function evaluateAll(symbol) {
+    openOrders()
+      .filter((o) => !symbol || o.symbol === symbol)
+      .forEach(evaluate);
+  }
+
+  // Set one or more prices ({ BTCUSD: 65000 }) and fill what crosses
+  function setPrices(prices) {
+    const time = nowIso();
+    Object.entries(prices).forEach(([raw, value]) => {
+      const symbol = normalizeSymbol(raw);
+      const p = Number(value);
+      if (!Number.isFinite(p) || p <= 0) {
+        throw new Error(`Invalid price for ${symbol}: ${value}`);
+      }
+      state.prices[symbol] = p;
+      state.history[symbol] = (state.history[symbol] || []).concat({ t: time, p }).slice(-5000);
+      evaluateAll(symbol);
+    });
+    recordEquity();
+  }
+
+  // Play a list of price steps, one every `intervalMs`
+  function playScript(steps, intervalMs = 1000) {
+    stopScript();
+    let index = 0;
+    const step = () => {
+      if (index >= steps.length) {
+        stopScript();
+        return;
+      }
+      setPrices(steps[index]);
+      index += 1;
+    };
+    step();
+    state.script = { timer: setInterval(step, intervalMs), steps: steps.length };
+    state.script.timer.unref?.();
+  }
+
+  function stopScript() {
+    if (state.script) clearInterval(state.script.timer);
+    state.script = null;
+  }
+
+  // Validate an order request, returning an error message or null
+  function checkOrder(body) {
+    const symbol = normalizeSymbol(body.symbol);
+    if (!symbol) return 'symbol is required';
+    if (!['buy', 'sell'].includes(body.side)) return 'side must be buy or sell';
+    if (!ORDER_TYPES.includes(body.type)) return `invalid order type ${body.type}`;
+    if (!['gtc', 'ioc'].includes(body.time_in_force)) {
+      return 'invalid crypto time_in_force';
+    }
+    const hasQty = body.qty != null && body.qty !== '';
+    const hasNotional = body.notional != null && body.notional !== '';
+    if (hasQty === hasNotional) return 'qty or notional is required';
+    if (hasNotional && body.type !== 'market') return 'notional is only supported for market orders';
+    if ((body.type === 'limit' || body.type === 'stop_limit') && !(Number(body.limit_price) > 0)) {
+      return 'limit_price is required';
+    }
+    if (body.type === 'stop_limit' && !(Number(body.stop_price) > 0)) {
+      return 'stop_price is required';
+    }
+    if (price(symbol) == null) return `no price available for ${symbol}`;
+    return null;
+  }
+
+  // Resolve qty for notional orders and check balances. Returns
+  // { qty } or { status, code, message } on rejection.
+  function reserve(body, symbol, exceptId) {
+    const p = price(symbol);
+    const qty = body.notional != null && body.notional !== ''
+      ? round(Number(body.notional) / p)
+      : Number(body.qty);
+    if (!(qty > 0)) return { status: 422, code: 40010001, message: 'qty must be > 0' };
+    if (body.side === 'sell') {
+      const held = state.positions[symbol]?.qty ?? 0;
+      const available = round(held - reservedQty(symbol, exceptId));
+      if (qty > available + 1e-9) {
+        return {
+          status: 403,
+          code: 40310000,
+          message: `insufficient balance for ${symbol.replace(/USD$/, '')} (requested: ${qty}, available: ${available})`,
+        };
+      }
+    } else {
+      const ref = Number(body.limit_price ?? body.stop_price ?? p);
+      const cost = qty * ref;
+      const available = buyingPower(exceptId);
+      if (cost > available + 1e-6) {
+        return {
+          status: 403,
+          code: 40310000,
+          message: `insufficient balance for USD (requested: ${round(cost, 2)}, available: ${round(available, 2)})`,
+        };
+      }
+    }
+    return { qty };
+  }
+
+  function createOrder(body, symbol, qty, extra = {}) {
+    const time = nowIso();
+    const order = {
+      id: crypto.randomUUID(),
+      client_order_id: body.client_order_id || crypto.randomUUID(),
+      created_at: time,
+      updated_at: time,
+      submitted_at: time,
+      filled_at: null,
+      expired_at: null,
+      canceled_at: null,
+      failed_at: null,
+      replaced_at: null,
+      replaced_by: null,
+      replaces: null,
+      asset_id: state.positions[symbol]?.assetId || null,
+      symbol,
+      asset_class: 'crypto',
+      notional: body.notional != null && body.notional !== '' ? String(body.notional) : null,
+      qty: String(qty),
+      filled_qty: '0',
+      filled_avg_price: null,
+      order_class: '',
+      order_type: body.type,
+      type: body.type,
+      side: body.side,
+      time_in_force: body.time_in_force,
+      limit_price: body.limit_price != null ? String(Number(body.limit_price)) : null,
+      stop_price: body.stop_price != null ? String(Number(body.stop_price)) : null,
+      status: 'new',
+      extended_hours: false,
+      legs: null,
+      ...extra,
+    };
+    state.orders.push(order);
+    emitTradeUpdate('new', order);
+    evaluate(order);
+    if (order.time_in_force === 'ioc' && OPEN_STATUSES.includes(order.status)) {
+      cancel(order);
+    }
+    return order;
+  }
+
+  function findOrder(id) {
+    return state.orders.find((o) => o.id === id);
+  }
+
+  function cancel(order) {
+    order.status = 'canceled';
+    order.canceled_at = nowIso();
+    order.updated_at = order.canceled_at;
+    emitTradeUpdate('canceled', order);
+  }
+
+  function publicOrder(order) {
+    const { triggered, ...rest } = order;
+    return rest;
+  }
+
+  // Send an order event to every trade_updates listener, shaped like
+  // Alpaca's: { stream: 'trade_updates', data: { event, timestamp, order } }
+  function emitTradeUpdate(event, order, extra = {}) {
+    const message = JSON.stringify({
+      stream: 'trade_updates',
+      data: { event, timestamp: nowIso(), order: publicOrder(order), ...extra },
+    });
+    listeners.forEach((ws) => ws.send(message));
+  }
+
+  // Alpaca's stream protocol: authenticate with the API key, then listen
+  function handleStream(ws) {
+    let authorized = false;
+    const reply = (stream, data) => ws.send(JSON.stringify({ stream, data }));
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch {
+        reply('error', { error: 'invalid JSON' });
+        return;
+      }
+      if (message.action === 'auth') {
+        authorized = !state.refuseStreams && !!(message.key && message.secret);
+        reply('authorization', {
+          action: 'authenticate',
+          status: authorized ? 'authorized' : 'unauthorized',
+        });
+        if (!authorized) ws.close();
+      } else if (message.action === 'listen' && authorized) {
+        const streams = message.data?.streams || [];
+        if (streams.includes('trade_updates')) listeners.add(ws);
+        else listeners.delete(ws);
+        reply('listening', { streams: streams.filter((name) => name === 'trade_updates') });
+      } else {
+        reply('error', { error: 'authenticate first' });
+      }
+    });
+    ws.on('close', () => listeners.delete(ws));
+  }
+
+  // Serve /stream on an http.Server
+  function attach(server) {
+    const wss = new WebSocketServer({ server, path: '/stream' });
+    wss.on('connection', handleStream);
+    return wss;
+  }
+
+  // app.listen plus the trade_updates stream
+  function listen(port, callback) {
+    const server = app.listen(port, callback);
+    attach(server);
+    return server;
+  }
+
+  // Drop every stream connection, as if the broker's stream went down
+  function dropStreams() {
+    listeners.forEach((ws) => ws.terminate());
+    listeners.clear();
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/ping', (req, res) => res.json({ status: 'ok', mock: true }));
+
+  // --- Scripting routes (not part of Alpaca) ---
+  app.get('/mock/state', (req, res) => {
+    res.json({
+      prices: state.prices,
+      cash: state.cash,
+      positions: Object.values(state.positions).map(serializePosition),
+      orders: state.orders.map(publicOrder),
+      scriptRunning: !!state.script,
+    });
+  });
+
+  app.post('/mock/prices', (req, res) => {
+    try {
+      setPrices(req.body || {});
+      res.json({ prices: state.prices });
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+  app.post('/mock/script', (req, res) => {
+    const { steps, intervalMs } = req.body || {};
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return res.status(400).json({ message: 'steps must be a non-empty array' });
+    }
+    try {
+      playScript(steps, Number(intervalMs) || 1000);
+      res.json({ steps: steps.length });
+    } catch (err) {
+      res.status(400).json({ message: err.message });
+    }
+  });
+
+  // Force a (partial) fill of an open order: { order_id, qty?, price? }
+  app.post('/mock/fill', (req, res) => {
+    const { order_id: id, qty, price: fillPrice } = req.body || {};
+    const order = findOrder(id);
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+      return res.status(404).json({ message: `No open order ${id}` });
+    }
+    const remaining = round(Number(order.qty) - Number(order.filled_qty));
+    const fillQty = qty != null ? Math.min(Number(qty), remaining) : remaining;
+    const at = Number(fillPrice ?? order.limit_price ?? price(order.symbol));
+    if (!(fillQty > 0) || !(at > 0)) {
+      return res.status(400).json({ message: 'qty and price must be > 0' });
+    }
+    fill(order, fillQty, at);
+    res.json(publicOrder(order));
+  });
+
+  // Reject an open order as the exchange would after accepting it:
+  // { order_id }
+  app.post('/mock/reject', (req, res) => {
+    const order = findOrder(req.body?.order_id);
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+      return res.status(404).json({ message: `No open order ${req.body?.order_id}` });
+    }
+    order.status = 'rejected';
+    order.failed_at = nowIso();
+    order.updated_at = order.failed_at;
+    emitTradeUpdate('rejected', order);
+    res.json(publicOrder(order));
+  });
+
+  // Place the next `count` orders but answer 504, as when a response is
+  // lost after the broker accepted the order: { count }
+  app.post('/mock/drop-responses', (req, res) => {
+    state.droppedResponses = Number(req.body?.count) || 1;
+    res.json({ droppedResponses: state.droppedResponses });
+  });
+
+  // Answer the next `count` trading API requests 429 with a Retry-After of
+  // `retryAfter` seconds: { count, retryAfter }
+  app.post('/mock/rate-limit', (req, res) => {
+    state.rateLimited = Number(req.body?.count) || 1;
+    state.retryAfter = Number(req.body?.retryAfter ?? 1);
+    res.json({ rateLimited: state.rateLimited, retryAfter: state.retryAfter });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    stopScript();
+    reset(Number(req.body?.cash) || initialCash);
+    res.json(serializeAccount());
+  });
+
+  // --- Alpaca trading API ---
+  const v2 = express.Router();
+  v2.use((req, res, next) => {
+    if (!req.get('APCA-API-KEY-ID') || !req.get('APCA-API-SECRET-KEY')) {
+      return alpacaError(res, 401, 40110000, 'request is not authorized');
+    }
+    if (state.rateLimited > 0) {
+      state.rateLimited -= 1;
+      res.set('Retry-After', String(state.retryAfter));
+      return alpacaError(res, 429, 42900000, 'rate limit exceeded');
+    }
+    next();
+  });
+
+  v2.get('/account', (req, res) => res.json(serializeAccount()));
+
+  // Recorded equity snapshots in the requested period (1D, 2W, 1M, 1A...)
+  // or since `start`, ending with the current equity. timeframe is ignored.
+  v2.get('/account/portfolio/history', (req, res) => {
+    const units = { D: 1, W: 7, M: 30, A: 365 };
+    const match = /^(\d+)([DWMA])$/.exec(req.query.period || '1M');
+    if (!match) return alpacaError(res, 422, 40010001, 'invalid period');
+    const since = req.query.start
+      ? Date.parse(req.query.start)
+      : Date.now() - Number(match[1]) * units[match[2]] * 24 * 60 * 60 * 1000;
+    const points = state.equityHistory
+      .filter((s) => Date.parse(s.t) >= since)
+      .concat({ t: nowIso(), equity: round(equity(), 4) });
+    const base = points[0].equity;
+    res.json({
+      timestamp: points.map((s) => Math.floor(Date.parse(s.t) / 1000)),
+      equity: points.map((s) => s.equity),
+      profit_loss: points.map((s) => round(s.equity - base, 4)),
+      profit_loss_pct: points.map((s) => (base ? round((s.equity - base) / base, 6) : 0)),
+      base_value: base,
+      timeframe: req.query.timeframe || '1D',
+    });
+  });
+
+  // Only FILL activities are simulated
+  v2.get('/account/activities', (req, res) => {
+    const types = req.query.activity_types ? String(req.query.activity_types).split(',') : null;
+    if (types && !types.includes('FILL')) return res.json([]);
+    const { after, until, page_token: pageToken, page_size: pageSize } = req.query;
+    let fills = state.fills.filter(
+      (f) => (!after || f.transaction_time > after) && (!until || f.transaction_time < until)
+    );
+    if (req.query.direction !== 'asc') fills.reverse();
+    if (pageToken) fills = fills.slice(fills.findIndex((f) => f.id === pageToken) + 1);
+    res.json(pageSize ? fills.slice(0, Number(pageSize)) : fills);
+  });
+
+  v2.get('/assets', (req, res) => {
+    const { status, asset_class: assetClass } = req.query;
+    res.json(
+      assets.filter(
+        (a) => (!status || a.status === status) && (!assetClass || a.class === assetClass)
+      )
+    );
+  });
+
+  v2.get('/assets/:symbol', (req, res) => {
+    const symbol = normalizeSymbol(req.params.symbol);
+    const asset = assets.find((a) => normalizeSymbol(a.symbol) === symbol);
+    if (!asset) return alpacaError(res, 404, 40410000, 'asset not found');
+    res.json(asset);
+  });
+
+  v2.get('/positions', (req, res) => {
+    res.json(Object.values(state.positions).map(serializePosition));
+  });
+
+  v2.get('/positions/:symbol', (req, res) => {
+    const pos = state.positions[normalizeSymbol(req.params.symbol)];
+    if (!pos) return alpacaError(res, 404, 40410000, 'position does not exist');
+    res.json(serializePosition(pos));
+  });
+
+  v2.delete('/positions/:symbol', (req, res) => {
+    const symbol = normalizeSymbol(req.params.symbol);
+    const pos = state.positions[symbol];
+    if (!pos) return alpacaError(res, 404, 40410000, 'position does not exist');
+    openOrders().filter((o) => o.symbol === symbol && o.side === 'sell').forEach(cancel);
+    let qty = pos.qty;
+    if (req.query.qty) qty = Math.min(qty, Number(req.query.qty));
+    else if (req.query.percentage) qty = round((pos.qty * Number(req.query.percentage)) / 100);
+    const order = createOrder(
+      { symbol, side: 'sell', type: 'market', time_in_force: 'gtc' },
+      symbol,
+      qty
+    );
+    res.json(publicOrder(order));
+  });
+
+  v2.get('/orders', (req, res) => {
+    const { status = 'open', symbols, limit = 50, direction = 'desc', after, until } = req.query;
+    const wanted = symbols ? String(symbols).split(',').map(normalizeSymbol) : null;
+    let orders = state.orders.filter((o) => {
+      const open = OPEN_STATUSES.includes(o.status);
+      if (status === 'open' && !open) return false;
+      if (status === 'closed' && open) return false;
+      if (wanted && !wanted.includes(o.symbol)) return false;
+      if (after && o.submitted_at <= after) return false;
+      if (until && o.submitted_at >= until) return false;
+      return true;
+    });
+    orders = orders.sort((a, b) =>
+      direction === 'asc'
+        ? a.submitted_at.localeCompare(b.submitted_at)
+        : b.submitted_at.localeCompare(a.submitted_at)
+    );
+    res.json(orders.slice(0, Number(limit)).map(publicOrder));
+  });
+
+  v2.get(/^\/orders:by_client_order_id$/, (req, res) => {
+    const order = state.orders.find((o) => o.client_order_id === req.query.client_order_id);
+    if (!order) return alpacaError(res, 404, 40410000, 'order not found');
+    res.json(publicOrder(order));
+  });
+
+  v2.get('/orders/:id', (req, res) => {
+    const order = findOrder(req.params.id);
+    if (!order) return alpacaError(res, 404, 40410000, 'order not found');
+    res.json(publicOrder(order));
+  });
+
+  v2.post('/orders', (req, res) => {
+    const body = req.body || {};
+    const problem = checkOrder(body);
+    if (problem) return alpacaError(res, 422, 40010001, problem);
+    if (
+      body.client_order_id &&
+      state.orders.some((o) => o.client_order_id === body.client_order_id)
+    ) {
+      return alpacaError(res, 422, 40010001, 'client_order_id must be unique');
+    }
+    const symbol = normalizeSymbol(body.symbol);
+    const reservation = reserve(body, symbol);
+    if (reservation.status) {
+      return alpacaError(res, reservation.status, reservation.code, reservation.message);
+    }
+    const order = createOrder(body, symbol, reservation.qty);
+    if (state.droppedResponses > 0) {
+      state.droppedResponses -= 1;
+      return alpacaError(res, 504, 50400000, 'gateway timeout');
+    }
+    res.json(publicOrder(order));
+  });
+
+  // Replace: cancel the original and create a new order carrying over the
+  // fields that were not changed
+  v2.patch('/orders/:id', (req, res) => {
+    const original = findOrder(req.params.id);
+    if (!original) return alpacaError(res, 404, 40410000, 'order not found');
+    if (!OPEN_STATUSES.includes(original.status)) {
+      return alpacaError(res, 422, 42210000, 'order is not open');
+    }
+    const patch = req.body || {};
+    const remaining = round(Number(original.qty) - Number(original.filled_qty));
+    const body = {
+      symbol: original.symbol,
+      side: original.side,
+      type: original.type,
+      time_in_force: patch.time_in_force ?? original.time_in_force,
+      qty: patch.qty ?? remaining,
+      limit_price: patch.limit_price ?? original.limit_price ?? undefined,
+      stop_price: patch.stop_price ?? original.stop_price ?? undefined,
+      client_order_id: patch.client_order_id,
+    };
+    const problem = checkOrder(body);
+    if (problem) return alpacaError(res, 422, 40010001, problem);
+    const reservation = reserve(body, original.symbol, original.id);
+    if (reservation.status) {
+      return alpacaError(res, reservation.status, reservation.code, reservation.message);
+    }
+    original.status = 'replaced';
+    original.replaced_at = nowIso();
+    original.updated_at = original.replaced_at;
+    const replacement = createOrder(body, original.symbol, reservation.qty, {
+      replaces: original.id,
+    });
+    original.replaced_by = replacement.id;
+    emitTradeUpdate('replaced', original);
+    res.json(publicOrder(replacement));
+  });
+
+  v2.delete('/orders/:id', (req, res) => {
+    const order = findOrder(req.params.id);
+    if (!order) return alpacaError(res, 404, 40410000, 'order not found');
+    if (!OPEN_STATUSES.includes(order.status)) {
+      return alpacaError(res, 422, 42210000, `order is already in "${order.status}" state`);
+    }
+    cancel(order);
+    res.status(204).end();
+  });
+
+  v2.delete('/orders', (req, res) => {
+    const canceled = openOrders();
+    canceled.forEach(cancel);
+    res.status(207).json(canceled.map((o) => ({ id: o.id, status: 200 })));
+  });
+
+  app.use('/v2', v2);
+
+  // --- Alpaca crypto market data (v1beta2) ---
+  const data = express.Router();
+
+  function requestedSymbols(req) {
+    return String(req.query.symbols || '')
+      .split(',')
+      .filter(Boolean);
+  }
+
+  data.get('/crypto/latest/trades', (req, res) => {
+    const trades = {};
+    requestedSymbols(req).forEach((raw) => {
+      const history = state.history[normalizeSymbol(raw)];
+      const tick = history && history[history.length - 1];
+      if (tick) trades[raw] = { t: tick.t, p: tick.p, s: 1, tks: 'B', i: history.length };
+    });
+    res.json({ trades });
+  });
+
+  data.get('/crypto/latest/quotes', (req, res) => {
+    const quotes = {};
+    requestedSymbols(req).forEach((raw) => {
+      const p = price(raw);
+      if (p != null) quotes[raw] = { t: nowIso(), bp: p, bs: 1, ap: p, as: 1 };
+    });
+    res.json({ quotes });
+  });
+
+  // One-minute bars built from the scripted ticks
+  data.get('/crypto/bars', (req, res) => {
+    const bars = {};
+    requestedSymbols(req).forEach((raw) => {
+      const buckets = new Map();
+      (state.history[normalizeSymbol(raw)] || []).forEach(({ t, p }) => {
+        const key = t.slice(0, 16) + ':00Z';
+        const bar = buckets.get(key);
+        if (!bar) {
+          buckets.set(key, { t: key, o: p, h: p, l: p, c: p, v: 1, n: 1, vw: p });
+        } else {
+          bar.h = Math.max(bar.h, p);
+          bar.l = Math.min(bar.l, p);
+          bar.c = p;
+          bar.v += 1;
+          bar.n += 1;
+        }
+      });
+      bars[raw] = Array.from(buckets.values()).slice(-Number(req.query.limit || 1000));
+    });
+    res.json({ bars, next_page_token: null });
+  });
+
+  app.use('/v1beta2', data);
+
+  return {
+    app,
+    listen,
+    attach,
+    dropStreams,
+    setPrices,
+    playScript,
+    stopScript,
+    reset,
+    getState: () => state,
+  };
+}
+
+if (require.main === module) {
+  const PORT = process.env.MOCK_BROKER_PORT || 10001;
+  const broker = createMockBroker({ cash: Number(process.env.MOCK_BROKER_CASH) || 100000 });
+  broker.listen(PORT, () => console.log(`Mock Alpaca broker running on port ${PORT}`));
+}
+
+module.exports = { createMockBroker };
@@ -0,0 +1,198 @@
+// orderRules.js
+// Pre-trade checks every order passes before it is sent to the broker
+// (trade.js submitOrder and replaceOrder call them). An order is checked
+// against its asset's rules from the synced asset list (assets.js):
+//
+//   - crypto orders only take the types below, each with the times in
+//     force the broker accepts for it
+//   - qty is rounded down to the asset's min_trade_increment and limit and
+//     stop prices to its price_increment, in the order's favour (buy
+//     limits down, sell limits up, stops to the nearest step) and sent as
+//     plain decimals
+//   - notional is rounded down to the cent
+//   - buys must be in a tradable asset, at least the asset's minimum order
+//     size and, when they carry a notional or a price, worth at least
+//     MIN_ORDER_NOTIONAL. Sells only need a positive quantity, so an exit
+//     can always close whatever is left.
+//
+// A rejected order never reaches the broker. Problems come back per field,
+// [{ field, message }], and routes answer them with a 400.
+const { getAsset } = require('./assets');
+const { getConfig } = require('./config');
+
+// Order types crypto supports, with the time in force each one takes
+const CRYPTO_ORDER_RULES = {
+  market: ['gtc', 'ioc'],
+  limit: ['gtc', 'ioc'],
+  stop_limit: ['gtc', 'ioc'],
+};
+// Until the asset list has been synced increments are unknown; these are
+// the finest the broker accepts for any pair
+const DEFAULT_QTY_INCREMENT = 1e-9;
+const DEFAULT_PRICE_INCREMENT = 1e-9;
+const NOTIONAL_INCREMENT = 0.01;
+
+// Thrown by submitOrder and replaceOrder for an order that fails the
+// checks. `details` holds the field-level problems.
+class OrderRejectedError extends Error {
+  constructor(details) {
+    super(details.map((d) => `${d.field} ${d.message}`).join('; '));
+    this.name = 'OrderRejectedError';
+    this.details = details;
+  }
+}
+
+// Decimal places in an increment (0.001 -> 3, 1e-9 -> 9, 5 -> 0)
+function decimalsOf(increment) {
+  const [mantissa, exponent] = String(increment).split('e-');
+  return (mantissa.split('.')[1] || '').length + Number(exponent || 0);
+}
+
+// Round a value to a multiple of `increment`, 'down', 'up' or 'nearest'.
+// A step count within float error of a whole number is taken as that
+// number, so 0.3 / 0.1 is 3 steps and not 2.9999999999999996.
+function roundToIncrement(value, increment, direction = 'nearest') {
+  const round = { down: Math.floor, up: Math.ceil, nearest: Math.round }[direction];
+  const ratio = value / increment;
+  const whole = Math.round(ratio);
+  const exact = Math.abs(ratio - whole) <= Math.max(1e-9, Math.abs(ratio) * 1e-12);
+  const steps = exact ? whole : round(ratio);
+  return parseFloat((steps * increment).toFixed(decimalsOf(increment)));
+}
+
+// A rounded value as the decimal string the broker expects. String() turns
+// anything under 1e-6 into exponent notation (1e-7), which it rejects.
+function formatToIncrement(value, increment) {
+  const fixed = value.toFixed(decimalsOf(increment));
+  return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+}
+
+// { qtyIncrement, priceIncrement, minOrderSize } for a symbol
+function incrementsFor(symbol) {
+  const asset = getAsset(symbol);
+  return {
+    qtyIncrement: asset?.minTradeIncrement || DEFAULT_QTY_INCREMENT,
+    priceIncrement: asset?.priceIncrement || DEFAULT_PRICE_INCREMENT,
+    minOrderSize: asset?.minOrderSize || 0,
+  };
+}
+
+// Quantity rounded down to the asset's increment
+function roundQty(symbol, qty) {
+  return roundToIncrement(Number(qty), incrementsFor(symbol).qtyIncrement, 'down');
+}
+
+// Price rounded to the asset's increment
+function roundPrice(symbol, price, direction = 'nearest') {
+  return roundToIncrement(Number(price), incrementsFor(symbol).priceIncrement, direction);
+}
+
+// Which way a price is rounded so the order is never worse than asked
+function priceDirection(side, field) {
+  if (field === 'stop_price') return 'nearest';
+  return side === 'buy' ? 'down' : 'up';
+}
+
+// Rounded limit and stop prices, pushing a problem for each one that is
+// not a positive number
+function normalizePrices(symbol, side, fields, errors) {
+  const prices = {};
+  ['limit_price', 'stop_price'].forEach((field) => {
+    if (fields[field] == null) return;
+    const value = Number(fields[field]);
+    if (!(value > 0)) {
+      errors.push({ field, message: 'must be a positive number' });
+      return;
+    }
+    const price = roundPrice(symbol, value, priceDirection(side, field));
+    prices[field] = formatToIncrement(price, incrementsFor(symbol).priceIncrement);
+  });
+  return prices;
+}
+
+// What a buy would cost, or null for a market order by qty, which has no
+// price to value it at here; the broker applies its own minimum to those
+function orderValue(order) {
+  if (order.notional != null) return Number(order.notional);
+  const price = Number(order.limit_price ?? order.stop_price);
+  return price > 0 ? Number(order.qty) * price : null;
+}
+
+// Check an order and normalize it to the asset's increments. Returns
+// { errors, order } with `order` null when there are errors.
+function prepareOrder(order) {
+  const errors = [];
+  const asset = getAsset(order.symbol);
+  if (!asset) {
+    return { errors: [{ field: 'symbol', message: 'is not a known asset' }], order: null };
+  }
+  if (order.side === 'buy' && !asset.tradable) {
+    errors.push({ field: 'symbol', message: `${asset.symbol} is not tradable` });
+  }
+  const allowed = CRYPTO_ORDER_RULES[order.type];
+  if (!allowed) {
+    errors.push({
+      field: 'type',
+      message: `must be one of ${Object.keys(CRYPTO_ORDER_RULES).join(', ')} for crypto`,
+    });
+  } else if (!allowed.includes(order.time_in_force)) {
+    errors.push({
+      field: 'time_in_force',
+      message: `must be one of ${allowed.join(', ')} for crypto ${order.type} orders`,
+    });
+  }
+
+  const normalized = { ...order, symbol: asset.symbol };
+  const { qtyIncrement, minOrderSize } = incrementsFor(asset.symbol);
+  if (order.qty != null) {
+    const qty = roundQty(asset.symbol, order.qty);
+    if (!(qty > 0)) {
+      errors.push({ field: 'qty', message: `rounds to 0 at the ${qtyIncrement} increment` });
+    } else if (order.side === 'buy' && qty < minOrderSize) {
+      errors.push({ field: 'qty', message: `must be at least ${minOrderSize} ${asset.base}` });
+    }
+    normalized.qty = formatToIncrement(qty, qtyIncrement);
+  }
+  if (order.notional != null) {
+    const notional = roundToIncrement(Number(order.notional), NOTIONAL_INCREMENT, 'down');
+    if (!(notional > 0)) errors.push({ field: 'notional', message: 'must be at least $0.01' });
+    normalized.notional = String(notional);
+  }
+  Object.assign(normalized, normalizePrices(asset.symbol, order.side, order, errors));
+
+  if (order.side === 'buy' && errors.length === 0) {
+    const { MIN_ORDER_NOTIONAL } = getConfig();
+    const value = orderValue(normalized);
+    if (value != null && value < MIN_ORDER_NOTIONAL) {
+      errors.push({
+        field: normalized.notional != null ? 'notional' : 'qty',
+        message: `order value $${value.toFixed(2)} is under the $${MIN_ORDER_NOTIONAL} minimum`,
+      });
+    }
+  }
+  return { errors, order: errors.length ? null : normalized };
+}
+
+// Check a replace request ({ qty, limit_price, stop_price, ... }) for an
+// open order on `symbol` and round it the same way
+function preparePatch(symbol, side, patch) {
+  const errors = [];
+  const normalized = { ...patch };
+  if (patch.qty != null) {
+    const qty = roundQty(symbol, patch.qty);
+    if (!(qty > 0)) errors.push({ field: 'qty', message: 'must be a positive quantity' });
+    normalized.qty = formatToIncrement(qty, incrementsFor(symbol).qtyIncrement);
+  }
+  Object.assign(normalized, normalizePrices(symbol, side, patch, errors));
+  return { errors, patch: errors.length ? null : normalized };
+}
+
+module.exports = {
+  CRYPTO_ORDER_RULES,
+  OrderRejectedError,
+  roundToIncrement,
+  roundQty,
+  roundPrice,
+  prepareOrder,
+  preparePatch,
+};
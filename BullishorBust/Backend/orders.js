@@ -0,0 +1,98 @@
+// orders.js
+const express = require('express');
+const {
+  listOrders,
+  getOrder,
+  submitOrder,
+  cancelOrder,
+  sendAlpacaError,
+} = require('./trade');
+const {
+  validateOrder,
+  validateOrderId,
+  validateOrderQuery,
+  validateIdempotencyKey,
+} = require('./validate');
+const { getStore } = require('./store');
+const { checkBuy, orderNotional, riskRejection } = require('./riskManager');
+const { orderIdForKey, requestKey } = require('./idempotency');
+const router = express.Router();
+
+// GET /orders?status=open&symbols=BTCUSD,ETHUSD
+router.get('/orders', async (req, res) => {
+  const { errors, params } = validateOrderQuery(req.query);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  try {
+    res.json(await listOrders(params));
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+router.get('/orders/:id', async (req, res) => {
+  const errors = validateOrderId(req.params.id);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid order id', details: errors });
+  }
+  try {
+    res.json(await getOrder(req.params.id));
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+router.delete('/orders/:id', async (req, res) => {
+  const errors = validateOrderId(req.params.id);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid order id', details: errors });
+  }
+  try {
+    await cancelOrder(req.params.id);
+    // Stop the scheduler retrying a limit buy that was cancelled by hand
+    const store = getStore();
+    Object.entries(store.all('pendingLimitOrders')).forEach(([symbol, pending]) => {
+      if (pending.orderId === req.params.id) store.remove('pendingLimitOrders', symbol);
+    });
+    res.status(204).end();
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Buys go through the risk manager; sells never add exposure. Both take an
+// Idempotency-Key header like /buy.
+router.post('/orders', async (req, res) => {
+  const { errors, order } = validateOrder(req.body);
+  errors.push(...validateIdempotencyKey(req.get('Idempotency-Key')));
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid order', details: errors });
+  }
+  const idempotencyKey = requestKey(req);
+  try {
+    if (order.side === 'buy' && !orderIdForKey(idempotencyKey)) {
+      const risk = await checkBuy(order.symbol, await orderNotional(order), 'orders');
+      if (!risk.allowed) return res.status(403).json(riskRejection(risk));
+    }
+    res.json(await submitOrder(order, { idempotencyKey }));
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Sell shortcut: the side is fixed so a client cannot buy through it
+router.post('/sell', async (req, res) => {
+  const { errors, order } = validateOrder({ ...req.body, side: 'sell' });
+  errors.push(...validateIdempotencyKey(req.get('Idempotency-Key')));
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid order', details: errors });
+  }
+  try {
+    res.json(await submitOrder(order, { idempotencyKey: requestKey(req) }));
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+module.exports = { router };
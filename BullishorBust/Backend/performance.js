@@ -0,0 +1,310 @@
+// performance.js
+// Realized performance from the broker's fill history. Buys and sells of
+// each symbol are matched into round trips first in, first out: every
+// sell closes the oldest open buy lots, and each (buy order, sell order)
+// pair becomes one round trip with its P&L net of both sides' fees.
+//
+// Fees come from the account's CFEE (crypto fee) activities when Alpaca
+// reports them, spread over that symbol's fills on the same day by
+// notional. Fills without one are charged the configured taker fee
+// (FEE_BUFFER) and counted in feesEstimated.
+//
+// Round trips are attributed to the strategy recorded with their buy order
+// in the trade history; buys the scheduler did not place are
+// 'unattributed'.
+const express = require('express');
+const router = express.Router();
+const { listActivities, sendAlpacaError } = require('./trade');
+const { getStore } = require('./store');
+const { getConfig } = require('./config');
+const { validateSymbol } = require('./validate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Quantities below this are rounding noise
+const QTY_EPSILON = 1e-9;
+const UNATTRIBUTED = 'unattributed';
+
+function fillTime(fill) {
+  return Date.parse(fill.transaction_time);
+}
+
+// Fee in USD for every fill id: CFEE activities spread over the fills of the
+// same symbol and day, else notional x FEE_BUFFER. Returns { fees, estimated }.
+function allocateFees(fills, feeActivities, feeRate = getConfig().FEE_BUFFER) {
+  const dayKey = (symbol, time) => `${symbol}:${String(time).slice(0, 10)}`;
+  const charged = {};
+  feeActivities.forEach((a) => {
+    const amount = a.net_amount != null
+      ? Math.abs(Number(a.net_amount))
+      : Math.abs(Number(a.qty) * Number(a.price));
+    if (!Number.isFinite(amount)) return;
+    const key = dayKey(a.symbol, a.date || a.transaction_time);
+    charged[key] = (charged[key] || 0) + amount;
+  });
+  const dayNotional = {};
+  fills.forEach((f) => {
+    const key = dayKey(f.symbol, f.transaction_time);
+    dayNotional[key] = (dayNotional[key] || 0) + Number(f.qty) * Number(f.price);
+  });
+  const fees = {};
+  let estimated = 0;
+  fills.forEach((f) => {
+    const notional = Number(f.qty) * Number(f.price);
+    const key = dayKey(f.symbol, f.transaction_time);
+    if (charged[key] != null && dayNotional[key] > 0) {
+      fees[f.id] = (charged[key] * notional) / dayNotional[key];
+    } else {
+      fees[f.id] = notional * feeRate;
+      estimated += 1;
+    }
+  });
+  return { fees, estimated };
+}
+
+// Strategy per buy order id from the trade history
+function strategiesByOrder(history = getStore().getTradeHistory({ limit: Infinity })) {
+  const map = {};
+  history.forEach((t) => {
+    if (t.side === 'buy' && t.orderId && t.strategy) map[t.orderId] = t.strategy;
+  });
+  return map;
+}
+
+// Lot-matching methods: the index of the open lot a sell closes next.
+// 'specific' takes the buy orders designated for the sell (selections:
+// sell order id -> buy order ids, in order) and then falls back to FIFO.
+const METHODS = {
+  fifo: () => 0,
+  lifo: (open) => open.length - 1,
+  specific: (open, designated = []) => {
+    for (const orderId of designated) {
+      const index = open.findIndex((lot) => lot.orderId === orderId);
+      if (index !== -1) return index;
+    }
+    return 0;
+  },
+};
+
+// Match fills (oldest first) into round trips. Returns { roundTrips,
+// openLots, unmatched, unmatchedSells } where unmatched is the qty per
+// symbol sold without a known buy (bought before the history starts) and
+// unmatchedSells lists those sell fills.
+function matchRoundTrips(
+  fills,
+  { fees = {}, strategies = {}, method = 'fifo', selections = {} } = {}
+) {
+  const pick = METHODS[method];
+  if (!pick) throw new Error(`Unknown lot method ${method}`);
+  const lots = {}; // symbol -> open buy lots, oldest first
+  const trips = new Map(); // `${buyOrder}:${sellOrder}` -> round trip
+  const unmatched = {};
+  const unmatchedSells = [];
+
+  [...fills]
+    .sort((a, b) => fillTime(a) - fillTime(b))
+    .forEach((fill) => {
+      const symbol = fill.symbol;
+      const qty = Number(fill.qty);
+      const price = Number(fill.price);
+      const feePerUnit = (fees[fill.id] || 0) / qty;
+      if (!(qty > 0) || !(price > 0)) return;
+      if (fill.side === 'buy') {
+        (lots[symbol] = lots[symbol] || []).push({
+          orderId: fill.order_id,
+          qty,
+          price,
+          feePerUnit,
+          time: fillTime(fill),
+          strategy: strategies[fill.order_id] || UNATTRIBUTED,
+        });
+        return;
+      }
+      let remaining = qty;
+      const open = lots[symbol] || [];
+      while (remaining > QTY_EPSILON && open.length) {
+        const index = pick(open, selections[fill.order_id]);
+        const lot = open[index];
+        const take = Math.min(lot.qty, remaining);
+        const key = `${lot.orderId}:${fill.order_id}`;
+        const trip = trips.get(key) || {
+          symbol,
+          strategy: lot.strategy,
+          buyOrderId: lot.orderId,
+          sellOrderId: fill.order_id,
+          qty: 0,
+          cost: 0,
+          proceeds: 0,
+          buyFees: 0,
+          sellFees: 0,
+          entryTime: lot.time,
+          exitTime: fillTime(fill),
+        };
+        trip.qty += take;
+        trip.cost += take * lot.price;
+        trip.proceeds += take * price;
+        trip.buyFees += take * lot.feePerUnit;
+        trip.sellFees += take * feePerUnit;
+        trip.entryTime = Math.min(trip.entryTime, lot.time);
+        trip.exitTime = Math.max(trip.exitTime, fillTime(fill));
+        trips.set(key, trip);
+        lot.qty -= take;
+        remaining -= take;
+        if (lot.qty <= QTY_EPSILON) open.splice(index, 1);
+      }
+      if (remaining > QTY_EPSILON) {
+        unmatched[symbol] = (unmatched[symbol] || 0) + remaining;
+        unmatchedSells.push({
+          symbol,
+          sellOrderId: fill.order_id,
+          qty: remaining,
+          price,
+          fees: remaining * feePerUnit,
+          time: new Date(fillTime(fill)).toISOString(),
+        });
+      }
+    });
+
+  const roundTrips = [...trips.values()]
+    .map((t) => ({
+      ...t,
+      fees: t.buyFees + t.sellFees,
+      entryPrice: t.cost / t.qty,
+      exitPrice: t.proceeds / t.qty,
+      pnl: t.proceeds - t.cost - t.buyFees - t.sellFees,
+      returnPct: (t.proceeds - t.cost - t.buyFees - t.sellFees) / t.cost,
+      holdMs: t.exitTime - t.entryTime,
+      entryTime: new Date(t.entryTime).toISOString(),
+      exitTime: new Date(t.exitTime).toISOString(),
+    }))
+    .sort((a, b) => a.exitTime.localeCompare(b.exitTime));
+  const openLots = Object.entries(lots).flatMap(([symbol, open]) =>
+    open.map((lot) => ({
+      symbol,
+      orderId: lot.orderId,
+      qty: lot.qty,
+      price: lot.price,
+      strategy: lot.strategy,
+      time: new Date(lot.time).toISOString(),
+    }))
+  );
+  return { roundTrips, openLots, unmatched, unmatchedSells };
+}
+
+// Win rate, average hold, expectancy and max drawdown of realized P&L for
+// round trips in exit order
+function summarize(roundTrips) {
+  const wins = roundTrips.filter((t) => t.pnl > 0);
+  const losses = roundTrips.filter((t) => t.pnl <= 0);
+  const sum = (list, key) => list.reduce((total, t) => total + t[key], 0);
+  const netPnl = sum(roundTrips, 'pnl');
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  roundTrips.forEach((t) => {
+    equity += t.pnl;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  });
+  const count = roundTrips.length;
+  return {
+    trades: count,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: count ? wins.length / count : null,
+    netPnl,
+    grossProfit: sum(wins, 'pnl'),
+    grossLoss: sum(losses, 'pnl'),
+    fees: sum(roundTrips, 'fees'),
+    averageWin: wins.length ? sum(wins, 'pnl') / wins.length : null,
+    averageLoss: losses.length ? sum(losses, 'pnl') / losses.length : null,
+    // Average P&L per round trip
+    expectancy: count ? netPnl / count : null,
+    averageHoldMs: count ? sum(roundTrips, 'holdMs') / count : null,
+    maxDrawdown,
+  };
+}
+
+function groupSummaries(roundTrips, key) {
+  const groups = {};
+  roundTrips.forEach((t) => {
+    (groups[t[key]] = groups[t[key]] || []).push(t);
+  });
+  return Object.fromEntries(
+    Object.entries(groups).map(([name, list]) => [name, summarize(list)])
+  );
+}
+
+// Fills between `after` and `until` (ISO times) with the fee of each:
+// { fills, fees, estimated }
+async function loadFills({ after, until, symbol } = {}) {
+  // Activities name crypto pairs BTC/USD; the app uses BTCUSD
+  const activities = (await listActivities(['FILL', 'CFEE'], { after, until })).map((a) => ({
+    ...a,
+    symbol: String(a.symbol || '').replace('/', ''),
+  }));
+  const wanted = symbol && symbol.replace('/', '');
+  const fills = activities.filter(
+    (a) => (a.activity_type || 'FILL') === 'FILL' && (!wanted || a.symbol === wanted)
+  );
+  const feeActivities = activities.filter((a) => a.activity_type === 'CFEE');
+  return { fills, ...allocateFees(fills, feeActivities) };
+}
+
+// Performance report over fills between `after` and `until` (ISO times)
+async function getPerformance({ after, until, symbol } = {}) {
+  const { fills, fees, estimated } = await loadFills({ after, until, symbol });
+  const { roundTrips, openLots, unmatched } = matchRoundTrips(fills, {
+    fees,
+    strategies: strategiesByOrder(),
+  });
+  return {
+    after: after || null,
+    until: until || null,
+    fills: fills.length,
+    feesEstimated: estimated,
+    summary: summarize(roundTrips),
+    bySymbol: groupSummaries(roundTrips, 'symbol'),
+    byStrategy: groupSummaries(roundTrips, 'strategy'),
+    roundTrips,
+    openLots,
+    unmatched,
+  };
+}
+
+// Express routes
+// GET /performance?days=30 or ?after=2025-01-01T00:00:00Z&until=...&symbol=BTCUSD
+router.get('/performance', async (req, res) => {
+  const { after, until, symbol, days } = req.query;
+  const errors = symbol !== undefined ? validateSymbol(symbol) : [];
+  [['after', after], ['until', until]].forEach(([name, value]) => {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      errors.push(`${name} must be an ISO date`);
+    }
+  });
+  if (days !== undefined && !(Number.isInteger(Number(days)) && Number(days) > 0)) {
+    errors.push('days must be a positive integer');
+  }
+  if (days !== undefined && after !== undefined) errors.push('pass either days or after');
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const from = days !== undefined
+    ? new Date(Date.now() - Number(days) * DAY_MS).toISOString()
+    : after;
+  try {
+    res.json(await getPerformance({ after: from, until, symbol }));
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+module.exports = {
+  router,
+  METHODS,
+  allocateFees,
+  strategiesByOrder,
+  loadFills,
+  matchRoundTrips,
+  summarize,
+  getPerformance,
+};
@@ -0,0 +1,74 @@
+// positions.js
+const express = require('express');
+const {
+  getPosition,
+  listPositions,
+  closePosition,
+  sendAlpacaError,
+} = require('./trade');
+const { validateSymbol } = require('./validate');
+const { getStore } = require('./store');
+const { cancelBracket } = require('./exitManager');
+const router = express.Router();
+
+router.get('/positions', async (req, res) => {
+  try {
+    res.json(await listPositions());
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Alpaca's 404 for "no position" is passed through so callers can treat it
+// as flat.
+router.get('/positions/:symbol', async (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid symbol', details: errors });
+  }
+  try {
+    const position = await getPosition(req.params.symbol);
+    if (!position) {
+      return res.status(404).json({ error: `No position for ${req.params.symbol}` });
+    }
+    res.json(position);
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Liquidate a position at market, optionally only `qty` or `percentage`.
+// Alpaca cancels the open sells itself, but the exit bracket would carry on
+// re-placing its legs, so it is torn down first. After a partial close the
+// scheduler arms a new bracket on what is left.
+router.delete('/positions/:symbol', async (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  const { qty, percentage } = req.query;
+  const params = {};
+  if (qty !== undefined && percentage !== undefined) {
+    errors.push('pass either qty or percentage, not both');
+  } else if (qty !== undefined) {
+    if (!(Number(qty) > 0)) errors.push('qty must be a positive number');
+    params.qty = qty;
+  } else if (percentage !== undefined) {
+    const pct = Number(percentage);
+    if (!(pct > 0 && pct <= 100)) errors.push('percentage must be between 0 and 100');
+    params.percentage = percentage;
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid close request', details: errors });
+  }
+  try {
+    await cancelBracket(req.params.symbol, 'position_closed');
+    const order = await closePosition(req.params.symbol, params);
+    // A full close ends the position, so its entry metadata goes too
+    if (!params.qty && !params.percentage) {
+      getStore().remove('positionMeta', req.params.symbol);
+    }
+    res.json(order);
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,254 @@
+// riskManager.js
+// Account-level limits every buy has to clear, whichever path it comes
+// from: POST /api/buy, POST /api/orders, POST /api/trade or the scheduler.
+// Sizing elsewhere only looks at one order at a time; this module looks at
+// the whole account:
+//
+// - at most MAX_POSITIONS symbols held or being bought at once
+// - each symbol's exposure (position value + open buys + this order) under
+//   MAX_SYMBOL_EXPOSURE of equity, and the account's under MAX_TOTAL_EXPOSURE
+// - a daily loss limit: once equity is DAILY_LOSS_LIMIT below last_equity
+//   (yesterday's close, so realized and unrealized P&L both count) the kill
+//   switch engages
+// - a latching kill switch. Once engaged, by the loss limit or by hand, it
+//   stays engaged until it is reset through the API, even across restarts.
+//
+// Rejections carry a list of { code, message, limit, actual } reasons.
+const express = require('express');
+const router = express.Router();
+const { getStore } = require('./store');
+const { logTradeAction } = require('./tradeLog');
+
+const RISK_LIMITS = {
+  // Symbols held (above $1) or with an open buy at the same time
+  MAX_POSITIONS: 5,
+  // Share of equity one symbol may take up
+  MAX_SYMBOL_EXPOSURE: 0.2,
+  // Share of equity all positions and open buys may take up
+  MAX_TOTAL_EXPOSURE: 0.8,
+  // Drop in equity from last_equity that engages the kill switch
+  DAILY_LOSS_LIMIT: 0.03,
+};
+
+// Positions worth less than this are dust and do not count as held
+const DUST_NOTIONAL = 1;
+
+function getKillSwitch() {
+  return getStore().get('risk', 'killSwitch') || { engaged: false };
+}
+
+function engageKillSwitch(reason, details = {}) {
+  const current = getKillSwitch();
+  if (current.engaged) return current;
+  const state = { engaged: true, reason, engagedAt: new Date().toISOString(), ...details };
+  getStore().set('risk', 'killSwitch', state);
+  logTradeAction('kill_switch_engaged', 'all', { reason, ...details });
+  return state;
+}
+
+function resetKillSwitch() {
+  const state = { engaged: false, resetAt: new Date().toISOString() };
+  getStore().set('risk', 'killSwitch', state);
+  logTradeAction('kill_switch_reset', 'all');
+  return state;
+}
+
+// Remaining notional of an open buy order
+function openBuyNotional(order, prices) {
+  if (order.notional != null) return parseFloat(order.notional);
+  const remaining = parseFloat(order.qty) - parseFloat(order.filled_qty || 0);
+  const price = parseFloat(order.limit_price ?? order.stop_price ?? prices[order.symbol] ?? 0);
+  return remaining * price;
+}
+
+function normalize(symbol) {
+  return String(symbol).replace('/', '');
+}
+
+// Per-symbol and total exposure from positions and open buy orders
+function exposureSnapshot({ account, positions, openOrders }) {
+  const equity = parseFloat(account.equity ?? account.portfolio_value ?? 0);
+  const lastEquity = parseFloat(account.last_equity ?? equity);
+  const bySymbol = {};
+  const prices = {};
+  positions.forEach((p) => {
+    const symbol = normalize(p.symbol);
+    prices[symbol] = parseFloat(p.current_price);
+    bySymbol[symbol] = (bySymbol[symbol] || 0) + Math.abs(parseFloat(p.market_value || 0));
+  });
+  const pendingBuys = new Set();
+  openOrders
+    .filter((o) => o.side === 'buy')
+    .forEach((o) => {
+      const symbol = normalize(o.symbol);
+      pendingBuys.add(symbol);
+      bySymbol[symbol] = (bySymbol[symbol] || 0) + openBuyNotional(o, prices);
+    });
+  const held = Object.keys(bySymbol).filter(
+    (symbol) => bySymbol[symbol] >= DUST_NOTIONAL || pendingBuys.has(symbol)
+  );
+  return {
+    equity,
+    lastEquity,
+    dailyChange: lastEquity > 0 ? (equity - lastEquity) / lastEquity : 0,
+    bySymbol,
+    totalExposure: Object.values(bySymbol).reduce((sum, v) => sum + v, 0),
+    held,
+  };
+}
+
+// Check a prospective buy against the limits. Pure: takes the account,
+// positions and open orders as Alpaca returns them. Returns the snapshot
+// and every limit the buy would break.
+function evaluateBuy({
+  symbol,
+  notional,
+  account,
+  positions = [],
+  openOrders = [],
+  killSwitch = { engaged: false },
+  limits = RISK_LIMITS,
+}) {
+  const snapshot = exposureSnapshot({ account, positions, openOrders });
+  const target = normalize(symbol);
+  const reasons = [];
+
+  if (killSwitch.engaged) {
+    reasons.push({
+      code: 'kill_switch',
+      message: `Kill switch engaged: ${killSwitch.reason}`,
+      limit: null,
+      actual: killSwitch.engagedAt,
+    });
+  }
+  if (snapshot.dailyChange <= -limits.DAILY_LOSS_LIMIT) {
+    reasons.push({
+      code: 'daily_loss_limit',
+      message: `Equity is down ${(snapshot.dailyChange * -100).toFixed(2)}% today`,
+      limit: -limits.DAILY_LOSS_LIMIT,
+      actual: snapshot.dailyChange,
+    });
+  }
+  if (!snapshot.held.includes(target) && snapshot.held.length >= limits.MAX_POSITIONS) {
+    reasons.push({
+      code: 'max_positions',
+      message: `Already holding or buying ${snapshot.held.length} symbols`,
+      limit: limits.MAX_POSITIONS,
+      actual: snapshot.held.length,
+    });
+  }
+  const symbolExposure = (snapshot.bySymbol[target] || 0) + notional;
+  if (symbolExposure > snapshot.equity * limits.MAX_SYMBOL_EXPOSURE) {
+    reasons.push({
+      code: 'symbol_exposure',
+      message: `${target} exposure would be $${symbolExposure.toFixed(2)}`,
+      limit: snapshot.equity * limits.MAX_SYMBOL_EXPOSURE,
+      actual: symbolExposure,
+    });
+  }
+  const totalExposure = snapshot.totalExposure + notional;
+  if (totalExposure > snapshot.equity * limits.MAX_TOTAL_EXPOSURE) {
+    reasons.push({
+      code: 'total_exposure',
+      message: `Total exposure would be $${totalExposure.toFixed(2)}`,
+      limit: snapshot.equity * limits.MAX_TOTAL_EXPOSURE,
+      actual: totalExposure,
+    });
+  }
+  return { allowed: reasons.length === 0, reasons, snapshot };
+}
+
+// Fetch the account state and check a buy of `notional` dollars of
+// `symbol`. Breaching the daily loss limit engages the kill switch.
+async function checkBuy(symbol, notional, source = 'unknown') {
+  // Required here rather than at the top: trade.js requires this module
+  const { getAccount, listPositions, listOrders } = require('./trade');
+  const [account, positions, openOrders] = await Promise.all([
+    getAccount(),
+    listPositions(),
+    listOrders({ status: 'open', limit: 500 }),
+  ]);
+  const result = evaluateBuy({
+    symbol,
+    notional,
+    account,
+    positions,
+    openOrders,
+    killSwitch: getKillSwitch(),
+  });
+  if (result.reasons.some((r) => r.code === 'daily_loss_limit')) {
+    engageKillSwitch('daily_loss_limit', { dailyChange: result.snapshot.dailyChange });
+  }
+  if (!result.allowed) {
+    logTradeAction('risk_rejected', symbol, {
+      source,
+      notional,
+      reasons: result.reasons.map((r) => r.code),
+    });
+  }
+  return result;
+}
+
+// Dollar value of a buy order request, pricing qty orders at their limit
+// or stop price, or the latest trade for market orders
+async function orderNotional(order) {
+  if (order.notional != null) return parseFloat(order.notional);
+  let price = parseFloat(order.limit_price ?? order.stop_price);
+  if (!(price > 0)) {
+    const { getLatestPrice } = require('./trade');
+    price = await getLatestPrice(order.symbol);
+  }
+  return parseFloat(order.qty) * price;
+}
+
+// Body for a rejected buy; routes answer it with a 403
+function riskRejection(result) {
+  return { error: 'Rejected by risk manager', reasons: result.reasons };
+}
+
+// Express routes
+router.get('/risk', async (req, res) => {
+  const { getAccount, listPositions, listOrders, sendAlpacaError } = require('./trade');
+  try {
+    const [account, positions, openOrders] = await Promise.all([
+      getAccount(),
+      listPositions(),
+      listOrders({ status: 'open', limit: 500 }),
+    ]);
+    res.json({
+      limits: RISK_LIMITS,
+      killSwitch: getKillSwitch(),
+      exposure: exposureSnapshot({ account, positions, openOrders }),
+    });
+  } catch (err) {
+    sendAlpacaError(res, err);
+  }
+});
+
+// Engage the kill switch by hand: { reason }
+router.post('/risk/kill-switch', (req, res) => {
+  const reason = req.body?.reason;
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    return res.status(400).json({
+      error: 'Invalid kill switch request',
+      details: ['reason must be a string of at most 200 characters'],
+    });
+  }
+  res.json(engageKillSwitch(reason || 'manual'));
+});
+
+router.delete('/risk/kill-switch', (req, res) => {
+  res.json(resetKillSwitch());
+});
+
+module.exports = {
+  router,
+  RISK_LIMITS,
+  evaluateBuy,
+  checkBuy,
+  orderNotional,
+  riskRejection,
+  getKillSwitch,
+  engageKillSwitch,
+  resetKillSwitch,
+};
@@ -0,0 +1,739 @@
+// scheduler.js
+// Server-side auto-trading loop. This is the scan -> exit -> entry cycle
+// that used to run inside the Expo app on a setInterval, moved here so it
+// keeps trading while the phone sleeps. The app now only starts, stops and
+// watches it through the routes at the bottom of this file.
+const express = require('express');
+const router = express.Router();
+
+const {
+  getAccount,
+  getPosition,
+  getOpenOrders,
+  getOrder,
+  submitOrder,
+  cancelOrder,
+} = require('./trade');
+const { last, atr } = require('../Shared/indicators');
+const {
+  analyzeToken,
+  retrySignalValid,
+  exitSignal,
+  sizeEntry,
+  limitBuyPrice,
+} = require('./strategy');
+const { logTradeAction, getRecentTradeLogs } = require('./tradeLog');
+const { openBracket, reconcile, cancelBracket, getBracket } = require('./exitManager');
+const { getStore } = require('./store');
+const { checkBuy, riskRejection } = require('./riskManager');
+const { getAsset, getUniverse, canTrade, untradableReason } = require('./assets');
+const { getAssignments } = require('./strategyConfig');
+const { getConfig, onConfigChange } = require('./config');
+const { publish } = require('./events');
+const { getQuote, getBars } = require('./marketData');
+const { roundQty, roundPrice } = require('./orderRules');
+const { validateIdempotencyKey } = require('./validate');
+const { orderIdForKey, workflowKey } = require('./idempotency');
+const { getBrokerClient } = require('./brokerClient');
+const logger = require('./logger');
+
+// Crypto orders require GTC time in force
+const CRYPTO_TIME_IN_FORCE = 'gtc';
+// Statuses of an entry order that may still fill
+const OPEN_STATUSES = ['new', 'accepted', 'pending_new', 'partially_filled'];
+
+// Entry metadata (positionMeta), pending limit buys (pendingLimitOrders),
+// cooldowns (lastTradeTime), per-cycle funds locks (perSymbolFundsLock) and
+// the trade history live in the durable store so a restart keeps them.
+// Entry metadata, pending buys and brackets keep the correlationId of the
+// trade that made them, so its later log entries share it. Entry metadata
+// also lists the entry's orders (orderIds), and once none of them can fill
+// any more, the quantity they bought (entryQty).
+const store = getStore();
+
+// Scheduler bookkeeping exposed through the status route
+const state = {
+  running: false,
+  inProgress: false,
+  startedAt: null,
+  lastCycleStartedAt: null,
+  lastCycleFinishedAt: null,
+  cycleCount: 0,
+  lastError: null,
+  tokens: [],
+};
+let timer = null;
+const broker = getBrokerClient();
+
+// Current price from the market data service
+async function fetchPrice(symbol) {
+  return (await getQuote(symbol)).price;
+}
+
+// Latest price plus the last 53 fifteen-minute bars and their closes
+async function fetchMarketData(symbol) {
+  const [price, { bars }] = await Promise.all([
+    fetchPrice(symbol),
+    getBars(symbol, { interval: '15m', limit: 53 }),
+  ]);
+  const closes = bars.map((bar) => bar.close);
+  return { price, closes, bars };
+}
+
+// Normalise an Alpaca position into the qty/basis/available shape the
+// exit logic works with. Returns null only when the broker says nothing is
+// held (a 404 or an empty position); any other failure is thrown, since
+// taking it for flat would tear down the exits of a live position.
+// `available` is zero while an exit leg reserves the coins.
+async function getPositionInfo(symbol) {
+  const info = await getPosition(symbol);
+  if (!info) return null;
+  const qty = parseFloat(info.qty);
+  const basis = parseFloat(info.avg_entry_price);
+  const available = parseFloat(info.qty_available ?? info.qty);
+  if (isNaN(qty) || qty <= 0) return null;
+  return {
+    qty: roundQty(symbol, qty),
+    basis,
+    available: isNaN(available) ? 0 : available,
+  };
+}
+
+// Force close a position at market price
+async function closePositionMarket(symbol, qty) {
+  if (!qty || qty <= 0) return;
+  logTradeAction('forced_exit_attempt', symbol, { qty });
+  try {
+    const order = await submitOrder({
+      symbol,
+      qty,
+      side: 'sell',
+      type: 'market',
+      time_in_force: CRYPTO_TIME_IN_FORCE,
+    });
+    logTradeAction('forced_exit_success', symbol, { id: order.id });
+    store.recordTrade({
+      symbol,
+      side: 'sell',
+      type: 'market',
+      orderId: order.id,
+      qty,
+      reason: 'forced_exit',
+    });
+    store.remove('positionMeta', symbol);
+  } catch (err) {
+    logTradeAction('forced_exit_failed', symbol, {
+      status: err?.response?.status,
+      reason: err?.response?.data?.message || err.message,
+    });
+  }
+}
+
+// Verify a limit buy filled, otherwise retry with a market buy if the
+// signal still holds or drop the order if it does not.
+async function verifyLimitBuyFilled(symbol) {
+  const pending = store.get('pendingLimitOrders', symbol);
+  if (!pending) return;
+  try {
+    const order = await getOrder(pending.orderId);
+    if (order.status === 'filled') {
+      store.remove('pendingLimitOrders', symbol);
+      return;
+    }
+  } catch (err) {
+    // if check fails just try again next cycle
+    return;
+  }
+
+  try {
+    const { price, closes } = await fetchMarketData(symbol);
+    const signalValid = retrySignalValid(closes);
+
+    await cancelOrder(pending.orderId);
+    if (!signalValid) {
+      store.remove('pendingLimitOrders', symbol);
+      logTradeAction('buy_cancel_signal_lost', symbol, {});
+      return;
+    }
+
+    // The cancelled limit no longer counts, so this checks the retry alone
+    const risk = await checkBuy(symbol, pending.notional, 'retry');
+    if (!risk.allowed) {
+      store.remove('pendingLimitOrders', symbol);
+      return;
+    }
+
+    try {
+      // One market retry per cancelled limit, however many cycles it takes
+      const order = await submitOrder(
+        {
+          symbol,
+          notional: pending.notional,
+          side: 'buy',
+          type: 'market',
+          time_in_force: CRYPTO_TIME_IN_FORCE,
+        },
+        { idempotencyKey: `retry:${pending.orderId}` }
+      );
+      logTradeAction('buy_retry_market', symbol, { id: order.id });
+      const now = Date.now();
+      store.set('lastTradeTime', symbol, now);
+      store.set('positionMeta', symbol, {
+        entryTimestamp: now,
+        entryPrice: price,
+        strategy: pending.strategy ?? null,
+        correlationId: pending.correlationId ?? null,
+        // The cancelled limit may have filled in part before the retry
+        orderIds: [pending.orderId, order.id],
+      });
+      store.remove('pendingLimitOrders', symbol);
+      store.recordTrade({
+        symbol,
+        side: 'buy',
+        type: 'market',
+        orderId: order.id,
+        notional: pending.notional,
+        price,
+        strategy: pending.strategy ?? null,
+        reason: 'limit_retry',
+      });
+    } catch (err) {
+      logTradeAction('buy_retry_failed', symbol, {
+        reason: err?.response?.data?.message || err.message,
+      });
+    }
+  } catch (err) {
+    logTradeAction('buy_retry_error', symbol, { error: err.message });
+  }
+}
+
+// Quantity the entry in `meta` bought: the filled qty of its orders, or
+// null for a position the scheduler did not open. Recorded as entryQty once
+// none of the orders can fill any more.
+async function entryFillQty(symbol, meta) {
+  if (meta.entryQty != null) return meta.entryQty;
+  if (!meta.orderIds?.length) return null;
+  const orders = await Promise.all(meta.orderIds.map((id) => getOrder(id)));
+  const filled = roundQty(
+    symbol,
+    orders.reduce((sum, order) => sum + (parseFloat(order.filled_qty) || 0), 0)
+  );
+  if (orders.every((order) => !OPEN_STATUSES.includes(order.status))) {
+    store.set('positionMeta', symbol, { ...meta, entryQty: filled });
+  }
+  return filled;
+}
+
+// Manage the exit for a held position. Stale positions are force-closed;
+// everything else gets a take-profit/stop bracket from the exit manager,
+// which is reconciled against the live price every cycle. Both only cover
+// what the entry bought and the bracket has not sold yet, never coins held
+// besides it. `currentAtr` (ATR of the 15-minute bars) drives ATR-based
+// trailing stops.
+async function manageExit(
+  symbol,
+  currentPrice = null,
+  currentRsi = null,
+  currentAtr = null
+) {
+  // Always re-fetch the position to ensure we have the live balance
+  const position = await getPositionInfo(symbol);
+  if (!position) {
+    logTradeAction('sell_skip_reason', symbol, { reason: 'no position held' });
+    return;
+  }
+
+  const qty = roundQty(symbol, position.qty);
+  const basis = parseFloat(position.basis);
+  if (!qty || qty <= 0 || !basis || basis <= 0) {
+    logTradeAction('sell_skip_reason', symbol, {
+      reason: 'invalid qty or basis',
+      qty,
+      basisPrice: basis,
+    });
+    return;
+  }
+
+  // Set default meta if missing
+  if (!store.get('positionMeta', symbol)) {
+    store.set('positionMeta', symbol, {
+      entryTimestamp: Date.now(),
+      entryPrice: basis,
+      correlationId: logger.correlationId(),
+    });
+  }
+
+  // Exit rules come from the strategy that opened the position
+  const meta = store.get('positionMeta', symbol);
+  const entryQty = await entryFillQty(symbol, meta);
+  const bracket = getBracket(symbol);
+  const sold = bracket?.status === 'active' ? bracket.filledQty : 0;
+  const managedQty =
+    entryQty == null ? qty : Math.min(qty, roundQty(symbol, Math.max(0, entryQty - sold)));
+  if (managedQty <= 0) {
+    logTradeAction('sell_skip_reason', symbol, { reason: 'entry not filled', qty, entryQty });
+    return;
+  }
+  const assignment = getAssignments(symbol).find((a) => a.name === meta.strategy);
+  const exit = exitSignal(
+    meta.strategy,
+    { basis, entryTimestamp: meta.entryTimestamp, entryPrice: meta.entryPrice },
+    { price: currentPrice, rsi: currentRsi },
+    assignment?.params
+  );
+  if (exit.reasons.includes('stale_position')) {
+    // Release the coins held by the resting leg before selling them
+    await cancelBracket(symbol, 'stale_position');
+    await closePositionMarket(symbol, managedQty);
+    logTradeAction('forced_exit_age', symbol, {
+      strategy: exit.strategy,
+      ageMs: exit.ageMs,
+      priceDiff: exit.priceDiff,
+    });
+    return;
+  }
+
+  // Skip if the notional value is below Alpaca's minimum ($1)
+  const notional = Math.floor(managedQty * basis * 1e6) / 1e6;
+  if (notional < getConfig().MIN_ORDER_NOTIONAL) {
+    logTradeAction('sell_skip_reason', symbol, {
+      reason: 'notional below $1',
+      qty: managedQty,
+      basisPrice: basis,
+      notionalValue: notional,
+    });
+    return;
+  }
+
+  // Fetch latest price each time to evaluate the exit legs
+  let livePrice = null;
+  try {
+    livePrice = await fetchPrice(symbol);
+  } catch (err) {
+    logger.warn('live_price_failed', { symbol, error: err.message });
+  }
+  if (!livePrice || isNaN(livePrice)) {
+    logTradeAction('sell_skip_reason', symbol, { reason: 'price unavailable' });
+    return;
+  }
+
+  if (bracket?.status !== 'active') {
+    await openBracket(symbol, {
+      qty: managedQty,
+      basis,
+      takeProfitPrice: exit.takeProfitPrice,
+      stopPrice: exit.stopPrice,
+    });
+  }
+  const result = await reconcile(symbol, livePrice, qty, { atr: currentAtr, entryQty });
+  if (result && result.status !== 'active') {
+    store.remove('positionMeta', symbol);
+  }
+}
+
+// Place a limit buy for the given symbol. Allocates the share of the
+// portfolio the entry signal's sizing hint asks for (10% without one) but
+// never more than the available cash. Skips symbols on cooldown, with open
+// orders or with a position already held. `idempotencyKey` is a manual
+// buy's client key; the loop keys each entry by the symbol's last trade
+// time, so every attempt until one succeeds looks for the same order.
+async function placeEntry(symbol, isManual, signal, idempotencyKey) {
+  // Only assets tradable at the broker and enabled here (see assets.js)
+  const asset = getAsset(symbol);
+  if (!canTrade(asset)) {
+    const reason = asset ? untradableReason(asset) : `${symbol} is not a known asset`;
+    logTradeAction('untradable_skip', symbol, { reason });
+    return { skipped: true, reason };
+  }
+  // Cooldown check per symbol
+  const now = Date.now();
+  const last = store.get('lastTradeTime', symbol);
+  if (last && now - last < getConfig().COOL_DOWN_MS) {
+    logTradeAction('cooldown_skip', symbol, { last });
+    return { skipped: true, reason: 'cooldown' };
+  }
+  if (store.get('perSymbolFundsLock', symbol)) {
+    logTradeAction('funds_lock_skip', symbol, {});
+    return { skipped: true, reason: 'insufficient funds this cycle' };
+  }
+
+  // Check for open orders FIRST
+  let openOrders = [];
+  try {
+    openOrders = await getOpenOrders(symbol);
+  } catch (err) {
+    // Optimistically continue; the broker rejects true duplicates
+  }
+  if (openOrders.length > 0) {
+    logTradeAction('skip_open_orders', symbol, { openOrders: openOrders.length });
+    return { skipped: true, reason: 'open orders' };
+  }
+
+  // Check if already held and only skip if the notional value is above $1
+  const held = await getPositionInfo(symbol);
+  if (held && held.qty * held.basis > 1) {
+    logTradeAction('buy_attempt_skipped', symbol, {
+      reason: 'position already held',
+      held,
+    });
+    return { skipped: true, reason: 'position already held' };
+  }
+
+  logTradeAction('buy_attempt', symbol, { isManual });
+
+  try {
+    const price = await fetchPrice(symbol);
+    if (!price || isNaN(price)) {
+      throw new Error('Invalid price data');
+    }
+
+    const accountData = await getAccount();
+
+    // Crypto purchases can only be funded from settled cash, which is
+    // reflected in non_marginable_buying_power.
+    const cash = parseFloat(
+      accountData.non_marginable_buying_power ??
+        accountData.buying_power ??
+        accountData.cash ??
+        0
+    );
+    const portfolioValue = parseFloat(
+      accountData.equity ?? accountData.portfolio_value ?? '0'
+    );
+
+    logTradeAction('cash_available', symbol, { cash });
+
+    const { targetAllocation, allocation, notional } = sizeEntry({
+      portfolioValue,
+      cash,
+      allocation: signal?.sizing?.allocation,
+    });
+    logTradeAction('allocation_check', symbol, {
+      cash,
+      targetAllocation,
+      allocation,
+      finalNotional: notional,
+    });
+
+    // Skip trades that do not meet the minimum $1 notional
+    if (notional < getConfig().MIN_ORDER_NOTIONAL) {
+      store.set('perSymbolFundsLock', symbol, true);
+      logTradeAction('skip_small_order', symbol, {
+        reason: 'insufficient cash',
+        targetAllocation,
+        allocation,
+        cash,
+      });
+      return { skipped: true, reason: 'insufficient cash' };
+    }
+
+    const risk = await checkBuy(symbol, notional, isManual ? 'manual' : 'auto');
+    if (!risk.allowed) {
+      return { skipped: true, reason: 'rejected by risk manager', reasons: risk.reasons };
+    }
+
+    // Rounded here as submitOrder would, so the recorded values are the sent ones
+    const limit_price = roundPrice(symbol, limitBuyPrice(price), 'down');
+    const qty = roundQty(symbol, notional / limit_price);
+    logTradeAction('buy_limit_details', symbol, { limit_price, qty });
+
+    const result = await submitOrder(
+      {
+        symbol,
+        qty,
+        side: 'buy',
+        type: 'limit',
+        time_in_force: CRYPTO_TIME_IN_FORCE,
+        limit_price,
+      },
+      { idempotencyKey: idempotencyKey || `entry:${symbol}:${last || 0}` }
+    );
+
+    logTradeAction('buy_success', symbol, { id: result.id, qty, limit_price });
+    store.set('lastTradeTime', symbol, now);
+    store.set('positionMeta', symbol, {
+      entryTimestamp: now,
+      entryPrice: limit_price,
+      strategy: signal?.strategy ?? null,
+      correlationId: logger.correlationId(),
+      orderIds: [result.id],
+    });
+    store.set('pendingLimitOrders', symbol, {
+      orderId: result.id,
+      notional,
+      createdAt: now,
+      strategy: signal?.strategy ?? null,
+      correlationId: logger.correlationId(),
+    });
+    store.recordTrade({
+      symbol,
+      side: 'buy',
+      type: 'limit',
+      orderId: result.id,
+      notional,
+      price: limit_price,
+      strategy: signal?.strategy ?? null,
+      reason: isManual ? 'manual' : 'entry_signal',
+    });
+    return result;
+  } catch (err) {
+    logTradeAction('buy_failed', symbol, {
+      status: err?.response?.status,
+      reason: err?.response?.data?.message || err.message,
+    });
+    throw err;
+  }
+}
+
+// Every entry attempt starts a trade workflow with its own correlation id,
+// kept by the position it opens until the exit
+function placeOrder(symbol, isManual = false, signal = null, idempotencyKey = null) {
+  return logger.withCorrelation(logger.newCorrelationId('trade'), () =>
+    placeEntry(symbol, isManual, signal, idempotencyKey)
+  );
+}
+
+// The correlation id of the trade open on a symbol, if any
+function tradeCorrelationId(symbol) {
+  const bracket = getBracket(symbol);
+  return (
+    store.get('pendingLimitOrders', symbol)?.correlationId ||
+    store.get('positionMeta', symbol)?.correlationId ||
+    (bracket?.status === 'active' ? bracket.correlationId : null) ||
+    null
+  );
+}
+
+// Assets the loop scans: everything on a watchlist, plus whatever we still
+// manage an entry or exit bracket for, so taking a pair off the lists never
+// leaves a position unwatched
+function scanList() {
+  const universe = getUniverse();
+  const listed = new Set(universe.map((asset) => asset.symbol));
+  const brackets = Object.values(store.all('brackets'));
+  const managed = [
+    ...Object.keys(store.all('positionMeta')),
+    ...Object.keys(store.all('pendingLimitOrders')),
+    ...brackets.filter((b) => b.status === 'active').map((b) => b.symbol),
+  ].filter((symbol) => !listed.has(symbol));
+  return [...universe, ...[...new Set(managed)].map(getAsset).filter(Boolean)];
+}
+
+// Cycles are skipped while the broker client's circuit breaker is open:
+// every order and position call would fail straight away
+function brokerPaused() {
+  if (broker.isAvailable()) return false;
+  state.lastError = `Broker unavailable, cycles paused until ${broker.getBreaker().retryAt}`;
+  return true;
+}
+
+// Settle a pending limit buy, manage the exit of a held position and enter
+// where the signal is ready, for one asset. Resolves the token published on
+// the 'signal' topic.
+async function scanAsset(asset) {
+  const pending = store.get('pendingLimitOrders', asset.symbol);
+  if (pending && Date.now() - pending.createdAt >= getConfig().REFRESH_INTERVAL_MS * 2) {
+    await verifyLimitBuyFilled(asset.symbol);
+  }
+
+  try {
+    const { price, closes, bars } = await fetchMarketData(asset.symbol);
+    const token = analyzeToken(asset, price, closes, getAssignments(asset.symbol));
+
+    const held = await getPositionInfo(asset.symbol);
+    if (held) {
+      await manageExit(asset.symbol, token.price, parseFloat(token.rsi), last(atr(bars)));
+    } else if (getBracket(asset.symbol)?.status === 'active') {
+      // Flat with a live bracket: a leg filled or the position was sold
+      // elsewhere, so settle and close the bracket
+      await reconcile(asset.symbol, token.price, 0);
+      store.remove('positionMeta', asset.symbol);
+    }
+    if (token.decision.type === 'entry' && canTrade(asset)) {
+      logTradeAction('entry_ready_confirmed', asset.symbol, {
+        strategy: token.decision.strategy,
+        reasons: token.decision.reasons,
+      });
+      await placeOrder(asset.symbol, false, token.decision).catch(() => {});
+    }
+    return token;
+  } catch (err) {
+    logger.error('scan_failed', { symbol: asset.symbol, error: err.message });
+    return {
+      ...asset,
+      error: err.message,
+      missingData: true,
+      time: new Date().toISOString(),
+    };
+  }
+}
+
+// One pass over every scanned asset. Each asset is scanned under the
+// correlation id of the trade open on it, or under the cycle's own.
+async function runCycle() {
+  if (state.inProgress) return; // Prevent overlapping cycles
+  const cycleId = logger.newCorrelationId('cycle');
+  if (brokerPaused()) {
+    logTradeAction('cycle_skipped', 'all', {
+      reason: 'broker_unavailable',
+      correlationId: cycleId,
+    });
+    publishStatus();
+    return;
+  }
+  state.inProgress = true;
+  state.lastCycleStartedAt = new Date().toISOString();
+  logTradeAction('refresh', 'all', { correlationId: cycleId });
+  store.clear('perSymbolFundsLock'); // Reset funds lock each cycle
+  publishStatus();
+
+  const results = [];
+  try {
+    for (const asset of scanList()) {
+      // The breaker opened mid-cycle; the next cycle after it closes resumes
+      if (brokerPaused()) break;
+      const workflow = tradeCorrelationId(asset.symbol) || cycleId;
+      const token = await logger.withCorrelation(workflow, () => scanAsset(asset));
+      results.push(token);
+      publish('signal', token);
+    }
+    state.tokens = results;
+    if (broker.isAvailable()) state.lastError = null;
+  } catch (err) {
+    state.lastError = err.message;
+    logger.error('cycle_failed', { error: err.message, correlationId: cycleId });
+  } finally {
+    state.cycleCount += 1;
+    state.lastCycleFinishedAt = new Date().toISOString();
+    state.inProgress = false;
+    publishStatus();
+  }
+}
+
+// Start the loop and kick off a cycle straight away
+function start() {
+  if (state.running) return false;
+  state.running = true;
+  state.startedAt = new Date().toISOString();
+  const intervalMs = getConfig().REFRESH_INTERVAL_MS;
+  timer = setInterval(runCycle, intervalMs);
+  runCycle();
+  logTradeAction('scheduler_started', 'all', { intervalMs });
+  publishStatus();
+  return true;
+}
+
+// Log the breaker opening and closing and show it in the app's status
+broker.onBreakerChange((breaker) => {
+  logTradeAction(`broker_circuit_${breaker.state}`, 'all', {
+    failures: breaker.failures,
+    retryAt: breaker.retryAt,
+  });
+  publishStatus();
+});
+
+// Pick up a new REFRESH_INTERVAL_MS without a restart
+onConfigChange((config, previous) => {
+  if (!state.running || config.REFRESH_INTERVAL_MS === previous.REFRESH_INTERVAL_MS) return;
+  clearInterval(timer);
+  timer = setInterval(runCycle, config.REFRESH_INTERVAL_MS);
+  logTradeAction('scheduler_rescheduled', 'all', { intervalMs: config.REFRESH_INTERVAL_MS });
+  publishStatus();
+});
+
+// Stop scheduling new cycles. A cycle already in progress finishes.
+function stop() {
+  if (!state.running) return false;
+  clearInterval(timer);
+  timer = null;
+  state.running = false;
+  state.startedAt = null;
+  logTradeAction('scheduler_stopped', 'all');
+  publishStatus();
+  return true;
+}
+
+// Loop state without the per-token and log payloads, which have their own
+// event topics
+function statusSummary() {
+  return {
+    running: state.running,
+    inProgress: state.inProgress,
+    intervalMs: getConfig().REFRESH_INTERVAL_MS,
+    startedAt: state.startedAt,
+    lastCycleStartedAt: state.lastCycleStartedAt,
+    lastCycleFinishedAt: state.lastCycleFinishedAt,
+    cycleCount: state.cycleCount,
+    lastError: state.lastError,
+    broker: broker.getBreaker(),
+  };
+}
+
+function publishStatus() {
+  publish('status', statusSummary());
+}
+
+function getStatus() {
+  return {
+    ...statusSummary(),
+    tokens: state.tokens,
+    pendingLimitOrders: store.all('pendingLimitOrders'),
+    positionMeta: store.all('positionMeta'),
+    recentLogs: getRecentTradeLogs(),
+  };
+}
+
+// Express routes
+router.get('/autotrade/status', (req, res) => {
+  res.json(getStatus());
+});
+
+router.post('/autotrade/start', (req, res) => {
+  start();
+  res.json(getStatus());
+});
+
+router.post('/autotrade/stop', (req, res) => {
+  stop();
+  res.json(getStatus());
+});
+
+// Manual buy through the same guards the loop uses. A repeated request
+// with the same Idempotency-Key header answers with the order the first
+// one placed.
+router.post('/autotrade/buy', async (req, res) => {
+  const { symbol } = req.body || {};
+  const asset = getAsset(symbol);
+  if (!asset) {
+    return res.status(400).json({ error: `Unknown symbol ${symbol}` });
+  }
+  const errors = validateIdempotencyKey(req.get('Idempotency-Key'));
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key', details: errors });
+  }
+  const idempotencyKey = workflowKey('autotrade', req);
+  try {
+    const placed = orderIdForKey(idempotencyKey);
+    if (placed) return res.json(await getOrder(placed));
+    // Manual buys skip the entry rules but keep the strategy's sizing hint
+    const { price, closes } = await fetchMarketData(asset.symbol);
+    const { decision } = analyzeToken(asset, price, closes, getAssignments(asset.symbol));
+    const result = await placeOrder(asset.symbol, true, decision, idempotencyKey);
+    if (result.reasons) return res.status(403).json(riskRejection(result));
+    res.json(result);
+  } catch (err) {
+    res
+      .status(err?.response?.status || 500)
+      .json(err?.response?.data || { error: err.message });
+  }
+});
+
+module.exports = {
+  router,
+  start,
+  stop,
+  runCycle,
+  getStatus,
+  placeOrder,
+  manageExit,
+};
@@ -0,0 +1,191 @@
+// signals.js
+// Indicators and strategy decisions for every watched token in one call,
+// so the app renders its dashboard from a single GET /api/signals instead
+// of fetching prices, bars and positions token by token. Tokens are
+// computed a few at a time, so one slow symbol does not hold up the rest
+// for long, and the whole result is cached briefly: every app polling
+// within SIGNALS_TTL_MS shares one computation. Each token also carries
+// its recent closes and our fills over the same window for the card's
+// sparkline.
+//
+// One computation covers every watchlist (assets.js); ?watchlist= picks
+// one list's tokens out of it. Changing the lists starts a new one.
+const express = require('express');
+const router = express.Router();
+const { getUniverse, getWatchlist } = require('./assets');
+const { analyzeToken } = require('./strategy');
+const { getAssignments } = require('./strategyConfig');
+const { getQuote, getBars } = require('./marketData');
+const { listPositions, listActivities } = require('./trade');
+const { onConfigChange } = require('./config');
+const { validateSymbol } = require('./validate');
+const logger = require('./logger');
+
+const SIGNALS_TTL_MS = 15 * 1000;
+// 15 minute bars used for indicators and the sparkline
+const BAR_LIMIT = 53;
+const BAR_MS = 15 * 60 * 1000;
+// Tokens computed at the same time
+const SIGNALS_CONCURRENCY = 5;
+
+let cached = null; // { value, expires, key }
+let inFlight = null; // { promise, key }
+
+// New config values change the decisions
+onConfigChange(() => {
+  cached = null;
+});
+
+// Run `fn` over `items` with at most `limit` calls in flight, keeping order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Our fills since `after` as chart markers by symbol, one per order:
+// { side, price (average), qty, time (epoch ms of the last fill) }
+async function tradeMarkers(after) {
+  const fills = await listActivities(['FILL'], { after: new Date(after).toISOString() });
+  const orders = new Map();
+  fills.forEach((f) => {
+    const qty = Number(f.qty);
+    const order = orders.get(f.order_id) || {
+      symbol: String(f.symbol).replace('/', ''),
+      side: f.side,
+      qty: 0,
+      notional: 0,
+      time: 0,
+    };
+    order.qty += qty;
+    order.notional += qty * Number(f.price);
+    order.time = Math.max(order.time, Date.parse(f.transaction_time));
+    orders.set(f.order_id, order);
+  });
+  const markers = {};
+  orders.forEach(({ symbol, side, qty, notional, time }) => {
+    (markers[symbol] = markers[symbol] || []).push({ side, price: notional / qty, qty, time });
+  });
+  return markers;
+}
+
+// One token's signal, or the token flagged with the error that stopped it
+async function tokenSignal(asset, positions, markers) {
+  const position = positions[asset.symbol] || null;
+  try {
+    const [quote, { bars }] = await Promise.all([
+      getQuote(asset.symbol),
+      getBars(asset.symbol, { interval: '15m', limit: BAR_LIMIT }),
+    ]);
+    const closes = bars.map((bar) => bar.close);
+    const token = analyzeToken(asset, quote.price, closes, getAssignments(asset.symbol));
+    const start = bars.length ? bars[0].time : Date.now();
+    return {
+      ...token,
+      provider: quote.provider,
+      entryReady: token.decision.type === 'entry',
+      watchlist: token.decision.type === 'watch',
+      position,
+      chart: {
+        times: bars.map((bar) => bar.time),
+        closes,
+        trades: (markers[asset.symbol] || []).filter((m) => m.time >= start),
+      },
+    };
+  } catch (err) {
+    return {
+      ...asset,
+      price: null,
+      decision: null,
+      entryReady: false,
+      watchlist: false,
+      missingData: true,
+      error: err.message,
+      position,
+      time: new Date().toISOString(),
+    };
+  }
+}
+
+async function computeSignals(universe) {
+  let positions = {};
+  try {
+    const list = await listPositions();
+    positions = Object.fromEntries(list.map((p) => [p.symbol, p]));
+  } catch (err) {
+    logger.warn('signals_positions_failed', { error: err.message });
+  }
+  let markers = {};
+  try {
+    markers = await tradeMarkers(Date.now() - BAR_LIMIT * BAR_MS);
+  } catch (err) {
+    logger.warn('signals_markers_failed', { error: err.message });
+  }
+  const tokens = await mapWithConcurrency(universe, SIGNALS_CONCURRENCY, (asset) =>
+    tokenSignal(asset, positions, markers)
+  );
+  return { generatedAt: new Date().toISOString(), tokens };
+}
+
+// Signals for every watched token, from the cache when it is fresh and
+// was computed for the same assets
+async function getSignals() {
+  const universe = getUniverse();
+  const key = universe.map((asset) => asset.symbol).join(',');
+  if (cached && cached.expires > Date.now() && cached.key === key) {
+    return { ...cached.value, cached: true };
+  }
+  if (!inFlight || inFlight.key !== key) {
+    const computation = computeSignals(universe)
+      .then((value) => {
+        cached = { value, expires: Date.now() + SIGNALS_TTL_MS, key };
+        return value;
+      })
+      .finally(() => {
+        if (inFlight?.promise === computation) inFlight = null;
+      });
+    inFlight = { promise: computation, key };
+  }
+  return { ...(await inFlight.promise), cached: false };
+}
+
+function clearSignalsCache() {
+  cached = null;
+}
+
+// Express routes
+// GET /signals?watchlist=majors&symbols=BTCUSD,ETHUSD (every watched token
+// by default)
+router.get('/signals', async (req, res) => {
+  const symbols = req.query.symbols ? String(req.query.symbols).split(',') : null;
+  const errors = symbols ? symbols.flatMap(validateSymbol) : [];
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const watchlist = req.query.watchlist ? getWatchlist(String(req.query.watchlist)) : null;
+  if (req.query.watchlist && !watchlist) {
+    return res.status(404).json({ error: `No watchlist ${req.query.watchlist}` });
+  }
+  try {
+    const signals = await getSignals();
+    const tokens = signals.tokens.filter(
+      (t) =>
+        (!symbols || symbols.includes(t.symbol)) &&
+        (!watchlist || watchlist.symbols.includes(t.symbol))
+    );
+    res.json({ ...signals, tokens });
+  } catch (err) {
+    logger.error('signals_failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = { router, getSignals, clearSignalsCache, mapWithConcurrency };
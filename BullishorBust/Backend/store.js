@@ -0,0 +1,170 @@
+// store.js
+// Durable trade state. The keyed COLLECTIONS below and an append-only
+// trade history are kept in memory and every change is appended to a
+// journal file, so a restart picks up exactly where the last process
+// stopped.
+//
+// On disk (TRADE_STATE_DIR, default ./data):
+//   state.json    - snapshot written by compact()
+//   journal.jsonl - one JSON operation per line since the snapshot
+//
+// The journal is folded into a new snapshot every COMPACT_EVERY writes.
+// Snapshots are written to a temp file and renamed into place, and a torn
+// last journal line (a crash mid-write) is ignored on load.
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTIONS = [
+  'positionMeta',
+  'pendingLimitOrders',
+  'lastTradeTime',
+  'perSymbolFundsLock',
+  'brackets',
+  'risk',
+  'apiTokens',
+  'strategies',
+  'config',
+  'lotSelections',
+  'assets',
+  'watchlists',
+  'orderKeys',
+];
+const COMPACT_EVERY = 500;
+const MAX_HISTORY = 5000;
+
+function emptyState() {
+  const state = { history: [] };
+  COLLECTIONS.forEach((name) => {
+    state[name] = {};
+  });
+  return state;
+}
+
+function apply(state, op) {
+  switch (op.op) {
+    case 'set':
+      state[op.c][op.k] = op.v;
+      break;
+    case 'del':
+      delete state[op.c][op.k];
+      break;
+    case 'clear':
+      state[op.c] = {};
+      break;
+    case 'append':
+      state.history.push(op.v);
+      if (state.history.length > MAX_HISTORY) {
+        state.history.splice(0, state.history.length - MAX_HISTORY);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function createStore(dir = process.env.TRADE_STATE_DIR || path.join(__dirname, 'data')) {
+  const snapshotFile = path.join(dir, 'state.json');
+  const journalFile = path.join(dir, 'journal.jsonl');
+  let state = emptyState();
+  let pendingOps = 0;
+
+  function load() {
+    fs.mkdirSync(dir, { recursive: true });
+    state = emptyState();
+    if (fs.existsSync(snapshotFile)) {
+      Object.assign(state, JSON.parse(fs.readFileSync(snapshotFile, 'utf8')));
+    }
+    if (fs.existsSync(journalFile)) {
+      const lines = fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean);
+      lines.forEach((line, i) => {
+        try {
+          apply(state, JSON.parse(line));
+        } catch (err) {
+          console.warn(`Skipping unreadable journal line ${i + 1}:`, err.message);
+        }
+      });
+      pendingOps = lines.length;
+    }
+  }
+
+  // Fold the journal into a fresh snapshot
+  function compact() {
+    const tmp = `${snapshotFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, snapshotFile);
+    fs.writeFileSync(journalFile, '');
+    pendingOps = 0;
+  }
+
+  function write(op) {
+    if (op.c !== 'history' && !COLLECTIONS.includes(op.c)) {
+      throw new Error(`Unknown collection ${op.c}`);
+    }
+    apply(state, op);
+    fs.appendFileSync(journalFile, `${JSON.stringify(op)}\n`);
+    pendingOps += 1;
+    if (pendingOps >= COMPACT_EVERY) compact();
+  }
+
+  function get(collection, key) {
+    return state[collection][key];
+  }
+
+  function set(collection, key, value) {
+    write({ op: 'set', c: collection, k: key, v: value });
+    return value;
+  }
+
+  function remove(collection, key) {
+    if (state[collection][key] === undefined) return false;
+    write({ op: 'del', c: collection, k: key });
+    return true;
+  }
+
+  function clear(collection) {
+    if (Object.keys(state[collection]).length === 0) return;
+    write({ op: 'clear', c: collection });
+  }
+
+  // Copy of a whole collection
+  function all(collection) {
+    return { ...state[collection] };
+  }
+
+  function recordTrade(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    write({ op: 'append', c: 'history', v: record });
+    return record;
+  }
+
+  // Newest first, optionally for one symbol
+  function getTradeHistory({ symbol, limit = 100 } = {}) {
+    return state.history
+      .filter((t) => !symbol || t.symbol === symbol)
+      .slice(-limit)
+      .reverse();
+  }
+
+  load();
+
+  return {
+    get,
+    set,
+    remove,
+    clear,
+    all,
+    recordTrade,
+    getTradeHistory,
+    compact,
+    reload: load,
+  };
+}
+
+// Shared store used by the scheduler and routes, opened on first use
+let defaultStore = null;
+function getStore() {
+  if (!defaultStore) defaultStore = createStore();
+  return defaultStore;
+}
+
+module.exports = { COLLECTIONS, createStore, getStore };
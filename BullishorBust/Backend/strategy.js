@@ -0,0 +1,178 @@
+// strategy.js
+// Pure trading rules around the strategies in Shared/strategies.js: token
+// analysis, exit signals, sizing, limit prices and stop protection. Nothing
+// in here touches the network, so the live scheduler and the offline
+// backtester run exactly the same decisions. Tunable values (cooldown,
+// limit buffer, take-profit and stop levels...) are read from config.js at
+// call time, so changes through PUT /api/config apply on the next cycle.
+const { last, rsi, macd, getTrendSymbol } = require('../Shared/indicators');
+const {
+  DEFAULT_ASSIGNMENTS,
+  computeFeatures,
+  evaluateEntry,
+  evaluateExit,
+  getStrategy,
+} = require('../Shared/strategies');
+const { getConfig } = require('./config');
+
+// Positions older than this with a flat price and weak RSI are closed
+const MAX_POSITION_AGE_MS = 2 * 60 * 60 * 1000;
+
+// === Position protection defaults ===
+// trailing: 'percent' trails the highest price by trailPercent, 'atr' by
+// atrMultiplier x ATR(14) of the 15-minute bars, 'off' keeps a fixed stop.
+// trailPercent defaults to the live STOP_LOSS_PERCENT (protectionDefaults).
+// Once the gain reaches breakEvenTrigger the stop moves to the entry plus
+// breakEvenFees, which defaults to the round-trip taker fees (2 x the live
+// FEE_BUFFER). Stops only move in steps of at least minStepPercent to limit
+// order replacements.
+const PROTECTION_DEFAULTS = {
+  trailing: 'percent',
+  atrMultiplier: 3,
+  breakEvenTrigger: 0.01,
+  minStepPercent: 0.001,
+};
+
+// Protection settings new brackets start from
+function protectionDefaults() {
+  const { STOP_LOSS_PERCENT, FEE_BUFFER } = getConfig();
+  return {
+    ...PROTECTION_DEFAULTS,
+    trailPercent: STOP_LOSS_PERCENT,
+    breakEvenFees: 2 * FEE_BUFFER,
+  };
+}
+
+// Exit levels the strategies run with unless a symbol overrides them
+function exitParams(config = getConfig()) {
+  return {
+    takeProfitMultiplier: config.SELL_TARGET_MULTIPLIER,
+    stopLossPercent: config.STOP_LOSS_PERCENT,
+    maxPositionAgeMs: MAX_POSITION_AGE_MS,
+  };
+}
+
+// Compute indicators for one token and evaluate its strategies. The entry
+// decision is the signal in `decision` (see Shared/strategies.js).
+function analyzeToken(asset, price, closes, assignments = DEFAULT_ASSIGNMENTS) {
+  const features = computeFeatures(closes);
+  const decision = evaluateEntry(features, assignments, exitParams());
+  return {
+    ...asset,
+    price,
+    rsi: features.rsi != null ? features.rsi.toFixed(1) : null,
+    macd: features.macd,
+    signal: features.macdSignal,
+    signalDiff: features.histogram,
+    zscore: features.zscore,
+    histSlope: features.histSlope,
+    trend: features.trend,
+    isTrendingMarket: Math.abs(features.slope) > 0.025,
+    slope: features.slope,
+    decision,
+    missingData: price == null || decision.reasons.includes('insufficient_data'),
+    error: null,
+    time: new Date().toISOString(),
+  };
+}
+
+// Whether an unfilled limit buy should be replaced by a market buy: the
+// MACD histogram is positive and rising, RSI above 40 and the trend up.
+function retrySignalValid(closes) {
+  const r = last(rsi(closes));
+  const { histogram } = macd(closes);
+  const hist = last(histogram);
+  const histPrev = last(histogram, 1);
+  const trend = getTrendSymbol(closes);
+  return (
+    hist != null &&
+    histPrev != null &&
+    r != null &&
+    hist > 0 &&
+    hist > histPrev &&
+    r > 40 &&
+    trend.slope > 0.01
+  );
+}
+
+// Exit signal for an open position from the strategy that opened it.
+// position is { basis, entryTimestamp, entryPrice }, market { price, rsi,
+// now }. A 'stale_position' exit closes at market; otherwise the signal
+// carries the take-profit and stop prices for the exit bracket.
+function exitSignal(strategyName, position, market, params = {}) {
+  const name = getStrategy(strategyName) ? strategyName : DEFAULT_ASSIGNMENTS[0].name;
+  return evaluateExit(name, position, market, params, exitParams());
+}
+
+// Ratchet the stop for an open position given the highest price seen since
+// entry. The stop never moves down. Returns the new stop and why it moved
+// ('break_even' or 'trailing'), or reason null when it stays put.
+function protectiveStop({ basis, stopPrice, highWater, atr = null, settings = {} }) {
+  const opts = { ...protectionDefaults(), ...settings };
+  let next = stopPrice;
+  let reason = null;
+
+  if (opts.breakEvenTrigger != null && highWater >= basis * (1 + opts.breakEvenTrigger)) {
+    const breakEven = basis * (1 + opts.breakEvenFees);
+    if (breakEven > next) {
+      next = breakEven;
+      reason = 'break_even';
+    }
+  }
+
+  let trail = null;
+  if (opts.trailing === 'percent') {
+    trail = highWater * (1 - opts.trailPercent);
+  } else if (opts.trailing === 'atr' && atr > 0) {
+    trail = highWater - opts.atrMultiplier * atr;
+  }
+  if (trail != null && trail > next) {
+    next = trail;
+    reason = 'trailing';
+  }
+
+  if (reason && next - stopPrice < stopPrice * opts.minStepPercent) {
+    return { stopPrice, reason: null };
+  }
+  return { stopPrice: next, reason };
+}
+
+// Size a new entry: `allocation` of the portfolio (the strategy's sizing
+// hint, 10% by default) but never more than the available cash. The price
+// collar for market orders is 2%, so the allocation is reduced by a
+// slightly larger factor (3%) to stay within buying power.
+function sizeEntry({ portfolioValue, cash, allocation: share = 0.1 }) {
+  const SAFETY_MARGIN = 1;
+  const PRICE_COLLAR_PERCENT = 0.02;
+  const EXTRA_BUFFER = 0.01;
+  const SAFETY_FACTOR = 1 - PRICE_COLLAR_PERCENT - EXTRA_BUFFER;
+
+  const targetAllocation = portfolioValue * share;
+  let allocation = Math.min(targetAllocation, cash - SAFETY_MARGIN);
+  allocation *= SAFETY_FACTOR;
+  if (allocation > cash) {
+    allocation = Math.floor(cash * 100) / 100;
+  }
+  const notional = Math.floor(allocation * 100) / 100;
+  return { targetAllocation, allocation, notional };
+}
+
+// Limit price for an entry, BUY_LIMIT_BUFFER (0.1%) under the current price,
+// to 10 significant digits; orders are rounded to the asset's price
+// increment when they are sent
+function limitBuyPrice(price, buffer = getConfig().BUY_LIMIT_BUFFER) {
+  return parseFloat((price * buffer).toPrecision(10));
+}
+
+module.exports = {
+  MAX_POSITION_AGE_MS,
+  PROTECTION_DEFAULTS,
+  protectionDefaults,
+  exitParams,
+  analyzeToken,
+  retrySignalValid,
+  exitSignal,
+  protectiveStop,
+  sizeEntry,
+  limitBuyPrice,
+};
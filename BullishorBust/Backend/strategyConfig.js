@@ -0,0 +1,93 @@
+// strategyConfig.js
+// Which strategies each symbol runs, and with what parameters. Symbols
+// without an entry run DEFAULT_ASSIGNMENTS (reversion, then momentum).
+// Assignments are kept in the durable store so they survive restarts.
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_ASSIGNMENTS, listStrategies, resolveParams } = require('../Shared/strategies');
+const { exitParams } = require('./strategy');
+const { getStore } = require('./store');
+const { logTradeAction } = require('./tradeLog');
+const { validateSymbol, validateStrategyAssignments } = require('./validate');
+
+// Registered strategies with every parameter they resolve with by default
+function describeStrategies() {
+  return listStrategies().map((s) => ({
+    name: s.name,
+    label: s.label,
+    requiredData: s.requiredData,
+    params: resolveParams(s.name, {}, exitParams()),
+  }));
+}
+
+// Ordered { name, params } list a symbol evaluates
+function getAssignments(symbol) {
+  return getStore().get('strategies', symbol) || DEFAULT_ASSIGNMENTS;
+}
+
+function setAssignments(symbol, assignments) {
+  const normalized = assignments.map(({ name, params = {} }) => ({ name, params }));
+  getStore().set('strategies', symbol, normalized);
+  logTradeAction('strategies_updated', symbol, { strategies: normalized.map((a) => a.name) });
+  return normalized;
+}
+
+function resetAssignments(symbol) {
+  const removed = getStore().remove('strategies', symbol);
+  if (removed) logTradeAction('strategies_reset', symbol);
+  return removed;
+}
+
+// Express routes
+router.get('/strategies', (req, res) => {
+  res.json({
+    strategies: describeStrategies(),
+    defaults: DEFAULT_ASSIGNMENTS,
+    symbols: getStore().all('strategies'),
+  });
+});
+
+router.get('/strategies/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid symbol', details: errors });
+  }
+  const custom = getStore().get('strategies', req.params.symbol);
+  res.json({
+    symbol: req.params.symbol,
+    custom: Boolean(custom),
+    strategies: custom || DEFAULT_ASSIGNMENTS,
+  });
+});
+
+// Replace a symbol's strategies: { strategies: [{ name, params }] }
+router.put('/strategies/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  const assignments = req.body?.strategies;
+  errors.push(...validateStrategyAssignments(assignments, describeStrategies()));
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid strategies', details: errors });
+  }
+  const strategies = setAssignments(req.params.symbol, assignments);
+  res.json({ symbol: req.params.symbol, custom: true, strategies });
+});
+
+// Go back to the default strategies
+router.delete('/strategies/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid symbol', details: errors });
+  }
+  if (!resetAssignments(req.params.symbol)) {
+    return res.status(404).json({ error: `No custom strategies for ${req.params.symbol}` });
+  }
+  res.status(204).end();
+});
+
+module.exports = {
+  router,
+  describeStrategies,
+  getAssignments,
+  setAssignments,
+  resetAssignments,
+};
@@ -0,0 +1,188 @@
+// stream.js
+// Live event stream for the app. Clients open a WebSocket to /api/stream
+// and authenticate with their first message, so the token never ends up
+// in a URL or an access log:
+//
+//   -> { "type": "subscribe", "token": "borb_...", "since": 42,
+//        "bootId": "...", "topics": ["log", "signal"] }
+//   <- { "type": "hello", "bootId": "...", "lastId": 57 }
+//   <- { "type": "event", "id": 43, "topic": "log", "time": "...", "data": {...} }
+//   <- { "type": "reset", "bootId": "...", "lastId": 57 }
+//
+// `since` and `bootId` resume after the last event the client saw: missed
+// events are replayed before live ones. When that is not possible (the
+// server restarted or the events were dropped from the buffer) the server
+// sends `reset` and the client reloads everything over HTTP. `topics`
+// defaults to every topic in events.js.
+//
+// GET /api/events?since=&bootId=&topics= answers the same replay over plain
+// HTTP for clients that fall back to polling.
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const router = express.Router();
+const { TOPICS, BOOT_ID, subscribe, eventsSince, getLastEventId } = require('./events');
+const { verifyToken, hasScope } = require('./auth');
+
+const STREAM_PATH = '/api/stream';
+// Close connections that have not subscribed by then
+const SUBSCRIBE_TIMEOUT_MS = 5000;
+// Ping interval; a client that misses a pong is dropped, and the token is
+// checked again so revoking it ends the stream
+const HEARTBEAT_MS = 30000;
+
+// WebSocket close codes (4000-4999 are free for applications)
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_FORBIDDEN = 4403;
+const CLOSE_BAD_REQUEST = 4400;
+
+function validateSubscription({ since, bootId, topics } = {}) {
+  const errors = [];
+  if (since !== undefined && !(Number.isInteger(since) && since >= 0)) {
+    errors.push('since must be a non-negative integer');
+  }
+  if (bootId !== undefined && typeof bootId !== 'string') {
+    errors.push('bootId must be a string');
+  }
+  if (topics !== undefined) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      errors.push(`topics must be a non-empty list of ${TOPICS.join(', ')}`);
+    } else {
+      topics
+        .filter((t) => !TOPICS.includes(t))
+        .forEach((t) => errors.push(`unknown topic ${t}`));
+    }
+  }
+  return errors;
+}
+
+// Replay for a subscription: { reset, events }
+function replay({ since, bootId, topics = TOPICS }) {
+  if (since === undefined) return { reset: false, events: [] };
+  const events = eventsSince(since, bootId);
+  if (events === null) return { reset: true, events: [] };
+  return { reset: false, events: events.filter((e) => topics.includes(e.topic)) };
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+function handleConnection(ws) {
+  let unsubscribe = null;
+  let token = null;
+  let alive = true;
+
+  const timeout = setTimeout(() => {
+    ws.close(CLOSE_UNAUTHORIZED, 'subscribe timeout');
+  }, SUBSCRIBE_TIMEOUT_MS);
+
+  const heartbeat = setInterval(() => {
+    const current = token && verifyToken(token);
+    if (token && !current) {
+      ws.close(CLOSE_UNAUTHORIZED, 'token revoked');
+      return;
+    }
+    if (!alive) {
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, HEARTBEAT_MS);
+
+  ws.on('pong', () => {
+    alive = true;
+  });
+
+  ws.on('message', (raw) => {
+    if (unsubscribe) return; // Only the first message matters
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      ws.close(CLOSE_BAD_REQUEST, 'invalid JSON');
+      return;
+    }
+    if (message?.type !== 'subscribe') {
+      ws.close(CLOSE_BAD_REQUEST, 'expected a subscribe message');
+      return;
+    }
+    const record = verifyToken(message.token);
+    if (!record) {
+      ws.close(CLOSE_UNAUTHORIZED, 'Missing or invalid API token');
+      return;
+    }
+    if (!hasScope(record.scopes, 'read')) {
+      ws.close(CLOSE_FORBIDDEN, 'Token lacks the read scope');
+      return;
+    }
+    const errors = validateSubscription(message);
+    if (errors.length) {
+      send(ws, { type: 'error', error: 'Invalid subscription', details: errors });
+      ws.close(CLOSE_BAD_REQUEST, 'invalid subscription');
+      return;
+    }
+    clearTimeout(timeout);
+    token = message.token;
+    const topics = message.topics || TOPICS;
+
+    // Subscribe before replaying so nothing published in between is lost;
+    // live events queue up until the replay has been sent
+    const queued = [];
+    let replaying = true;
+    unsubscribe = subscribe((event) => {
+      if (!topics.includes(event.topic)) return;
+      if (replaying) queued.push(event);
+      else send(ws, { type: 'event', ...event });
+    });
+
+    send(ws, { type: 'hello', bootId: BOOT_ID, lastId: getLastEventId() });
+    const { reset, events } = replay({ ...message, topics });
+    if (reset) send(ws, { type: 'reset', bootId: BOOT_ID, lastId: getLastEventId() });
+    const lastReplayed = events.length ? events[events.length - 1].id : 0;
+    events.forEach((event) => send(ws, { type: 'event', ...event }));
+    queued
+      .filter((event) => event.id > lastReplayed)
+      .forEach((event) => send(ws, { type: 'event', ...event }));
+    replaying = false;
+  });
+
+  ws.on('close', () => {
+    clearTimeout(timeout);
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+}
+
+// Serve the stream on an http.Server (the one app.listen returns)
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true });
+  wss.on('connection', handleConnection);
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+  return wss;
+}
+
+// Express routes
+// GET /events?since=42&bootId=...&topics=log,order (read scope)
+router.get('/events', (req, res) => {
+  const query = {
+    since: req.query.since === undefined ? undefined : Number(req.query.since),
+    bootId: req.query.bootId,
+    topics: req.query.topics === undefined ? undefined : String(req.query.topics).split(','),
+  };
+  const errors = validateSubscription(query);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const { reset, events } = replay({ ...query, since: query.since ?? 0 });
+  res.json({ bootId: BOOT_ID, lastId: getLastEventId(), reset, events });
+});
+
+module.exports = { router, attach, STREAM_PATH };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+const broker = createMockBroker({
+  cash: 10000,
+  assets: [
+    { symbol: 'BTC/USD', min_order_size: '0.0001', price_increment: '1' },
+    { symbol: 'ETH/USD' },
+    { symbol: 'USDT/USD' },
+    { symbol: 'XTZ/USD', tradable: false },
+    { symbol: 'ETH/BTC' },
+  ],
+});
+let server;
+let assets;
+let scheduler;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  assets = require('../assets');
+  scheduler = require('../scheduler');
+});
+
+test.after(() => server.close());
+
+test('the seed list stands in until the first sync', () => {
+  assert.ok(assets.getAsset('BTC/USD'));
+  assert.equal(assets.getAsset('USDCUSD').enabled, false);
+  assert.equal(assets.getWatchlists()[0].name, 'default');
+});
+
+test('sync keeps USD pairs with their increments and flags stablecoins', async () => {
+  const list = await assets.syncAssets();
+  assert.deepEqual(
+    list.map((a) => [a.symbol, assets.canTrade(a)]),
+    [
+      ['BTCUSD', true],
+      ['ETHUSD', true],
+      ['USDTUSD', false],
+      ['XTZUSD', false],
+    ]
+  );
+  const btc = assets.getAsset('BTCUSD');
+  assert.equal(btc.minOrderSize, 0.0001);
+  assert.equal(btc.priceIncrement, 1);
+  assert.equal(btc.cc, 'BTC');
+  assert.equal(assets.getAsset('USDTUSD').stablecoin, true);
+  assert.equal(
+    assets.untradableReason(assets.getAsset('XTZUSD')),
+    'XTZUSD is not tradable at the broker'
+  );
+});
+
+test('watchlists pick the scanned universe', async () => {
+  assert.deepEqual(assets.getWatchlists()[0].symbols, ['BTCUSD', 'ETHUSD', 'USDTUSD', 'XTZUSD']);
+  assets.saveWatchlist('majors', ['ETHUSD', 'BTCUSD', 'ETHUSD']);
+  assets.saveWatchlist('stable', ['USDTUSD']);
+  assert.deepEqual(assets.getWatchlists().map((w) => w.name), ['majors', 'stable']);
+  const symbols = (list) => list.map((a) => a.symbol);
+  assert.deepEqual(symbols(assets.getUniverse('majors')), ['ETHUSD', 'BTCUSD']);
+  assert.deepEqual(symbols(assets.getUniverse()), ['ETHUSD', 'BTCUSD', 'USDTUSD']);
+  assert.equal(assets.deleteWatchlist('stable'), true);
+  assert.equal(assets.deleteWatchlist('stable'), false);
+});
+
+test('stablecoins and disabled assets are never bought', async () => {
+  broker.setPrices({ USDTUSD: 1, BTCUSD: 100 });
+  const skipped = await scheduler.placeOrder('USDTUSD', true);
+  assert.deepEqual(skipped, {
+    skipped: true,
+    reason: 'USDTUSD is a stablecoin and is disabled',
+  });
+  assert.equal(broker.getState().orders.length, 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+const auth = require('../auth');
+
+let server;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', auth.authenticate);
+  app.use('/api', auth.router);
+  app.get('/api/account', (req, res) => res.json({ token: req.token.name }));
+  app.post('/api/buy', (req, res) => res.json({ ok: true }));
+  app.delete('/api/risk/kill-switch', (req, res) => res.json({ ok: true }));
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => server.close());
+
+function call(method, route, token, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(`${base}${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+test('requests without a valid token are refused', async () => {
+  assert.equal((await call('GET', '/account')).status, 401);
+  assert.equal((await call('GET', '/account', 'borb_0123456789abcdef_nope')).status, 401);
+  const { token } = auth.issueToken('reader', ['read']);
+  const forged = token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A');
+  assert.equal((await call('GET', '/account', forged)).status, 401);
+});
+
+test('scopes decide which routes a token may use', async () => {
+  const reader = auth.issueToken('reader', ['read']).token;
+  const trader = auth.issueToken('phone', ['read', 'trade']).token;
+
+  const res = await call('GET', '/account', reader);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { token: 'reader' });
+
+  const denied = await call('POST', '/buy', reader, {});
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).required, 'trade');
+  assert.equal((await call('POST', '/buy', trader, {})).status, 200);
+
+  // Resetting the kill switch and managing tokens need admin
+  assert.equal((await call('DELETE', '/risk/kill-switch', trader)).status, 403);
+  assert.equal((await call('GET', '/auth/tokens', trader)).status, 403);
+});
+
+test('admin routes stay admin-only whatever the case of the path', async () => {
+  const trader = auth.issueToken('phone', ['read', 'trade']).token;
+  const body = { name: 'sneaky', scopes: ['admin'] };
+  assert.equal((await call('POST', '/AUTH/tokens', trader, body)).status, 403);
+  assert.equal((await call('POST', '/Auth/Tokens', trader, body)).status, 403);
+  assert.equal((await call('DELETE', '/Risk/Kill-Switch/', trader)).status, 403);
+  assert.equal(auth.requiredScope('PUT', '/Config'), 'admin');
+  assert.equal(auth.requiredScope('PUT', '/State/positionMeta/BTCUSD'), 'admin');
+});
+
+test('admins issue and revoke tokens; hashes never leave the server', async () => {
+  const admin = auth.issueToken('admin', ['admin']).token;
+  const created = await call('POST', '/auth/tokens', admin, { name: 'tablet', scopes: ['read'] });
+  assert.equal(created.status, 201);
+  const issued = await created.json();
+  assert.match(issued.token, /^borb_[a-f0-9]{16}_/);
+  assert.equal((await call('GET', '/account', issued.token)).status, 200);
+
+  const list = await (await call('GET', '/auth/tokens', admin)).json();
+  assert.ok(list.every((t) => t.hash === undefined && t.token === undefined));
+
+  assert.equal((await call('DELETE', `/auth/tokens/${issued.id}`, admin)).status, 200);
+  assert.equal((await call('GET', '/account', issued.token)).status, 401);
+
+  const bad = await call('POST', '/auth/tokens', admin, { name: 'x', scopes: ['root'] });
+  assert.equal(bad.status, 400);
+});
+
+test('required scopes follow the method unless a route overrides them', () => {
+  assert.equal(auth.requiredScope('GET', '/positions'), 'read');
+  assert.equal(auth.requiredScope('DELETE', '/orders/abc'), 'trade');
+  assert.equal(auth.requiredScope('PUT', '/state/positionMeta/BTCUSD'), 'admin');
+  assert.equal(auth.requiredScope('GET', '/state'), 'read');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+const { loadBars, runBacktest } = require('../backtest');
+
+const BAR_MS = 15 * 60 * 1000;
+
+// Deterministic random walk so runs are repeatable
+function makeBars(count, seed = 7) {
+  let state = seed;
+  const rand = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  const bars = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    const close = open * (1 + (rand() - 0.5) * 0.01 + 0.0002 * Math.sin(i / 40));
+    bars.push({
+      time: 1700000000000 + i * BAR_MS,
+      open,
+      high: Math.max(open, close) * (1 + rand() * 0.003),
+      low: Math.min(open, close) * (1 - rand() * 0.003),
+      close,
+      volume: 100,
+    });
+    price = close;
+  }
+  return bars;
+}
+
+test('loadBars reads CSV and JSON files into sorted bars', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+  const csv = path.join(dir, 'BTCUSD.csv');
+  fs.writeFileSync(
+    csv,
+    'time,open,high,low,close,volume\n1700000900,2,3,1,2.5,10\n1700000000,1,2,0.5,1.5,5\n'
+  );
+  const json = path.join(dir, 'ETHUSD.json');
+  fs.writeFileSync(
+    json,
+    JSON.stringify({ Data: { Data: [{ time: 1700000000, open: 1, high: 2, low: 0.5, close: 1.5, volumefrom: 5 }] } })
+  );
+
+  const csvBars = loadBars(csv);
+  assert.equal(csvBars.length, 2);
+  assert.equal(csvBars[0].time, 1700000000000);
+  assert.equal(csvBars[1].close, 2.5);
+  assert.deepEqual(loadBars(json), [
+    { time: 1700000000000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 5 },
+  ]);
+
+  fs.writeFileSync(csv, 'time,open,high,low,close\n1700000000,1,2,0.5,\n');
+  assert.throws(() => loadBars(csv), /Invalid bar at row 1/);
+});
+
+test('ledger P&L reconciles with the ending equity', () => {
+  const { summary, trades, equityCurve } = runBacktest(makeBars(2000), {
+    symbol: 'TEST',
+    initialCash: 10000,
+  });
+  assert.ok(trades.length > 0);
+  const ledgerPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+  assert.ok(Math.abs(summary.netPnl - ledgerPnl) < 1e-6);
+  assert.equal(summary.wins + summary.losses, trades.length);
+  assert.equal(equityCurve.length, 2000);
+  assert.ok(summary.maxDrawdownPct >= 0 && summary.maxDrawdownPct < 1);
+  assert.ok(summary.exposure > 0 && summary.exposure <= 1);
+});
+
+test('fees are charged on both sides of every trade', () => {
+  const bars = makeBars(2000);
+  const withFees = runBacktest(bars, { feeRate: 0.0025 });
+  const noFees = runBacktest(bars, { feeRate: 0 });
+  assert.equal(noFees.summary.fees, 0);
+  withFees.trades.forEach((t) => {
+    const expected = (t.qty * t.entryPrice + t.qty * t.exitPrice) * 0.0025;
+    assert.ok(Math.abs(t.fees - expected) < 1e-9);
+  });
+});
+
+test('entries respect the cooldown', () => {
+  const cooldownMs = 6 * 60 * 60 * 1000;
+  const { trades } = runBacktest(makeBars(2000), { cooldownMs });
+  for (let i = 1; i < trades.length; i++) {
+    const gap = Date.parse(trades[i].entryTime) - Date.parse(trades[i - 1].entryTime);
+    assert.ok(gap >= cooldownMs, `entries ${i - 1} and ${i} are ${gap}ms apart`);
+  }
+});
+
+test('flat prices never trigger an entry', () => {
+  const bars = makeBars(200).map((b) => ({ ...b, open: 50, high: 50, low: 50, close: 50 }));
+  const { summary } = runBacktest(bars);
+  assert.equal(summary.trades, 0);
+  assert.equal(summary.netPnl, 0);
+  assert.equal(summary.winRate, null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+const {
+  BrokerUnavailableError,
+  createBrokerClient,
+  retryHintMs,
+  backoffMs,
+} = require('../brokerClient');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'broker-client-'));
+const broker = createMockBroker({ cash: 10000 });
+let server;
+let url;
+
+const headers = { 'APCA-API-KEY-ID': 'mock', 'APCA-API-SECRET-KEY': 'mock' };
+
+// A client that records its backoff waits instead of sleeping
+function client(options = {}) {
+  const waits = [];
+  const c = createBrokerClient({
+    baseUrl: url,
+    headers,
+    sleep: async (ms) => waits.push(ms),
+    ...options,
+  });
+  return { c, waits };
+}
+
+function rateLimit(count, retryAfter) {
+  Object.assign(broker.getState(), { rateLimited: count, retryAfter });
+}
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+});
+
+test.after(() => server.close());
+
+test('retry hints and backoff', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(retryHintMs({ 'retry-after': '2' }, now), 2000);
+  assert.equal(retryHintMs({ 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }, now), 5000);
+  assert.equal(retryHintMs({ 'x-ratelimit-reset': String(now / 1000 + 3) }, now), 3000);
+  assert.equal(retryHintMs({}, now), null);
+  const settings = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(backoffMs(0, settings, () => 0), 50);
+  assert.equal(backoffMs(2, settings, () => 1), 400);
+  assert.equal(backoffMs(10, settings, () => 1), 1000);
+});
+
+test('a 429 is retried after the wait the broker asks for', async () => {
+  const { c, waits } = client();
+  rateLimit(2, 0);
+  const account = await c.get('/v2/account', { op: 'getAccount' });
+  assert.equal(account.cash, '10000');
+  assert.deepEqual(waits, [0, 0]);
+  const { totals, operations } = c.getMetrics();
+  assert.equal(totals.calls, 1);
+  assert.equal(operations.getAccount.rateLimited, 2);
+  assert.equal(operations.getAccount.retries, 2);
+
+  // Waiting longer than maxRetryWaitMs is left to the caller
+  rateLimit(1, 60);
+  await assert.rejects(c.get('/v2/account', { op: 'getAccount' }), /429/);
+  assert.equal(waits.length, 2);
+});
+
+test('network errors retry idempotent calls only', async () => {
+  const { c, waits } = client({ baseUrl: 'http://127.0.0.1:1', maxRetries: 2 });
+  const calls = [];
+  c.onCall((call) => calls.push(call));
+  await assert.rejects(c.get('/v2/account', { op: 'getAccount' }), /ECONNREFUSED/);
+  await assert.rejects(c.post('/v2/orders', {}, { op: 'submitOrder' }), /ECONNREFUSED/);
+  await assert.rejects(
+    c.delete('/v2/positions/BTCUSD', { op: 'closePosition', idempotent: false }),
+    /ECONNREFUSED/
+  );
+  assert.deepEqual(
+    calls.map((call) => [call.op, call.attempts, call.ok]),
+    [
+      ['getAccount', 3, false],
+      ['submitOrder', 1, false],
+      ['closePosition', 1, false],
+    ]
+  );
+  assert.equal(waits.length, 2);
+});
+
+test('the breaker opens after repeated failures and a trial call closes it', async () => {
+  const { c } = client({ failureThreshold: 2, cooldownMs: 50 });
+  const states = [];
+  c.onBreakerChange((breaker) => states.push(breaker.state));
+  // A refused order means the broker is up and does not count
+  await assert.rejects(c.get('/v2/orders/missing', { op: 'getOrder' }), /404/);
+  rateLimit(2, 60);
+  await assert.rejects(c.get('/v2/account', { op: 'getAccount' }), /429/);
+  await assert.rejects(c.get('/v2/account', { op: 'getAccount' }), /429/);
+  assert.equal(c.getBreaker().state, 'open');
+
+  await assert.rejects(c.get('/v2/account', { op: 'getAccount' }), BrokerUnavailableError);
+  assert.equal(c.getMetrics().operations.getAccount.shortCircuited, 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(c.isAvailable(), true);
+  await c.get('/v2/account', { op: 'getAccount' });
+  assert.deepEqual(states, ['open', 'half_open', 'closed']);
+  assert.equal(c.getBreaker().trips, 1);
+});
+
+test('the scheduler pauses while the breaker is open', async () => {
+  const trade = require('../trade');
+  const scheduler = require('../scheduler');
+  const { getBrokerClient } = require('../brokerClient');
+  rateLimit(5, 60);
+  for (let i = 0; i < 5; i += 1) {
+    await assert.rejects(trade.getAccount(), /429/);
+  }
+  assert.equal(getBrokerClient().getBreaker().state, 'open');
+  await scheduler.runCycle();
+  const status = scheduler.getStatus();
+  assert.equal(status.cycleCount, 0);
+  assert.match(status.lastError, /Broker unavailable, cycles paused until/);
+  assert.equal(status.broker.state, 'open');
+});
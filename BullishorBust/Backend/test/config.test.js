@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+const {
+  CONFIG_DEFAULTS,
+  getConfig,
+  getHistory,
+  onConfigChange,
+  validateConfig,
+  updateConfig,
+  rollbackConfig,
+} = require('../config');
+const { limitBuyPrice, exitParams, protectionDefaults } = require('../strategy');
+
+test('starts from the defaults as version 0', () => {
+  assert.deepEqual(getConfig(), CONFIG_DEFAULTS);
+  assert.equal(getHistory()[0].version, 0);
+});
+
+test('rejects unknown keys, wrong types and out-of-range values', () => {
+  assert.deepEqual(validateConfig({ COOL_DOWN_MS: 60000, FEE_BUFFER: 0.001 }), []);
+  const errors = validateConfig({
+    NOPE: 1,
+    COOL_DOWN_MS: 1.5,
+    STOP_LOSS_PERCENT: 0.9,
+    BUY_LIMIT_BUFFER: '0.99',
+  });
+  assert.deepEqual(errors, [
+    'unknown setting NOPE',
+    'COOL_DOWN_MS must be an integer',
+    'STOP_LOSS_PERCENT must be between 0.001 and 0.5',
+    'BUY_LIMIT_BUFFER must be a number',
+  ]);
+  assert.deepEqual(validateConfig([]), ['values must be an object']);
+});
+
+test('updates are versioned, read live and can be rolled back', () => {
+  const seen = [];
+  onConfigChange((config, previous) => {
+    seen.push([previous.STOP_LOSS_PERCENT, config.STOP_LOSS_PERCENT]);
+  });
+
+  const v1 = updateConfig({ STOP_LOSS_PERCENT: 0.05, BUY_LIMIT_BUFFER: 0.99 }, { note: 'wider' });
+  assert.equal(v1.version, 1);
+  assert.deepEqual(v1.changed, ['BUY_LIMIT_BUFFER', 'STOP_LOSS_PERCENT']);
+  assert.equal(getConfig().STOP_LOSS_PERCENT, 0.05);
+  assert.equal(exitParams().stopLossPercent, 0.05);
+  assert.equal(limitBuyPrice(100), 99);
+  assert.equal(protectionDefaults().breakEvenFees, 0.005);
+
+  const v2 = updateConfig({ COOL_DOWN_MS: 60000, FEE_BUFFER: 0.004 });
+  assert.equal(protectionDefaults().breakEvenFees, 0.008);
+  assert.equal(v2.values.STOP_LOSS_PERCENT, 0.05, 'earlier changes are carried over');
+
+  const v3 = rollbackConfig(0);
+  assert.equal(v3.version, 3);
+  assert.equal(v3.rollbackOf, 0);
+  assert.deepEqual(getConfig(), CONFIG_DEFAULTS);
+  assert.equal(rollbackConfig(99), null);
+
+  assert.deepEqual(getHistory().map((v) => v.version), [3, 2, 1, 0]);
+  assert.deepEqual(seen, [
+    [0.025, 0.05],
+    [0.05, 0.05],
+    [0.05, 0.025],
+  ]);
+});
@@ -0,0 +1,254 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+const broker = createMockBroker({ cash: 1000 });
+let server;
+let url;
+let trade;
+let exits;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'exits-'));
+  trade = require('../trade');
+  exits = require('../exitManager');
+});
+
+test.after(() => server.close());
+
+// Fixed stop, so the OCO mechanics can be checked on their own
+const FIXED_STOP = { trailing: 'off', breakEvenTrigger: null };
+
+// Buy `qty` BTCUSD at 100 and open a 110/95 bracket on it
+async function openPosition(qty, protection = FIXED_STOP) {
+  await exits.cancelBracket('BTCUSD');
+  broker.reset(1000);
+  broker.setPrices({ BTCUSD: 100 });
+  await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: String(qty),
+  });
+  return exits.openBracket('BTCUSD', {
+    qty,
+    basis: 100,
+    takeProfitPrice: 110,
+    stopPrice: 95,
+    protection,
+  });
+}
+
+async function openOrders() {
+  return trade.getOpenOrders('BTCUSD');
+}
+
+test('the stop rests until the target is reached, then the take-profit replaces it', async () => {
+  const bracket = await openPosition(2);
+  assert.equal(bracket.stopLoss.state, 'resting');
+  let open = await openOrders();
+  assert.deepEqual(open.map((o) => o.type), ['stop_limit']);
+
+  // The scan price (CryptoCompare) can lead the broker's
+  let state = await exits.reconcile('BTCUSD', 111, 2);
+  assert.equal(state.takeProfit.state, 'resting');
+  assert.equal(state.stopLoss.state, 'watching');
+  open = await openOrders();
+  assert.deepEqual(open.map((o) => [o.type, o.qty, o.limit_price]), [['limit', '2', '111']]);
+
+  // Back under the target the stop takes over again
+  state = await exits.reconcile('BTCUSD', 105, 2);
+  assert.equal(state.stopLoss.state, 'resting');
+  open = await openOrders();
+  assert.deepEqual(open.map((o) => o.type), ['stop_limit']);
+
+  // A marketable take-profit fills straight away
+  broker.setPrices({ BTCUSD: 112 });
+  await exits.reconcile('BTCUSD', 112, 2);
+  state = await exits.reconcile('BTCUSD', 112, 0);
+  assert.equal(state.status, 'closed');
+  assert.equal(state.closeReason, 'take_profit');
+  assert.equal(state.filledQty, 2);
+  assert.equal((await openOrders()).length, 0);
+});
+
+test('a partial take-profit fill re-sizes the stop and the rest exits at market', async () => {
+  await openPosition(2);
+  let state = await exits.reconcile('BTCUSD', 111, 2);
+  const tpId = state.takeProfit.orderId;
+
+  const res = await fetch(`${url}/mock/fill`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ order_id: tpId, qty: 0.5, price: 111 }),
+  });
+  assert.equal(res.status, 200);
+
+  // Price drops through the stop: the take-profit remainder is cancelled
+  // and the remaining 1.5 sold at market
+  broker.setPrices({ BTCUSD: 94 });
+  state = await exits.reconcile('BTCUSD', 94, 1.5);
+  assert.equal(state.takeProfit.filledQty, 0.5);
+  assert.equal((await trade.getOrder(tpId)).status, 'canceled');
+  state = await exits.reconcile('BTCUSD', 94, 0);
+  assert.equal(state.status, 'closed');
+  assert.equal(state.closeReason, 'stop_loss');
+  assert.equal(state.filledQty, 2);
+  assert.equal(await trade.getPosition('BTCUSD'), null);
+});
+
+test('a resting stop that fills closes the bracket', async () => {
+  await openPosition(1);
+  // Between the 95 stop and its 94.05 limit collar
+  broker.setPrices({ BTCUSD: 94.5 });
+  const state = await exits.reconcile('BTCUSD', 94.5, 0);
+  assert.equal(state.status, 'closed');
+  assert.equal(state.closeReason, 'stop_loss');
+  assert.equal(state.stopLoss.filledQty, 1);
+});
+
+test('a position that grows re-sizes the resting leg', async () => {
+  await openPosition(1);
+  await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: '1',
+  });
+  const state = await exits.reconcile('BTCUSD', 100, 2);
+  assert.equal(state.remainingQty, 2);
+  const open = await openOrders();
+  assert.deepEqual(open.map((o) => [o.type, o.qty]), [['stop_limit', '2']]);
+  await exits.cancelBracket('BTCUSD');
+  assert.equal((await openOrders()).length, 0);
+});
+
+test('a scan whose position lookup fails leaves the bracket alone', async () => {
+  const scheduler = require('../scheduler');
+  const { getStore } = require('../store');
+  await openPosition(1);
+  getStore().set('positionMeta', 'BTCUSD', { entryTimestamp: 1, entryPrice: 100 });
+  // Every attempt of the lookup (the first try and its retries) gets a 429
+  Object.assign(broker.getState(), { rateLimited: 4, retryAfter: 0 });
+  await scheduler.runCycle();
+
+  assert.equal(broker.getState().rateLimited, 0);
+  assert.equal(exits.getBracket('BTCUSD').status, 'active');
+  assert.deepEqual((await openOrders()).map((o) => o.type), ['stop_limit']);
+  assert.equal(getStore().get('positionMeta', 'BTCUSD').entryTimestamp, 1);
+  await exits.cancelBracket('BTCUSD');
+  getStore().remove('positionMeta', 'BTCUSD');
+});
+
+test('an entry bracket covers what the entry bought, not the whole holding', async () => {
+  const scheduler = require('../scheduler');
+  const { getStore } = require('../store');
+  await openPosition(1);
+  await exits.cancelBracket('BTCUSD');
+  // The 1 BTC openPosition bought is held from before; the entry buys 0.5
+  const entry = await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: '0.5',
+  });
+  getStore().set('positionMeta', 'BTCUSD', {
+    entryTimestamp: Date.now(),
+    entryPrice: 100,
+    orderIds: [entry.id],
+  });
+
+  await scheduler.manageExit('BTCUSD', 100, 50);
+  assert.equal(exits.getBracket('BTCUSD').qty, 0.5);
+  assert.equal(getStore().get('positionMeta', 'BTCUSD').entryQty, 0.5);
+  // Reconciling against the 1.5 held leaves the leg at the entry's size
+  await scheduler.manageExit('BTCUSD', 100, 50);
+  assert.deepEqual((await openOrders()).map((o) => [o.type, o.qty]), [['stop_limit', '0.5']]);
+  await exits.cancelBracket('BTCUSD');
+  getStore().remove('positionMeta', 'BTCUSD');
+});
+
+test('closing the position through the API tears its bracket down', async () => {
+  const express = require('express');
+  const positions = require('../positions');
+  const app = express();
+  app.use('/api', positions.router);
+  const api = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  await openPosition(1);
+  const res = await fetch(`http://127.0.0.1:${api.address().port}/api/positions/BTCUSD`, {
+    method: 'DELETE',
+  });
+  api.close();
+  assert.equal(res.status, 200);
+  const bracket = exits.getBracket('BTCUSD');
+  assert.equal(bracket.status, 'closed');
+  assert.equal(bracket.closeReason, 'position_closed');
+  assert.equal(await trade.getPosition('BTCUSD'), null);
+  assert.equal((await openOrders()).length, 0);
+});
+
+test('the resting stop trails the price and locks in break-even', async () => {
+  await openPosition(1, {});
+  // The 2.5% trail from 100.5 beats the 95 initial stop
+  broker.setPrices({ BTCUSD: 100.5 });
+  let state = await exits.reconcile('BTCUSD', 100.5, 1);
+  assert.ok(Math.abs(state.stopLoss.price - 97.9875) < 1e-9);
+  // A move smaller than minStepPercent leaves the stop alone
+  broker.setPrices({ BTCUSD: 100.55 });
+  state = await exits.reconcile('BTCUSD', 100.55, 1);
+  assert.ok(Math.abs(state.stopLoss.price - 97.9875) < 1e-9);
+
+  // +1% reaches the break-even trigger: entry plus round-trip fees beats
+  // the 2.5% trail from 101
+  broker.setPrices({ BTCUSD: 101 });
+  state = await exits.reconcile('BTCUSD', 101, 1);
+  assert.ok(Math.abs(state.stopLoss.price - 100.5) < 1e-9);
+  let [stop] = await openOrders();
+  assert.equal(stop.stop_price, '100.5');
+  assert.equal(stop.limit_price, '99.495');
+  assert.equal(stop.id, state.stopLoss.orderId);
+
+  broker.setPrices({ BTCUSD: 105 });
+  state = await exits.reconcile('BTCUSD', 105, 1);
+  assert.ok(Math.abs(state.stopLoss.price - 102.375) < 1e-9);
+  [stop] = await openOrders();
+  assert.equal(stop.stop_price, '102.375');
+
+  // Prices falling back never lower the stop
+  broker.setPrices({ BTCUSD: 103 });
+  state = await exits.reconcile('BTCUSD', 103, 1);
+  assert.ok(Math.abs(state.stopLoss.price - 102.375) < 1e-9);
+  await exits.cancelBracket('BTCUSD');
+});
+
+test('ATR trailing keeps a multiple of ATR under the high', () => {
+  const { protectiveStop } = require('../strategy');
+  const settings = { trailing: 'atr', atrMultiplier: 2, breakEvenTrigger: null };
+  assert.deepEqual(
+    protectiveStop({ basis: 100, stopPrice: 95, highWater: 104, atr: 1, settings }),
+    { stopPrice: 102, reason: 'trailing' }
+  );
+  // Without an ATR reading the stop stays where it is
+  assert.deepEqual(
+    protectiveStop({ basis: 100, stopPrice: 95, highWater: 104, atr: null, settings }),
+    { stopPrice: 95, reason: null }
+  );
+});
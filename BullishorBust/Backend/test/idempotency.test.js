@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+const broker = createMockBroker({ cash: 10000 });
+let brokerServer;
+let server;
+let base;
+let trade;
+let idempotency;
+
+test.before(async () => {
+  brokerServer = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${brokerServer.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  trade = require('../trade');
+  idempotency = require('../idempotency');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', trade.router);
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => {
+  server.close();
+  brokerServer.close();
+});
+
+test.beforeEach(() => {
+  broker.reset();
+  broker.setPrices({ BTCUSD: 100, ETHUSD: 10 });
+});
+
+async function until(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+const buy = (qty) => ({
+  symbol: 'BTCUSD',
+  qty,
+  side: 'buy',
+  type: 'limit',
+  time_in_force: 'gtc',
+  limit_price: '90',
+});
+
+function dropResponses(count) {
+  broker.getState().droppedResponses = count;
+}
+
+test('a key places its order once', async () => {
+  const first = await trade.submitOrder(buy('1'), { idempotencyKey: 'client:same' });
+  const again = await trade.submitOrder(buy('1'), { idempotencyKey: 'client:same' });
+  assert.equal(again.id, first.id);
+  assert.equal(first.client_order_id, idempotency.clientOrderId('client:same'));
+  assert.equal(broker.getState().orders.length, 1);
+
+  await assert.rejects(
+    trade.submitOrder(buy('2'), { idempotencyKey: 'client:same' }),
+    idempotency.IdempotencyConflictError
+  );
+});
+
+test('a derived key settles on its order after the price moved', async () => {
+  // The first attempt reached the broker but its answer was lost
+  const { clientOrderId } = idempotency.beginKey('entry:BTCUSD:0', buy('1'));
+  await fetch(`${process.env.ALPACA_BASE_URL}/v2/orders`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'APCA-API-KEY-ID': 'mock',
+      'APCA-API-SECRET-KEY': 'mock',
+    },
+    body: JSON.stringify({ ...buy('1'), client_order_id: clientOrderId }),
+  });
+  // The next cycle sizes and prices the entry again from a new quote
+  const moved = { ...buy('1.1'), limit_price: '88' };
+  const found = await trade.submitOrder(moved, { idempotencyKey: 'entry:BTCUSD:0' });
+  assert.equal(found.client_order_id, clientOrderId);
+  const again = await trade.submitOrder(moved, { idempotencyKey: 'entry:BTCUSD:0' });
+  assert.equal(again.id, found.id);
+  assert.equal(broker.getState().orders.length, 1);
+});
+
+test('a retry after a lost response finds the order instead of placing another', async () => {
+  dropResponses(1);
+  const placed = await trade.submitOrder(buy('1'), { idempotencyKey: 'lost' });
+  assert.equal(broker.getState().orders.length, 1);
+  assert.equal(placed.id, broker.getState().orders[0].id);
+  assert.equal(idempotency.getKey('lost').orderId, placed.id);
+});
+
+test('a key left pending is looked up before sending again', async () => {
+  // As if the process stopped after sending the order but before recording it
+  const order = buy('1');
+  const { clientOrderId } = idempotency.beginKey('crashed', order);
+  await fetch(`${process.env.ALPACA_BASE_URL}/v2/orders`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'APCA-API-KEY-ID': 'mock',
+      'APCA-API-SECRET-KEY': 'mock',
+    },
+    body: JSON.stringify({ ...order, client_order_id: clientOrderId }),
+  });
+  const found = await trade.submitOrder(buy('1'), { idempotencyKey: 'crashed' });
+  assert.equal(found.client_order_id, clientOrderId);
+  assert.equal(broker.getState().orders.length, 1);
+  assert.equal(idempotency.getKey('crashed').status, 'submitted');
+});
+
+test('an order the broker refused frees its key', async () => {
+  await assert.rejects(trade.submitOrder(buy('500'), { idempotencyKey: 'refused' }), /403/);
+  assert.equal(idempotency.getKey('refused'), null);
+  const placed = await trade.submitOrder(buy('1'), { idempotencyKey: 'refused' });
+  assert.equal(placed.status, 'new');
+});
+
+test('the market buy retry never buys twice', async () => {
+  dropResponses(1);
+  const result = await trade.placeMarketBuyThenSell('ETHUSD');
+  const orders = broker.getState().orders;
+  assert.deepEqual(orders.map((o) => o.side), ['buy', 'sell']);
+  assert.equal(result.buy.id, orders[0].id);
+});
+
+test('/buy replays a request with the same Idempotency-Key', async () => {
+  const post = (key, qty) =>
+    fetch(`${base}/buy`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: JSON.stringify(buy(qty)),
+    });
+  const first = await (await post('tap-1', '1')).json();
+  const replay = await post('tap-1', '1');
+  assert.equal(replay.status, 200);
+  assert.equal((await replay.json()).id, first.id);
+  assert.equal(broker.getState().orders.length, 1);
+
+  assert.equal((await post('tap-1', '3')).status, 409);
+  const invalid = await post('no spaces', '1');
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).details[0].field, 'Idempotency-Key');
+});
+
+test('/trade picks up the buy a request with the same Idempotency-Key placed', async () => {
+  const post = () =>
+    fetch(`${base}/trade`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'trade-1' },
+      body: JSON.stringify({ symbol: 'ETHUSD' }),
+    });
+  const sides = () => broker.getState().orders.map((o) => o.side);
+  const answer = await post();
+  assert.equal(answer.status, 202);
+  const first = await answer.json();
+  assert.equal(first.orderId, first.buy.id);
+  // The sell follows in the background once the buy has filled
+  await until(() => sides().length === 2);
+
+  // A retry sizes the buy from a new price but still finds the first one
+  broker.setPrices({ ETHUSD: 12 });
+  const replay = await (await post()).json();
+  assert.equal(replay.buy.id, first.buy.id);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(sides(), ['buy', 'sell']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('./fixtures/indicators.json');
+const {
+  last,
+  sma,
+  ema,
+  rsi,
+  macd,
+  zScore,
+  bollingerBands,
+  atr,
+  vwap,
+  slope,
+  getTrendSymbol,
+} = require('../../Shared/indicators');
+
+const { bars, expected } = fixture;
+const closes = bars.map((b) => b.close);
+
+// Compare two aligned series: nulls must line up exactly, numbers within
+// `tolerance`.
+function assertSeries(actual, wanted, tolerance = 1e-6) {
+  assert.equal(actual.length, wanted.length, 'series length');
+  wanted.forEach((w, i) => {
+    if (w === null) {
+      assert.equal(actual[i], null, `expected null at ${i}`);
+    } else {
+      assert.ok(
+        Math.abs(actual[i] - w) <= tolerance,
+        `index ${i}: got ${actual[i]}, expected ${w}`
+      );
+    }
+  });
+}
+
+test('sma and ema match reference values', () => {
+  assertSeries(sma(closes, 10), expected.sma10);
+  assertSeries(ema(closes, 10), expected.ema10);
+});
+
+test('rsi uses Wilder smoothing', () => {
+  const { closes: c, period, expected: want } = fixture.wilderRsi;
+  assertSeries(rsi(c, period), want, 0.005);
+  assertSeries(rsi(closes, 14), expected.rsi14, 0.005);
+});
+
+test('rsi reacts to the most recent moves', () => {
+  const rising = Array.from({ length: 20 }, (_, i) => 100 + i);
+  const reversed = rising.concat([110, 100, 90]);
+  assert.equal(last(rsi(rising)), 100);
+  assert.ok(last(rsi(reversed)) < 70);
+});
+
+test('rsi of a flat series is neutral', () => {
+  assert.equal(last(rsi(new Array(20).fill(5))), 50);
+});
+
+test('macd line, signal and histogram match reference values', () => {
+  const result = macd(closes);
+  assertSeries(result.macd, expected.macd.macd);
+  assertSeries(result.signal, expected.macd.signal);
+  assertSeries(result.histogram, expected.macd.histogram);
+});
+
+test('bollinger bands match reference values', () => {
+  const bands = bollingerBands(closes, 20, 2);
+  assertSeries(bands.middle, expected.bollinger20.middle);
+  assertSeries(bands.upper, expected.bollinger20.upper);
+  assertSeries(bands.lower, expected.bollinger20.lower);
+});
+
+test('atr and vwap match reference values', () => {
+  assertSeries(atr(bars, 14), expected.atr14);
+  assertSeries(vwap(bars), expected.vwap);
+});
+
+test('zScore is the band position in standard deviations', () => {
+  const bands = bollingerBands(closes, 20, 2);
+  const z = zScore(closes, 20);
+  z.forEach((value, i) => {
+    if (bands.middle[i] == null) {
+      assert.equal(value, null);
+      return;
+    }
+    const std = (bands.upper[i] - bands.middle[i]) / 2;
+    assert.ok(Math.abs(value - (closes[i] - bands.middle[i]) / std) < 1e-9);
+  });
+  assert.equal(last(zScore(new Array(20).fill(3))), 0);
+});
+
+test('slope and trend symbol follow the regression line', () => {
+  const line = Array.from({ length: 40 }, (_, i) => 10 + 0.5 * i);
+  assert.ok(Math.abs(last(slope(line, 30)) - 0.5) < 1e-9);
+  assert.deepEqual(getTrendSymbol(line), { symbol: '⬆️', slope: last(slope(line, 30)) });
+  assert.equal(getTrendSymbol(line.slice().reverse()).symbol, '⬇️');
+  assert.deepEqual(getTrendSymbol(line.slice(0, 10)), { symbol: '🟰', slope: 0 });
+});
+
+test('short inputs produce all-null series', () => {
+  assert.deepEqual(rsi([1, 2, 3]), [null, null, null]);
+  assert.deepEqual(macd([1, 2]).signal, [null, null]);
+  assert.equal(last([]), null);
+  assert.equal(last([1, 2, 3], 1), 2);
+  assert.equal(last([1], 1), null);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+const logger = require('../logger');
+const { logTradeAction } = require('../tradeLog');
+
+let server;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use(logger.requestContext);
+  app.use('/api', logger.router);
+  app.get('/echo', (req, res) => res.json(logger.info('echo')));
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('entries are structured, levelled and persisted', () => {
+  const entry = logTradeAction('buy_success', 'BTCUSD', { id: 'order-1', type: 'limit' });
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.type, 'buy_success');
+  assert.equal(entry.symbol, 'BTCUSD');
+  assert.equal(entry.id, 'order-1');
+  assert.equal(logTradeAction('buy_failed', 'BTCUSD').level, 'error');
+  assert.equal(logger.debug('noise'), null);
+
+  const file = path.join(process.env.TRADE_STATE_DIR, 'logs.jsonl');
+  const saved = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+  assert.deepEqual(saved.slice(-2).map((e) => e.type), ['buy_success', 'buy_failed']);
+  assert.equal(saved[saved.length - 1].seq, entry.seq + 1);
+});
+
+test('only entries at LOG_CONSOLE_LEVEL and above are printed', (t) => {
+  const printed = t.mock.method(console, 'log', () => {});
+  logger.info('quiet');
+  logger.warn('loud');
+  assert.deepEqual(printed.mock.calls.map((c) => JSON.parse(c.arguments[0]).type), ['loud']);
+
+  process.env.LOG_CONSOLE_LEVEL = 'off';
+  t.after(() => delete process.env.LOG_CONSOLE_LEVEL);
+  logger.warn('silenced');
+  assert.equal(printed.mock.callCount(), 1);
+});
+
+test('queries filter by symbol, type, level, time and text', () => {
+  const since = new Date().toISOString();
+  logTradeAction('buy_attempt', 'ETHUSD', { reason: 'needle' });
+  logTradeAction('sell_success', 'ETHUSD');
+  logTradeAction('buy_attempt', 'SOLUSD');
+
+  const types = (query) => logger.queryLogs(query).entries.map((e) => e.type);
+  assert.deepEqual(types({ symbol: 'ETHUSD' }), ['sell_success', 'buy_attempt']);
+  assert.deepEqual(
+    logger.queryLogs({ types: ['buy_attempt'], since }).entries.map((e) => e.symbol),
+    ['SOLUSD', 'ETHUSD']
+  );
+  assert.deepEqual(types({ level: 'error' }), ['buy_failed']);
+  assert.deepEqual(types({ q: 'NEEDLE' }), ['buy_attempt']);
+  assert.deepEqual(types({ until: '2000-01-01T00:00:00Z' }), []);
+});
+
+test('pages follow nextBefore back to the first entry', () => {
+  const seen = [];
+  let before;
+  do {
+    const page = logger.queryLogs({ limit: 2, before });
+    seen.push(...page.entries.map((e) => e.seq));
+    before = page.nextBefore;
+  } while (before);
+  const all = logger.queryLogs({ limit: 1000 }).entries.map((e) => e.seq);
+  assert.deepEqual(seen, all);
+  assert.equal(new Set(seen).size, seen.length);
+});
+
+test('a workflow logs under one correlation id across awaits', async () => {
+  const id = logger.newCorrelationId('trade');
+  await logger.withCorrelation(id, async () => {
+    logTradeAction('buy_attempt', 'BTCUSD');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    logTradeAction('buy_success', 'BTCUSD');
+  });
+  logTradeAction('refresh', 'all');
+  const entries = logger.queryLogs({ correlationId: id }).entries;
+  assert.deepEqual(entries.map((e) => e.type), ['buy_success', 'buy_attempt']);
+  assert.equal(logger.correlationId(), null);
+});
+
+test('requests get a correlation id and GET /logs validates its query', async () => {
+  const res = await fetch(`${base}/echo`, { headers: { 'X-Correlation-ID': 'app-42' } });
+  assert.equal(res.headers.get('x-correlation-id'), 'app-42');
+  assert.equal((await res.json()).correlationId, 'app-42');
+
+  const found = await (await fetch(`${base}/api/logs?correlationId=app-42`)).json();
+  assert.deepEqual(found.entries.map((e) => e.type), ['echo']);
+  assert.equal(found.nextBefore, null);
+
+  const bad = await fetch(`${base}/api/logs?level=loud&limit=0&since=yesterday`);
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).details.length, 3);
+
+  const types = await (await fetch(`${base}/api/logs/types`)).json();
+  assert.equal(types[0].type, 'buy_attempt');
+});
+
+test('a restart reloads the log and carries on its sequence', () => {
+  const before = logger.queryLogs({ limit: 1000 }).entries;
+  delete require.cache[require.resolve('../logger')];
+  const restarted = require('../logger');
+  assert.deepEqual(restarted.queryLogs({ limit: 1000 }).entries, before);
+  assert.equal(restarted.info('server_started').seq, before[0].seq + 1);
+});
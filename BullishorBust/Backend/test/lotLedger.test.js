@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+const { getStore } = require('../store');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lot-ledger-'));
+const broker = createMockBroker({ cash: 10000 });
+let server;
+let ledger;
+let performance;
+let trade;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  ledger = require('../lotLedger');
+  performance = require('../performance');
+  trade = require('../trade');
+});
+
+test.after(() => server.close());
+
+const fills = [
+  { id: 'f1', side: 'buy', qty: '1', price: '100', order_id: 'b1', symbol: 'BTCUSD' },
+  { id: 'f2', side: 'buy', qty: '1', price: '200', order_id: 'b2', symbol: 'BTCUSD' },
+  { id: 'f3', side: 'buy', qty: '1', price: '300', order_id: 'b3', symbol: 'BTCUSD' },
+  { id: 'f4', side: 'sell', qty: '1', price: '250', order_id: 's1', symbol: 'BTCUSD' },
+].map((f, i) => ({ ...f, transaction_time: new Date(Date.UTC(2025, 0, 1 + i)).toISOString() }));
+
+function basisFor(method, selections) {
+  const { roundTrips } = performance.matchRoundTrips(fills, { method, selections });
+  return roundTrips.map((t) => [t.buyOrderId, t.cost]);
+}
+
+test('basis is taken from the oldest, newest or designated lot', () => {
+  assert.deepEqual(basisFor('fifo'), [['b1', 100]]);
+  assert.deepEqual(basisFor('lifo'), [['b3', 300]]);
+  assert.deepEqual(basisFor('specific', { s1: ['b2'] }), [['b2', 200]]);
+  // Without a designation specific-ID falls back to FIFO
+  assert.deepEqual(basisFor('specific', {}), [['b1', 100]]);
+});
+
+test('lots held more than a year are long term', () => {
+  assert.equal(ledger.holdingTerm('2024-03-01T10:00:00Z', '2025-03-01T10:00:00Z'), 'short');
+  assert.equal(ledger.holdingTerm('2024-03-01T10:00:00Z', '2025-03-02T00:00:00Z'), 'long');
+  assert.equal(ledger.holdingTerm(null, '2025-03-02T00:00:00Z'), 'unknown');
+});
+
+test('csv has a header and quotes fields that need it', () => {
+  const csv = ledger.toCsv([{ symbol: 'BTC,USD', quantity: 0.1 + 0.2, costBasis: null }]);
+  const [header, row] = csv.trim().split('\n');
+  assert.ok(header.startsWith('symbol,quantity,acquired,disposed,term,costBasis'));
+  assert.ok(row.startsWith('"BTC,USD",0.3,,,,,'));
+});
+
+test('the ledger reports disposals in range with their real basis', async () => {
+  broker.setPrices({ BTCUSD: 100 });
+  const order = (side, qty) =>
+    trade.submitOrder({ symbol: 'BTCUSD', side, type: 'market', time_in_force: 'gtc', qty });
+  const first = await order('buy', '1');
+  broker.setPrices({ BTCUSD: 120 });
+  const second = await order('buy', '1');
+  broker.setPrices({ BTCUSD: 150 });
+  const sell = await order('sell', '1.5');
+
+  const fifo = await ledger.buildLedger({ method: 'fifo' });
+  assert.deepEqual(
+    fifo.rows.map((r) => [r.buyOrderId, r.quantity, r.costBasis, r.term]),
+    [
+      [first.id, 1, 100, 'short'],
+      [second.id, 0.5, 60, 'short'],
+    ]
+  );
+  assert.equal(fifo.totals.proceeds, 225);
+
+  getStore().set('lotSelections', sell.id, [second.id]);
+  const specific = await ledger.buildLedger({ method: 'specific' });
+  assert.deepEqual(
+    specific.rows.map((r) => [r.buyOrderId, r.quantity]),
+    [
+      [second.id, 1],
+      [first.id, 0.5],
+    ]
+  );
+
+  const later = await ledger.buildLedger({ from: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(later.rows.length, 0);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'market-data-'));
+const marketData = require('../marketData');
+const { getStore } = require('../store');
+
+const MINUTE_MS = 60 * 1000;
+
+// A provider quoting `price` as of `ageMs` ago, or failing with `error`
+function fakeProvider(name, { price = 100, ageMs = 0, error = null } = {}) {
+  const provider = {
+    name,
+    calls: 0,
+    async getQuote() {
+      provider.calls += 1;
+      if (error) throw new Error(error);
+      return { price, bid: null, ask: null, time: Date.now() - ageMs };
+    },
+    async getBars(info, interval, limit) {
+      provider.calls += 1;
+      if (error) throw new Error(error);
+      const step = marketData.INTERVALS[interval].ms;
+      const now = Date.now() - ageMs;
+      return Array.from({ length: limit + 5 }, (_, i) => {
+        const close = price + i;
+        return { time: now - (limit + 4 - i) * step, open: close, high: close, low: close, close };
+      });
+    },
+  };
+  marketData.registerProvider(provider);
+  return provider;
+}
+
+test.beforeEach(() => marketData.clearCache());
+
+test('symbols map explicitly onto each provider', () => {
+  assert.deepEqual(marketData.resolveSymbol('BTC/USD'), {
+    symbol: 'BTCUSD',
+    base: 'BTC',
+    quote: 'USD',
+    cc: 'BTC',
+  });
+  assert.equal(marketData.resolveSymbol('USDCUSD').base, 'USDC');
+  assert.equal(marketData.resolveSymbol('ETHUSDT').quote, 'USDT');
+  assert.equal(marketData.resolveSymbol('BTC'), null);
+});
+
+test("a synced asset's cc is the symbol CryptoCompare prices it under", () => {
+  getStore().set('assets', 'XBTUSD', {
+    symbol: 'XBTUSD',
+    name: 'XBT/USD',
+    base: 'XBT',
+    quote: 'USD',
+    cc: 'BTC',
+  });
+  assert.deepEqual(marketData.resolveSymbol('XBT/USD'), {
+    symbol: 'XBTUSD',
+    base: 'XBT',
+    quote: 'USD',
+    cc: 'BTC',
+  });
+  // Pairs without a record fall back to their base
+  assert.equal(marketData.resolveSymbol('FOOUSD').cc, 'FOO');
+  getStore().remove('assets', 'XBTUSD');
+});
+
+test('quotes fail over from an erroring provider and are cached', async () => {
+  const down = fakeProvider('down', { error: 'HTTP 500' });
+  const backup = fakeProvider('backup', { price: 42 });
+  marketData.setProviderOrder(['down', 'backup']);
+
+  const quote = await marketData.getQuote('BTCUSD');
+  assert.equal(quote.price, 42);
+  assert.equal(quote.provider, 'backup');
+  assert.equal(quote.symbol, 'BTCUSD');
+  await marketData.getQuote('BTCUSD');
+  assert.equal(backup.calls, 1);
+
+  // The failed provider waits at the back of the line
+  marketData.clearCache();
+  await marketData.getQuote('BTCUSD');
+  assert.equal(down.calls, 1);
+  const health = marketData.getProviderHealth();
+  assert.deepEqual(health.map((h) => h.name), ['backup', 'down']);
+  assert.equal(health[1].lastError, 'HTTP 500');
+});
+
+test('stale quotes and bars are skipped for fresh ones', async () => {
+  fakeProvider('lagging', { price: 1, ageMs: 10 * MINUTE_MS });
+  fakeProvider('live', { price: 2 });
+  marketData.setProviderOrder(['lagging', 'live']);
+  assert.equal((await marketData.getQuote('ETHUSD')).provider, 'live');
+
+  const { bars, provider, interval } = await marketData.getBars('ETHUSD', {
+    interval: '1m',
+    limit: 10,
+  });
+  assert.equal(provider, 'live');
+  assert.equal(interval, '1m');
+  assert.equal(bars.length, 10);
+  assert.ok(bars[0].time < bars[9].time);
+});
+
+test('with no fresh source the error names every provider', async () => {
+  fakeProvider('old', { ageMs: 10 * MINUTE_MS });
+  fakeProvider('broken', { error: 'timeout' });
+  marketData.setProviderOrder(['old', 'broken']);
+  await assert.rejects(
+    marketData.getQuote('SOLUSD'),
+    /No fresh quote for SOLUSD \(.*old: quote is 600s old.*broken: timeout/
+  );
+  await assert.rejects(marketData.getBars('SOLUSD', { interval: '2m' }), /Unknown interval/);
+});
+
+test('a provider that never answers times out and fails over', async (t) => {
+  // Holds every request open without answering
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  process.env.ALPACA_DATA_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.MARKET_DATA_TIMEOUT_MS = '50';
+  t.after(() => {
+    delete process.env.ALPACA_DATA_URL;
+    delete process.env.MARKET_DATA_TIMEOUT_MS;
+  });
+  delete require.cache[require.resolve('../marketData')];
+  const fresh = require('../marketData');
+  fresh.registerProvider(fakeProvider('fallback', { price: 7 }));
+  fresh.setProviderOrder(['alpaca', 'fallback']);
+
+  assert.equal((await fresh.getQuote('BTCUSD')).provider, 'fallback');
+  const alpaca = fresh.getProviderHealth().find((h) => h.name === 'alpaca');
+  assert.equal(alpaca.failures, 1);
+  assert.match(alpaca.lastError, /timeout/);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-broker-'));
+const broker = createMockBroker({ cash: 1000 });
+let server;
+let trade;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  // trade.js reads its URLs when loaded, so point it at the mock first
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  trade = require('../trade');
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  broker.reset(1000);
+  broker.setPrices({ BTCUSD: 100 });
+});
+
+test('market orders fill at the current price and show up as positions', async () => {
+  assert.equal(await trade.getLatestPrice('BTCUSD'), 100);
+  const order = await trade.submitOrder({
+    symbol: 'BTC/USD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    notional: '250',
+  });
+  assert.equal(order.status, 'filled');
+  assert.equal(order.filled_avg_price, '100');
+
+  const position = await trade.getPosition('BTCUSD');
+  assert.equal(position.qty, '2.5');
+  broker.setPrices({ BTCUSD: 110 });
+  const account = await trade.getAccount();
+  assert.equal(account.cash, '750');
+  assert.equal(account.equity, '1025');
+});
+
+test('limit and stop_limit orders rest until the price crosses', async () => {
+  const buy = await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'limit',
+    time_in_force: 'gtc',
+    qty: '2',
+    limit_price: '95',
+  });
+  assert.equal(buy.status, 'new');
+  broker.setPrices({ BTCUSD: 96 });
+  assert.equal((await trade.getOrder(buy.id)).status, 'new');
+  broker.setPrices({ BTCUSD: 94 });
+  const filled = await trade.getOrder(buy.id);
+  assert.equal(filled.status, 'filled');
+  assert.equal(filled.filled_avg_price, '94');
+
+  const stop = await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'sell',
+    type: 'stop_limit',
+    time_in_force: 'gtc',
+    qty: '2',
+    stop_price: '90',
+    limit_price: '88',
+  });
+  broker.setPrices({ BTCUSD: 91 });
+  assert.equal((await trade.getOrder(stop.id)).status, 'new');
+  broker.setPrices({ BTCUSD: 89 });
+  assert.equal((await trade.getOrder(stop.id)).status, 'filled');
+  assert.equal(await trade.getPosition('BTCUSD'), null);
+});
+
+test('plain stop orders are refused like Alpaca refuses them for crypto', async () => {
+  const res = await fetch(`${process.env.ALPACA_BASE_URL}/v2/orders`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'APCA-API-KEY-ID': 'mock',
+      'APCA-API-SECRET-KEY': 'mock',
+    },
+    body: JSON.stringify({
+      symbol: 'BTCUSD',
+      side: 'sell',
+      type: 'stop',
+      time_in_force: 'gtc',
+      qty: '1',
+      stop_price: '90',
+    }),
+  });
+  assert.equal(res.status, 422);
+  assert.match((await res.json()).message, /invalid order type stop/);
+});
+
+test('resting sells reserve quantity like Alpaca does', async () => {
+  await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: '1',
+  });
+  const takeProfit = await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'sell',
+    type: 'limit',
+    time_in_force: 'gtc',
+    qty: '1',
+    limit_price: '120',
+  });
+  await assert.rejects(
+    trade.submitOrder({
+      symbol: 'BTCUSD',
+      side: 'sell',
+      type: 'stop_limit',
+      time_in_force: 'gtc',
+      qty: '1',
+      stop_price: '90',
+      limit_price: '89',
+    }),
+    (err) => err.response.status === 403 && /insufficient balance/.test(err.response.data.message)
+  );
+
+  await trade.cancelOrder(takeProfit.id);
+  const open = await trade.getOpenOrders('BTCUSD');
+  assert.equal(open.length, 0);
+  assert.equal((await trade.getPosition('BTCUSD')).qty_available, '1');
+});
+
+test('buys beyond buying power are rejected', async () => {
+  await assert.rejects(
+    trade.submitOrder({
+      symbol: 'BTCUSD',
+      side: 'buy',
+      type: 'limit',
+      time_in_force: 'gtc',
+      qty: '20',
+      limit_price: '99',
+    }),
+    (err) => err.response.status === 403
+  );
+});
+
+test('the equity curve follows prices and fills', async () => {
+  await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: '5',
+  });
+  broker.setPrices({ BTCUSD: 120 });
+  const { getEquityCurve } = require('../account');
+  const curve = await getEquityCurve('1D');
+  assert.deepEqual(
+    curve.points.map((p) => p.equity),
+    [1000, 1000, 1000, 1100, 1100]
+  );
+  assert.equal(curve.points[4].profitLoss, 100);
+  assert.equal((await getEquityCurve('all')).points.length, 5);
+});
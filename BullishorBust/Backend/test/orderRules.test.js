@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'order-rules-'));
+const broker = createMockBroker({
+  cash: 10000,
+  assets: [
+    {
+      symbol: 'BTC/USD',
+      min_order_size: '0.0001',
+      min_trade_increment: '0.000000001',
+      price_increment: '1',
+    },
+    {
+      symbol: 'SHIB/USD',
+      min_order_size: '100000',
+      min_trade_increment: '1',
+      price_increment: '0.00000001',
+    },
+    {
+      symbol: 'PEPE/USD',
+      min_order_size: '0',
+      min_trade_increment: '0.0000001',
+      price_increment: '0.0000000001',
+    },
+    { symbol: 'XTZ/USD', tradable: false },
+  ],
+});
+let server;
+let rules;
+let trade;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  rules = require('../orderRules');
+  trade = require('../trade');
+  await require('../assets').syncAssets();
+});
+
+test.after(() => server.close());
+
+const order = (fields) => ({ side: 'buy', type: 'limit', time_in_force: 'gtc', ...fields });
+
+test('increments are read per asset', () => {
+  assert.equal(rules.roundToIncrement(0.3, 0.1, 'down'), 0.3);
+  assert.equal(rules.roundQty('SHIBUSD', 123456.9), 123456);
+  assert.equal(rules.roundQty('BTCUSD', 0.1234567891234), 0.123456789);
+  assert.equal(rules.roundPrice('BTCUSD', 64000.4, 'up'), 64001);
+  assert.equal(rules.roundPrice('SHIBUSD', 0.0000123456), 0.00001235);
+});
+
+test('orders are rounded in their own favour', () => {
+  const buy = rules.prepareOrder(
+    order({ symbol: 'BTC/USD', qty: '0.00123456789', limit_price: '64000.9' })
+  );
+  assert.deepEqual(buy.errors, []);
+  assert.equal(buy.order.symbol, 'BTCUSD');
+  assert.equal(buy.order.qty, '0.001234567');
+  assert.equal(buy.order.limit_price, '64000');
+  const sell = rules.prepareOrder(
+    order({ symbol: 'SHIBUSD', side: 'sell', qty: '10.5', limit_price: '0.000012341' })
+  );
+  assert.equal(sell.order.qty, '10');
+  assert.equal(sell.order.limit_price, '0.00001235');
+  const market = order({ symbol: 'BTCUSD', type: 'market', notional: 25.999 });
+  const notional = rules.prepareOrder(market);
+  assert.equal(notional.order.notional, '25.99');
+});
+
+test('increments finer than 1e-6 are sent as plain decimals', () => {
+  const sell = rules.prepareOrder(
+    order({ symbol: 'PEPEUSD', side: 'sell', qty: '0.00000012', limit_price: '0.00000001231' })
+  );
+  assert.deepEqual(sell.errors, []);
+  assert.equal(sell.order.qty, '0.0000001');
+  assert.equal(sell.order.limit_price, '0.0000000124');
+  const patch = rules.preparePatch('PEPEUSD', 'sell', { qty: 5e-7, stop_price: 3e-9 });
+  assert.deepEqual(patch.patch, { qty: '0.0000005', stop_price: '0.000000003' });
+  // Whole increments keep their trailing zeros before the point
+  assert.equal(rules.prepareOrder(order({ symbol: 'SHIBUSD', qty: '100000' })).order.qty, '100000');
+});
+
+test('problems come back per field', () => {
+  const fields = (o) => rules.prepareOrder(o).errors.map((e) => e.field);
+  assert.deepEqual(fields(order({ symbol: 'DOGEUSD', qty: '1', limit_price: '1' })), ['symbol']);
+  assert.deepEqual(fields(order({ symbol: 'XTZUSD', qty: '1', limit_price: '1' })), ['symbol']);
+  assert.deepEqual(fields(order({ symbol: 'BTCUSD', type: 'trailing_stop', qty: '1' })), ['type']);
+  // Alpaca refuses plain stops for crypto; the exit manager uses stop_limit
+  const stop = { symbol: 'BTCUSD', type: 'stop', qty: '1', stop_price: '1' };
+  assert.deepEqual(fields(order(stop)), ['type']);
+  const day = order({ symbol: 'BTCUSD', qty: '1', limit_price: '1', time_in_force: 'day' });
+  assert.deepEqual(fields(day), ['time_in_force']);
+  // Under SHIB's minimum size, and worth under $1
+  assert.deepEqual(fields(order({ symbol: 'SHIBUSD', qty: '50000', limit_price: '0.00001' })), [
+    'qty',
+  ]);
+  assert.deepEqual(fields(order({ symbol: 'BTCUSD', qty: '0.0001', limit_price: '5000' })), [
+    'qty',
+  ]);
+  // Sells of whatever is left are always allowed
+  assert.deepEqual(
+    fields(order({ symbol: 'SHIBUSD', side: 'sell', qty: '5', limit_price: '0.00001' })),
+    []
+  );
+});
+
+test('a rejected order never reaches the broker', async () => {
+  await assert.rejects(
+    trade.submitOrder(order({ symbol: 'BTCUSD', qty: '0.00001', limit_price: '60000' })),
+    (err) => err instanceof rules.OrderRejectedError && err.details[0].field === 'qty'
+  );
+  assert.equal(broker.getState().orders.length, 0);
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+  };
+  trade.sendAlpacaError(res, new rules.OrderRejectedError([{ field: 'qty', message: 'x' }]));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, { error: 'Invalid order', details: [{ field: 'qty', message: 'x' }] });
+
+  broker.setPrices({ BTCUSD: 61000 });
+  const placed = await trade.submitOrder(
+    order({ symbol: 'BTCUSD', qty: '0.0012345678', limit_price: '60000.5' })
+  );
+  assert.equal(placed.qty, '0.001234567');
+  assert.equal(placed.limit_price, '60000');
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'performance-'));
+const broker = createMockBroker({ cash: 1000 });
+let server;
+let performance;
+let trade;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  performance = require('../performance');
+  trade = require('../trade');
+});
+
+test.after(() => server.close());
+
+let nextId = 0;
+function fill(side, qty, price, orderId, minute, symbol = 'BTCUSD') {
+  nextId += 1;
+  return {
+    id: `fill-${nextId}`,
+    side,
+    qty: String(qty),
+    price: String(price),
+    order_id: orderId,
+    symbol,
+    transaction_time: new Date(Date.UTC(2025, 0, 1, 0, minute)).toISOString(),
+  };
+}
+
+test('sells close the oldest buys first', () => {
+  const { roundTrips, openLots, unmatched } = performance.matchRoundTrips(
+    [
+      fill('buy', 1, 100, 'b1', 0),
+      fill('buy', 1, 110, 'b2', 1),
+      fill('sell', 1.5, 120, 's1', 2),
+      fill('sell', 1, 90, 's2', 3),
+    ],
+    { strategies: { b1: 'momentum' } }
+  );
+  assert.deepEqual(
+    roundTrips.map((t) => [t.buyOrderId, t.sellOrderId, t.qty, t.pnl, t.strategy]),
+    [
+      ['b1', 's1', 1, 20, 'momentum'],
+      ['b2', 's1', 0.5, 5, 'unattributed'],
+      ['b2', 's2', 0.5, -10, 'unattributed'],
+    ]
+  );
+  assert.equal(roundTrips[0].holdMs, 2 * 60 * 1000);
+  assert.deepEqual(openLots, []);
+  assert.deepEqual(unmatched, { BTCUSD: 0.5 });
+});
+
+test('partial fills of one order make one round trip net of fees', () => {
+  const fills = [
+    fill('buy', 0.5, 100, 'b1', 0),
+    fill('buy', 0.5, 100, 'b1', 1),
+    fill('sell', 1, 110, 's1', 5),
+  ];
+  const { fees, estimated } = performance.allocateFees(fills, [], 0.01);
+  assert.equal(estimated, 3);
+  const { roundTrips } = performance.matchRoundTrips(fills, { fees });
+  assert.equal(roundTrips.length, 1);
+  assert.equal(roundTrips[0].entryPrice, 100);
+  assert.ok(Math.abs(roundTrips[0].fees - 2.1) < 1e-9);
+  assert.ok(Math.abs(roundTrips[0].pnl - 7.9) < 1e-9);
+});
+
+test('reported fees are spread over the day by notional', () => {
+  const fills = [fill('buy', 1, 100, 'b1', 0), fill('sell', 1, 300, 's1', 1)];
+  const cfee = [{ activity_type: 'CFEE', symbol: 'BTCUSD', date: '2025-01-01', net_amount: '-4' }];
+  const { fees, estimated } = performance.allocateFees(fills, cfee, 0.01);
+  assert.equal(estimated, 0);
+  assert.deepEqual(Object.values(fees), [1, 3]);
+});
+
+test('summary reports win rate, expectancy and drawdown', () => {
+  const summary = performance.summarize(
+    [10, -5, -10, 20].map((pnl, i) => ({ pnl, fees: 0, holdMs: (i + 1) * 1000 }))
+  );
+  assert.equal(summary.trades, 4);
+  assert.equal(summary.winRate, 0.5);
+  assert.equal(summary.netPnl, 15);
+  assert.equal(summary.expectancy, 3.75);
+  assert.equal(summary.averageWin, 15);
+  assert.equal(summary.averageLoss, -7.5);
+  assert.equal(summary.averageHoldMs, 2500);
+  assert.equal(summary.maxDrawdown, 15);
+});
+
+test('performance is read from the broker fill history', async () => {
+  broker.setPrices({ BTCUSD: 100 });
+  const order = (side) =>
+    trade.submitOrder({ symbol: 'BTCUSD', side, type: 'market', time_in_force: 'gtc', qty: '2' });
+  await order('buy');
+  broker.setPrices({ BTCUSD: 105 });
+  await order('sell');
+  const report = await performance.getPerformance();
+  assert.equal(report.fills, 2);
+  assert.equal(report.summary.trades, 1);
+  assert.equal(report.bySymbol.BTCUSD.wins, 1);
+  assert.equal(report.byStrategy.unattributed.trades, 1);
+  // 10 of gains less the default 0.25% fee on 200 bought and 210 sold
+  assert.ok(Math.abs(report.summary.netPnl - 8.975) < 1e-9);
+  assert.equal(report.feesEstimated, 2);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-'));
+const {
+  RISK_LIMITS,
+  evaluateBuy,
+  getKillSwitch,
+  engageKillSwitch,
+  resetKillSwitch,
+} = require('../riskManager');
+
+const account = { equity: '10000', last_equity: '10000' };
+
+function position(symbol, marketValue) {
+  return { symbol, market_value: String(marketValue), current_price: '100' };
+}
+
+function codes(result) {
+  return result.reasons.map((r) => r.code);
+}
+
+test('a buy inside every limit is allowed', () => {
+  const result = evaluateBuy({
+    symbol: 'BTCUSD',
+    notional: 1000,
+    account,
+    positions: [position('ETHUSD', 1500)],
+  });
+  assert.equal(result.allowed, true);
+  assert.equal(result.snapshot.totalExposure, 1500);
+});
+
+test('exposure caps count positions and open buys', () => {
+  const result = evaluateBuy({
+    symbol: 'BTCUSD',
+    notional: 600,
+    account,
+    positions: [position('BTCUSD', 1000), position('ETHUSD', 5000)],
+    openOrders: [
+      { symbol: 'BTC/USD', side: 'buy', qty: '5', filled_qty: '0', limit_price: '100' },
+      { symbol: 'SOLUSD', side: 'buy', notional: '1000' },
+      { symbol: 'ETHUSD', side: 'sell', qty: '50', filled_qty: '0', limit_price: '100' },
+    ],
+  });
+  // BTC: 1000 held + 500 open + 600 new = 2100 > 20% of 10000
+  // Total: 1500 + 5000 + 1000 + 600 = 8100 > 80% of 10000
+  assert.deepEqual(codes(result), ['symbol_exposure', 'total_exposure']);
+  assert.equal(result.reasons[0].actual, 2100);
+  assert.equal(result.reasons[0].limit, 2000);
+});
+
+test('max positions ignores dust and symbols already held', () => {
+  const positions = ['AUSD', 'BUSD', 'CUSD', 'DUSD', 'EUSD'].map((s) => position(s, 100));
+  positions.push(position('DUSTUSD', 0.5));
+  const opts = { notional: 100, account, positions };
+  assert.deepEqual(codes(evaluateBuy({ ...opts, symbol: 'NEWUSD' })), ['max_positions']);
+  assert.equal(evaluateBuy({ ...opts, symbol: 'AUSD' }).allowed, true);
+  const limits = { ...RISK_LIMITS, MAX_POSITIONS: 6 };
+  assert.equal(evaluateBuy({ ...opts, symbol: 'NEWUSD', limits }).allowed, true);
+});
+
+test('the daily loss limit compares equity with last_equity', () => {
+  const down = { equity: '9650', last_equity: '10000' };
+  const result = evaluateBuy({ symbol: 'BTCUSD', notional: 10, account: down });
+  assert.deepEqual(codes(result), ['daily_loss_limit']);
+  assert.ok(Math.abs(result.reasons[0].actual + 0.035) < 1e-9);
+  const fine = { equity: '9750', last_equity: '10000' };
+  assert.equal(evaluateBuy({ symbol: 'BTCUSD', notional: 10, account: fine }).allowed, true);
+});
+
+test('the kill switch latches until reset', () => {
+  assert.equal(getKillSwitch().engaged, false);
+  const engaged = engageKillSwitch('manual');
+  // Engaging again keeps the original reason and time
+  assert.deepEqual(engageKillSwitch('daily_loss_limit'), engaged);
+  const result = evaluateBuy({
+    symbol: 'BTCUSD',
+    notional: 10,
+    account,
+    killSwitch: getKillSwitch(),
+  });
+  assert.deepEqual(codes(result), ['kill_switch']);
+  resetKillSwitch();
+  assert.equal(getKillSwitch().engaged, false);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'signals-'));
+const broker = createMockBroker({ cash: 1000 });
+let server;
+let signals;
+let trade;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  signals = require('../signals');
+  trade = require('../trade');
+});
+
+test.after(() => server.close());
+
+test('every tracked token is computed in one cached call', async () => {
+  broker.setPrices({ BTCUSD: 100, ETHUSD: 10 });
+  await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: '1',
+  });
+
+  const first = await signals.getSignals();
+  assert.equal(first.cached, false);
+  assert.equal(first.tokens.length, 25);
+  const btc = first.tokens.find((t) => t.symbol === 'BTCUSD');
+  assert.equal(btc.price, 100);
+  assert.equal(btc.provider, 'alpaca');
+  assert.equal(btc.position.qty, '1');
+  assert.equal(btc.entryReady, false);
+  assert.ok(btc.decision.reasons.includes('insufficient_data'));
+  assert.deepEqual(btc.chart.closes, [100]);
+  assert.deepEqual(
+    btc.chart.trades.map((t) => [t.side, t.price, t.qty]),
+    [['buy', 100, 1]]
+  );
+
+  // Tokens without data carry their error instead of failing the batch
+  const aave = first.tokens.find((t) => t.symbol === 'AAVEUSD');
+  assert.equal(aave.missingData, true);
+  assert.match(aave.error, /No fresh quote for AAVEUSD/);
+
+  const second = await signals.getSignals();
+  assert.equal(second.cached, true);
+  assert.equal(second.generatedAt, first.generatedAt);
+});
+
+test('concurrent work stays within the limit and keeps order', async () => {
+  let running = 0;
+  let peak = 0;
+  const out = await signals.mapWithConcurrency([5, 1, 3, 2, 4, 0], 2, async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, n * 5));
+    running -= 1;
+    return n * 10;
+  });
+  assert.deepEqual(out, [50, 10, 30, 20, 40, 0]);
+  assert.equal(peak, 2);
+});
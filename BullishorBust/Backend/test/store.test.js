@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../store');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+}
+
+test('state survives a restart', () => {
+  const dir = tempDir();
+  const store = createStore(dir);
+  store.set('positionMeta', 'BTCUSD', { entryTimestamp: 1700000000000, entryPrice: 100 });
+  store.set('lastTradeTime', 'BTCUSD', 1700000000000);
+  store.set('lastTradeTime', 'ETHUSD', 1700000000001);
+  store.remove('lastTradeTime', 'ETHUSD');
+  store.recordTrade({ symbol: 'BTCUSD', side: 'buy', orderId: 'a' });
+  store.recordTrade({ symbol: 'ETHUSD', side: 'buy', orderId: 'b' });
+
+  const reopened = createStore(dir);
+  assert.deepEqual(reopened.get('positionMeta', 'BTCUSD'), {
+    entryTimestamp: 1700000000000,
+    entryPrice: 100,
+  });
+  assert.deepEqual(reopened.all('lastTradeTime'), { BTCUSD: 1700000000000 });
+  assert.deepEqual(
+    reopened.getTradeHistory().map((t) => t.orderId),
+    ['b', 'a']
+  );
+  assert.equal(reopened.getTradeHistory({ symbol: 'BTCUSD' }).length, 1);
+});
+
+test('compaction keeps the state and empties the journal', () => {
+  const dir = tempDir();
+  const store = createStore(dir);
+  store.set('pendingLimitOrders', 'SOLUSD', { orderId: 'x', notional: 10, createdAt: 1 });
+  store.clear('perSymbolFundsLock');
+  store.compact();
+  assert.equal(fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf8'), '');
+  store.set('perSymbolFundsLock', 'SOLUSD', true);
+
+  const reopened = createStore(dir);
+  assert.equal(reopened.get('pendingLimitOrders', 'SOLUSD').orderId, 'x');
+  assert.equal(reopened.get('perSymbolFundsLock', 'SOLUSD'), true);
+});
+
+test('a torn last journal line is ignored', () => {
+  const dir = tempDir();
+  const store = createStore(dir);
+  store.set('lastTradeTime', 'BTCUSD', 5);
+  fs.appendFileSync(path.join(dir, 'journal.jsonl'), '{"op":"set","c":"lastTr');
+  assert.equal(createStore(dir).get('lastTradeTime', 'BTCUSD'), 5);
+});
+
+test('unknown collections are rejected', () => {
+  const store = createStore(tempDir());
+  assert.throws(() => store.set('nope', 'BTCUSD', 1), /Unknown collection nope/);
+});
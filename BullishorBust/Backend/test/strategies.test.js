@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+const {
+  DEFAULT_ASSIGNMENTS,
+  createSignal,
+  evaluateEntry,
+  evaluateExit,
+  registerStrategy,
+  resolveParams,
+} = require('../../Shared/strategies');
+const { exitParams, analyzeToken, sizeEntry } = require('../strategy');
+
+const EXIT_PARAMS = exitParams();
+
+// Indicator values as computeFeatures returns them
+function features(overrides = {}) {
+  return {
+    bars: 53,
+    rsi: 45,
+    macd: 0.5,
+    prevMacd: 0.4,
+    macdSignal: 0.3,
+    histogram: 0.2,
+    histSlope: 0.001,
+    zscore: -1,
+    trend: '⬆️',
+    slope: 0.01,
+    ...overrides,
+  };
+}
+
+test('signals are frozen and typed', () => {
+  const signal = createSignal({ type: 'entry', strategy: 'momentum', reasons: ['x'] });
+  assert.ok(Object.isFrozen(signal));
+  assert.throws(() => createSignal({ type: 'buy' }), /Unknown signal type buy/);
+});
+
+test('the default order trades reversion below z -2 and momentum otherwise', () => {
+  const reversion = evaluateEntry(features({ zscore: -2.2 }));
+  assert.equal(reversion.type, 'entry');
+  assert.equal(reversion.strategy, 'reversion');
+  assert.equal(reversion.label, 'Reversion Mode');
+
+  // In momentum's z band but below reversion's threshold: reversion decides
+  const deep = evaluateEntry(features({ zscore: -2.1, histSlope: -0.001 }));
+  assert.equal(deep.strategy, 'reversion');
+  assert.equal(deep.type, 'none');
+
+  const momentum = evaluateEntry(features());
+  assert.equal(momentum.type, 'entry');
+  assert.equal(momentum.strategy, 'momentum');
+
+  const flat = evaluateEntry(features({ histSlope: 0.0001 }));
+  assert.equal(flat.type, 'none');
+  // The unmet rule is reported by name
+  assert.deepEqual(
+    flat.conditions.map((c) => [c.name, c.met]),
+    [
+      ['macd_above_signal', true],
+      ['histogram_rising', false],
+      ['z_in_band', true],
+    ]
+  );
+  assert.ok(momentum.conditions.every((c) => c.met));
+  const watch = evaluateEntry(features({ macd: 0.2, prevMacd: 0.1 }));
+  assert.equal(watch.type, 'watch');
+
+  const short = evaluateEntry(features({ bars: 10 }));
+  assert.deepEqual(short.reasons, ['insufficient_data']);
+});
+
+test('per-symbol assignments pick strategies and override their parameters', () => {
+  const onlyMomentum = [{ name: 'momentum', params: {} }];
+  assert.equal(evaluateEntry(features({ zscore: -2.2 }), onlyMomentum).strategy, 'momentum');
+
+  const strict = [{ name: 'momentum', params: { minHistSlope: 0.01 } }];
+  assert.equal(evaluateEntry(features(), strict).type, 'none');
+
+  const onlyReversion = [{ name: 'reversion', params: {} }];
+  const none = evaluateEntry(features(), onlyReversion);
+  assert.equal(none.strategy, null);
+  assert.deepEqual(none.reasons, ['no_strategy_applies']);
+});
+
+test('sizing hints and exits come from the strategy', () => {
+  const calm = evaluateEntry(features());
+  const trending = evaluateEntry(features({ slope: 0.06 }));
+  assert.equal(calm.sizing.allocation, 0.1);
+  assert.equal(trending.sizing.allocation, 0.05);
+  const { targetAllocation } = sizeEntry({ portfolioValue: 1000, cash: 1000, allocation: 0.05 });
+  assert.equal(targetAllocation, 50);
+
+  const position = { basis: 100, entryTimestamp: 0, entryPrice: 100 };
+  const market = { price: 100.1, rsi: 60, now: 1000 };
+  const hold = evaluateExit('momentum', position, market, {}, EXIT_PARAMS);
+  assert.equal(hold.type, 'hold');
+  assert.ok(Math.abs(hold.takeProfitPrice - 100.15) < 1e-9);
+  assert.ok(Math.abs(hold.stopPrice - 97.5) < 1e-9);
+
+  const stale = evaluateExit(
+    'momentum',
+    position,
+    { price: 100.1, rsi: 40, now: EXIT_PARAMS.maxPositionAgeMs + 1 },
+    {},
+    EXIT_PARAMS
+  );
+  assert.equal(stale.type, 'exit');
+  assert.deepEqual(stale.reasons, ['stale_position']);
+
+  const params = resolveParams('momentum', { stopLossPercent: 0.05 }, EXIT_PARAMS);
+  assert.equal(params.stopLossPercent, 0.05);
+  assert.equal(params.takeProfitMultiplier, EXIT_PARAMS.takeProfitMultiplier);
+});
+
+test('registered strategies can be enabled by name', () => {
+  registerStrategy({
+    name: 'breakout',
+    label: 'Breakout',
+    defaults: { minRsi: 70 },
+    requiredData: { interval: '15m', bars: 20 },
+    evaluateEntry: (f, p) => ({ type: f.rsi > p.minRsi ? 'entry' : 'none' }),
+    sizing: () => ({ allocation: 0.02 }),
+  });
+  const assignments = [{ name: 'breakout', params: { minRsi: 40 } }, ...DEFAULT_ASSIGNMENTS];
+  const signal = evaluateEntry(features(), assignments);
+  assert.equal(signal.strategy, 'breakout');
+  assert.equal(signal.type, 'entry');
+  assert.equal(signal.sizing.allocation, 0.02);
+
+  const closes = Array.from({ length: 53 }, (_, i) => 100 + i * 0.1);
+  const token = analyzeToken({ symbol: 'BTCUSD' }, 105, closes, assignments);
+  assert.equal(token.decision.strategy, 'breakout');
+  assert.equal(token.missingData, false);
+});
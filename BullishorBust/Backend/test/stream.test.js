@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const WebSocket = require('ws');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-'));
+const auth = require('../auth');
+const events = require('../events');
+const stream = require('../stream');
+const { logTradeAction } = require('../tradeLog');
+
+let server;
+let port;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api', auth.authenticate);
+  app.use('/api', stream.router);
+  server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  stream.attach(server);
+  port = server.address().port;
+});
+
+test.after(() => server.close());
+
+// Open a stream, send `subscribe` and collect messages until `count` have
+// arrived or the socket closes
+function connect(subscribe, count) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${stream.STREAM_PATH}`);
+    const messages = [];
+    const done = (closeCode) => {
+      ws.close();
+      resolve({ messages, closeCode });
+    };
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'subscribe', ...subscribe })));
+    ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw.toString()));
+      if (messages.length === count) done();
+    });
+    ws.on('close', (code) => done(code));
+    ws.on('error', reject);
+  });
+}
+
+test('eventsSince resumes only within the same run and buffer', () => {
+  const first = events.publish('status', { running: false });
+  events.publish('status', { running: true });
+  assert.deepEqual(
+    events.eventsSince(first.id).map((e) => e.data),
+    [{ running: true }]
+  );
+  assert.deepEqual(events.eventsSince(events.getLastEventId()), []);
+  assert.equal(events.eventsSince(first.id, 'another-boot'), null);
+  assert.equal(events.eventsSince(events.getLastEventId() + 1), null);
+  assert.throws(() => events.publish('nope', {}), /Unknown event topic/);
+});
+
+test('the stream refuses missing, invalid and scope-less tokens', async () => {
+  assert.equal((await connect({}, 1)).closeCode, 4401);
+  assert.equal((await connect({ token: 'borb_0123456789abcdef_nope' }, 1)).closeCode, 4401);
+  const admin = auth.issueToken('ops', ['admin']).token;
+  const bad = await connect({ token: admin, topics: ['gossip'] }, 2);
+  assert.equal(bad.messages[0].type, 'error');
+  assert.deepEqual(bad.messages[0].details, ['unknown topic gossip']);
+});
+
+test('subscribers get live events on their topics and resume after a reconnect', async () => {
+  const { token } = auth.issueToken('phone', ['read']);
+  const live = connect({ token, topics: ['log'] }, 2);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  events.publish('signal', { symbol: 'BTC/USD' });
+  const entry = logTradeAction('buy_success', 'BTC/USD', { qty: 1 });
+  const { messages } = await live;
+  assert.equal(messages[0].type, 'hello');
+  assert.equal(messages[0].bootId, events.BOOT_ID);
+  assert.equal(messages[1].topic, 'log');
+  assert.deepEqual(messages[1].data, entry);
+
+  // Missed while disconnected: replayed in order after the hello
+  const since = messages[1].id;
+  logTradeAction('sell_success', 'BTC/USD');
+  logTradeAction('refresh', 'all');
+  const resumed = await connect({ token, since, bootId: events.BOOT_ID, topics: ['log'] }, 3);
+  assert.deepEqual(
+    resumed.messages.slice(1).map((m) => m.data.type),
+    ['sell_success', 'refresh']
+  );
+
+  // Ids from another run cannot be resumed
+  const reset = await connect({ token, since, bootId: 'old-boot' }, 2);
+  assert.equal(reset.messages[1].type, 'reset');
+});
+
+test('GET /events replays for polling clients', async () => {
+  const { token } = auth.issueToken('poller', ['read']);
+  const get = (query) =>
+    fetch(`http://127.0.0.1:${port}/api/events${query}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  const since = events.getLastEventId();
+  events.publish('order', { id: 'o1', status: 'filled' });
+  const res = await get(`?since=${since}&bootId=${events.BOOT_ID}&topics=order`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.reset, false);
+  assert.deepEqual(body.events.map((e) => e.data.id), ['o1']);
+  assert.equal((await (await get('?since=0&bootId=old')).json()).reset, true);
+  assert.equal((await get('?since=-1')).status, 400);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+const { getStore } = require('../store');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'token-detail-'));
+const broker = createMockBroker({ cash: 1000 });
+let server;
+let tokenDetail;
+let trade;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.ALPACA_BASE_URL = url;
+  process.env.ALPACA_DATA_URL = `${url}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  tokenDetail = require('../tokenDetail');
+  trade = require('../trade');
+});
+
+test.after(() => server.close());
+
+test('indicator series line up with the candles', () => {
+  const bars = Array.from({ length: 40 }, (_, i) => {
+    const close = 100 + Math.sin(i / 3) * 5;
+    return { time: i * 900000, open: close - 1, high: close + 2, low: close - 2, close };
+  });
+  const chart = tokenDetail.chartSeries(bars);
+  assert.equal(chart.candles.length, 40);
+  ['macd', 'signal', 'histogram', 'rsi', 'zscore'].forEach((name) => {
+    assert.equal(chart[name].length, 40, name);
+  });
+  assert.equal(chart.rsi[13], null);
+  assert.ok(chart.rsi[14] > 0);
+  assert.equal(chart.zscore[18], null);
+  assert.equal(typeof chart.zscore[19], 'number');
+});
+
+test('detail combines market data, position, orders and history', async () => {
+  broker.setPrices({ BTCUSD: 100 });
+  await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    qty: '2',
+  });
+  const entryTimestamp = Date.now() - 60000;
+  getStore().set('positionMeta', 'BTCUSD', { entryTimestamp, entryPrice: 100 });
+  const sell = await trade.submitOrder({
+    symbol: 'BTCUSD',
+    side: 'sell',
+    type: 'limit',
+    time_in_force: 'gtc',
+    qty: '2',
+    limit_price: '130',
+  });
+  broker.setPrices({ BTCUSD: 110 });
+
+  const asset = { name: 'BTC/USD', symbol: 'BTCUSD', cc: 'BTC' };
+  const detail = await tokenDetail.getTokenDetail(asset);
+  assert.equal(detail.price, 110);
+  assert.equal(detail.chart.candles.length, detail.chart.rsi.length);
+  assert.ok(detail.decision.reasons.includes('insufficient_data'));
+  assert.equal(detail.position.qty, '2');
+  assert.equal(detail.position.unrealizedPl, 20);
+  assert.ok(detail.position.entryAgeMs >= 60000);
+  assert.deepEqual(detail.openOrders.map((o) => o.id), [sell.id]);
+  assert.equal(detail.recentOrders.length, 1);
+});
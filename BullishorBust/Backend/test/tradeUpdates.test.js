@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockBroker } = require('../mockBroker');
+
+process.env.TRADE_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-updates-'));
+const broker = createMockBroker({ cash: 1000 });
+let server;
+let base;
+let trade;
+let tradeUpdates;
+
+test.before(async () => {
+  server = await new Promise((resolve) => {
+    const s = broker.listen(0, () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+  // trade.js and tradeUpdates.js read their URLs when loaded
+  process.env.ALPACA_BASE_URL = base;
+  process.env.ALPACA_DATA_URL = `${base}/v1beta2`;
+  // The mock only serves Alpaca's data API
+  process.env.MARKET_DATA_PROVIDERS = 'alpaca';
+  process.env.ALPACA_API_KEY = 'mock';
+  process.env.ALPACA_SECRET_KEY = 'mock';
+  trade = require('../trade');
+  tradeUpdates = require('../tradeUpdates');
+  tradeUpdates.start();
+  await until(() => tradeUpdates.isConnected());
+});
+
+test.after(() => {
+  tradeUpdates.stop();
+  server.close();
+});
+
+test.beforeEach(() => {
+  broker.reset(1000);
+  broker.setPrices({ BTCUSD: 100 });
+});
+
+async function until(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+function openBuy() {
+  return broker.getState().orders.find((o) => o.side === 'buy' && o.status === 'new');
+}
+
+function mock(route, body) {
+  return fetch(`${base}/mock/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('a limit buy is followed by its sell as soon as it fills', async () => {
+  const workflow = trade.placeLimitBuyThenSell('BTCUSD', 2, 95);
+  await until(() => openBuy());
+  broker.setPrices({ BTCUSD: 94 });
+  const { buy, sell } = await workflow;
+  assert.equal(buy.status, 'filled');
+  assert.equal(buy.filled_avg_price, '94');
+  assert.equal(sell.side, 'sell');
+  assert.equal(sell.qty, '2');
+  assert.ok(Number(sell.limit_price) > 94);
+});
+
+test('a market buy sells without waiting', async () => {
+  const started = Date.now();
+  const { buy, sell } = await trade.placeMarketBuyThenSell('BTCUSD');
+  assert.equal(buy.status, 'filled');
+  assert.equal(sell.qty, buy.filled_qty);
+  assert.ok(Date.now() - started < 3000);
+});
+
+test('a partly filled buy that is canceled sells the filled part', async () => {
+  const workflow = trade.placeLimitBuyThenSell('BTCUSD', 2, 95);
+  await until(() => openBuy());
+  const { id } = openBuy();
+  assert.equal((await mock('fill', { order_id: id, qty: 0.5, price: 95 })).status, 200);
+  await trade.cancelOrder(id);
+  const { buy, sell } = await workflow;
+  assert.equal(buy.status, 'canceled');
+  assert.equal(sell.qty, '0.5');
+});
+
+test('a rejected buy fails the workflow', async () => {
+  const failed = assert.rejects(trade.placeLimitBuyThenSell('BTCUSD', 2, 95), /rejected/);
+  await until(() => openBuy());
+  await mock('reject', { order_id: openBuy().id });
+  await failed;
+});
+
+test('fills missed while the stream was down are picked up on reconnect', async () => {
+  const workflow = trade.placeLimitBuyThenSell('BTCUSD', 1, 95);
+  await until(() => openBuy());
+  broker.dropStreams();
+  await until(() => !tradeUpdates.isConnected());
+  broker.setPrices({ BTCUSD: 90 });
+  const { buy, sell } = await workflow;
+  assert.equal(buy.status, 'filled');
+  assert.equal(sell.qty, '1');
+  assert.ok(tradeUpdates.isConnected());
+});
+
+test('a wait for a fill gives up once its time is up', async () => {
+  const order = await trade.submitOrder({
+    symbol: 'BTCUSD',
+    qty: '1',
+    side: 'buy',
+    type: 'limit',
+    time_in_force: 'gtc',
+    limit_price: '95',
+  });
+  await assert.rejects(tradeUpdates.waitForFill(order, { timeoutMs: 50 }), (err) => {
+    assert.equal(err.timedOut, true);
+    assert.equal(err.order.id, order.id);
+    return true;
+  });
+});
+
+// Bounded: without the polling the workflow would wait for good
+test(
+  'while the stream is refused, watched orders are polled over HTTP',
+  { timeout: 15000 },
+  async () => {
+    broker.getState().refuseStreams = true;
+    broker.dropStreams();
+    await until(() => !tradeUpdates.isConnected());
+    const workflow = trade.placeLimitBuyThenSell('BTCUSD', 1, 95);
+    await until(() => openBuy());
+    broker.setPrices({ BTCUSD: 90 });
+    const { buy, sell } = await workflow;
+    assert.equal(buy.status, 'filled');
+    assert.equal(sell.qty, '1');
+    assert.equal(tradeUpdates.isConnected(), false);
+  }
+);
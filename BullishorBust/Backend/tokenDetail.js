@@ -0,0 +1,130 @@
+// tokenDetail.js
+// Everything the app's token detail screen shows for one symbol, in one
+// call: candles with the MACD, RSI and z-score series drawn under them,
+// the strategy decision with each entry rule and whether it is met, the
+// held position with its entry metadata and exit bracket, open and recent
+// orders, and the symbol's trade log.
+//
+// The decision is made on the same 53 closes the dashboard and the
+// scheduler use, so it matches them; the indicator series are computed over
+// the whole chart.
+const express = require('express');
+const router = express.Router();
+const { macd, rsi, zScore } = require('../Shared/indicators');
+const { getAsset } = require('./assets');
+const { analyzeToken } = require('./strategy');
+const { getAssignments } = require('./strategyConfig');
+const { getQuote, getBars } = require('./marketData');
+const { getPosition, getOpenOrders, listOrders, sendAlpacaError } = require('./trade');
+const { getBracket } = require('./exitManager');
+const logger = require('./logger');
+const { getStore } = require('./store');
+const { validateSymbol } = require('./validate');
+
+// Closes the decision is made on, as in signals.js and the scheduler
+const DECISION_BARS = 53;
+const DEFAULT_CHART_BARS = 100;
+const MAX_CHART_BARS = 300;
+const RECENT_ORDERS = 20;
+const HISTORY_LIMIT = 50;
+const LOG_LIMIT = 50;
+
+// Candles plus indicator series aligned with them (null while warming up)
+function chartSeries(bars) {
+  const closes = bars.map((bar) => bar.close);
+  const lines = macd(closes);
+  return {
+    candles: bars.map(({ time, open, high, low, close }) => ({ time, open, high, low, close })),
+    macd: lines.macd,
+    signal: lines.signal,
+    histogram: lines.histogram,
+    rsi: rsi(closes),
+    zscore: zScore(closes),
+  };
+}
+
+// Price, chart and decision, or the market data error that stopped them
+async function marketView(asset, barCount) {
+  try {
+    const [quote, { bars, provider }] = await Promise.all([
+      getQuote(asset.symbol),
+      getBars(asset.symbol, { interval: '15m', limit: barCount }),
+    ]);
+    const closes = bars.slice(-DECISION_BARS).map((bar) => bar.close);
+    const token = analyzeToken(asset, quote.price, closes, getAssignments(asset.symbol));
+    return { ...token, provider, chart: chartSeries(bars) };
+  } catch (err) {
+    return {
+      ...asset,
+      price: null,
+      decision: null,
+      chart: null,
+      missingData: true,
+      error: err.message,
+    };
+  }
+}
+
+// Held position with unrealized P&L, and the entry metadata the scheduler
+// keeps for it
+function positionView(position, meta, bracket) {
+  if (!position) return null;
+  return {
+    qty: position.qty,
+    avgEntryPrice: Number(position.avg_entry_price),
+    marketValue: Number(position.market_value),
+    unrealizedPl: Number(position.unrealized_pl),
+    unrealizedPlPercent: Number(position.unrealized_plpc),
+    entryTimestamp: meta?.entryTimestamp ?? null,
+    entryAgeMs: meta?.entryTimestamp ? Date.now() - meta.entryTimestamp : null,
+    bracket,
+  };
+}
+
+async function getTokenDetail(asset, { bars = DEFAULT_CHART_BARS } = {}) {
+  const [market, position, openOrders, recentOrders] = await Promise.all([
+    marketView(asset, bars),
+    getPosition(asset.symbol),
+    getOpenOrders(asset.symbol),
+    listOrders({ status: 'closed', symbols: asset.symbol, limit: RECENT_ORDERS }),
+  ]);
+  const store = getStore();
+  return {
+    ...market,
+    assignments: getAssignments(asset.symbol),
+    position: positionView(
+      position,
+      store.get('positionMeta', asset.symbol),
+      getBracket(asset.symbol)
+    ),
+    openOrders,
+    recentOrders: Array.isArray(recentOrders) ? recentOrders : [],
+    log: logger.queryLogs({ symbol: asset.symbol, limit: LOG_LIMIT }).entries,
+    history: store.getTradeHistory({ symbol: asset.symbol, limit: HISTORY_LIMIT }),
+  };
+}
+
+// Express routes
+// GET /tokens/BTCUSD?bars=100
+router.get('/tokens/:symbol', async (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  const bars = req.query.bars === undefined ? DEFAULT_CHART_BARS : Number(req.query.bars);
+  if (!Number.isInteger(bars) || bars < DECISION_BARS || bars > MAX_CHART_BARS) {
+    errors.push(`bars must be an integer between ${DECISION_BARS} and ${MAX_CHART_BARS}`);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  const asset = getAsset(req.params.symbol);
+  if (!asset) {
+    return res.status(404).json({ error: `${req.params.symbol} is not a known asset` });
+  }
+  try {
+    res.json(await getTokenDetail(asset, { bars }));
+  } catch (err) {
+    logger.error('token_detail_failed', { symbol: asset.symbol, error: err.message });
+    sendAlpacaError(res, err);
+  }
+});
+
+module.exports = { router, getTokenDetail, chartSeries };
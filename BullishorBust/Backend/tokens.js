@@ -0,0 +1,35 @@
+// tokens.js
+// Seed crypto pairs, used until the first asset sync with the broker (see
+// assets.js) and as the mock broker's asset list. The synced list is the
+// source of truth; this one is not kept current. Each pair carries the
+// CryptoCompare base symbol (cc) it is priced under, which the synced
+// asset of the same pair picks up.
+const ALPACA_TOKENS = [
+  { name: 'AAVE/USD', symbol: 'AAVEUSD', cc: 'AAVE' },
+  { name: 'AVAX/USD', symbol: 'AVAXUSD', cc: 'AVAX' },
+  { name: 'BAT/USD', symbol: 'BATUSD', cc: 'BAT' },
+  { name: 'BCH/USD', symbol: 'BCHUSD', cc: 'BCH' },
+  { name: 'BTC/USD', symbol: 'BTCUSD', cc: 'BTC' },
+  { name: 'CRV/USD', symbol: 'CRVUSD', cc: 'CRV' },
+  { name: 'DOGE/USD', symbol: 'DOGEUSD', cc: 'DOGE' },
+  { name: 'DOT/USD', symbol: 'DOTUSD', cc: 'DOT' },
+  { name: 'ETH/USD', symbol: 'ETHUSD', cc: 'ETH' },
+  { name: 'GRT/USD', symbol: 'GRTUSD', cc: 'GRT' },
+  { name: 'LINK/USD', symbol: 'LINKUSD', cc: 'LINK' },
+  { name: 'LTC/USD', symbol: 'LTCUSD', cc: 'LTC' },
+  { name: 'MKR/USD', symbol: 'MKRUSD', cc: 'MKR' },
+  { name: 'PEPE/USD', symbol: 'PEPEUSD', cc: 'PEPE' },
+  { name: 'SHIB/USD', symbol: 'SHIBUSD', cc: 'SHIB' },
+  { name: 'SOL/USD', symbol: 'SOLUSD', cc: 'SOL' },
+  { name: 'SUSHI/USD', symbol: 'SUSHIUSD', cc: 'SUSHI' },
+  { name: 'TRUMP/USD', symbol: 'TRUMPUSD', cc: 'TRUMP' },
+  { name: 'UNI/USD', symbol: 'UNIUSD', cc: 'UNI' },
+  { name: 'USDC/USD', symbol: 'USDCUSD', cc: 'USDC' },
+  { name: 'USDG/USD', symbol: 'USDGUSD', cc: 'USDG' },
+  { name: 'USDT/USD', symbol: 'USDTUSD', cc: 'USDT' },
+  { name: 'XRP/USD', symbol: 'XRPUSD', cc: 'XRP' },
+  { name: 'XTZ/USD', symbol: 'XTZUSD', cc: 'XTZ' },
+  { name: 'YFI/USD', symbol: 'YFIUSD', cc: 'YFI' },
+];
+
+module.exports = { ALPACA_TOKENS };
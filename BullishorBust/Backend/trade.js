@@ -1,157 +1,430 @@
 // Load environment variables from the Backend/.env file
 require('dotenv').config({ path: __dirname + '/.env' });
-const axios = require('axios');
 const express = require('express');
+const { validateOrder, validateSymbol, validateIdempotencyKey } = require('./validate');
+const { checkBuy, orderNotional, riskRejection } = require('./riskManager');
+const { getConfig } = require('./config');
+const { publish } = require('./events');
+const logger = require('./logger');
+const { waitForFill, onTradeUpdate } = require('./tradeUpdates');
+const { getQuote } = require('./marketData');
+const {
+  prepareOrder,
+  preparePatch,
+  roundQty,
+  roundPrice,
+  OrderRejectedError,
+} = require('./orderRules');
+const {
+  IdempotencyConflictError,
+  clientOrderId,
+  newKey,
+  getKey,
+  sameOrder,
+  beginKey,
+  completeKey,
+  releaseKey,
+  orderIdForKey,
+  requestKey,
+  workflowKey,
+} = require('./idempotency');
+const { getBrokerClient, BrokerUnavailableError } = require('./brokerClient');
 const router = express.Router();
 
-const {
-  ALPACA_API_KEY: API_KEY,
-  ALPACA_SECRET_KEY: SECRET_KEY,
-  ALPACA_BASE_URL: BASE_URL,
-  ALPACA_DATA_URL: DATA_URL,
-} = process.env;
-
-// Standard headers required by Alpaca. Keeping them in a single constant
-// ensures every request sends the proper authentication and content type.
-const HEADERS = {
-  'APCA-API-KEY-ID': API_KEY,
-  'APCA-API-SECRET-KEY': SECRET_KEY,
-  'Content-Type': 'application/json',
-};
+// Every Alpaca call goes through the shared client, which handles
+// timeouts, retries, rate limits and the circuit breaker, and logs failures
+const broker = getBrokerClient();
+
+// Sell markup offsetting the taker fee (FEE_BUFFER) plus the desired profit
+// (TARGET_PROFIT), both read from the live config
+function totalMarkup() {
+  const { FEE_BUFFER, TARGET_PROFIT } = getConfig();
+  return FEE_BUFFER + TARGET_PROFIT;
+}
+
+// Last status and filled qty seen per order id, so polling the same order
+// only publishes an 'order' event when something changed
+const MAX_TRACKED_ORDERS = 1000;
+const orderStates = new Map();
 
+// Publish an order on the live stream if it is new or its status or filled
+// qty changed. Returns the order so it can wrap any Alpaca response.
+function trackOrder(order) {
+  if (!order?.id) return order;
+  const state = `${order.status}:${order.filled_qty}`;
+  const previous = orderStates.get(order.id);
+  if (previous === state) return order;
+  orderStates.delete(order.id);
+  orderStates.set(order.id, state);
+  if (orderStates.size > MAX_TRACKED_ORDERS) {
+    orderStates.delete(orderStates.keys().next().value);
+  }
+  publish('order', { ...order, previous_status: previous ? previous.split(':')[0] : null });
+  return order;
+}
 
-const MIN_ORDER_NOTIONAL = 1; // Alpaca minimum order amount
+// Last qty seen per symbol; a 'position' event is published when it changes.
+// A closed position is published with qty '0'.
+const positionQtys = new Map();
 
-// Offsets taker fees when calculating profit target
-const FEE_BUFFER = 0.0025; // 0.25% taker fee
-const TARGET_PROFIT = 0.0005; // 0.05% desired profit
-const TOTAL_MARKUP = FEE_BUFFER + TARGET_PROFIT;
+function trackPosition(symbol, position) {
+  const qty = position ? String(position.qty) : '0';
+  const previous = positionQtys.get(symbol);
+  if (previous === qty || (previous === undefined && !position)) return position;
+  positionQtys.set(symbol, qty);
+  publish('position', { ...(position || { symbol, qty }), previous_qty: previous ?? '0' });
+  return position;
+}
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Track a full position list: symbols missing from it have been closed
+function trackPositions(positions) {
+  const held = new Set(positions.map((p) => p.symbol));
+  [...positionQtys.keys()].filter((s) => !held.has(s)).forEach((s) => trackPosition(s, null));
+  positions.forEach((p) => trackPosition(p.symbol, p));
+  return positions;
 }
 
-// Places a limit buy order first, then a limit sell after the buy is filled.
-async function placeLimitBuyThenSell(symbol, qty, limitPrice) {
-  console.log('Attempting to place buy for', symbol);
-  let buyOrder;
+// Order changes pushed by the broker reach the app as they happen
+onTradeUpdate((update) => trackOrder(update.order));
+
+// Wait on the trade_updates stream until a buy fills. A buy canceled,
+// rejected or given up on (tradeUpdates' fill timeout) after a partial fill
+// resolves with what did fill so that part can still be sold; with nothing
+// filled the error is rethrown.
+async function awaitBuyFill(buyOrder) {
   try {
-    const buyRes = await axios.post(
-      `${BASE_URL}/v2/orders`,
-      {
-        symbol,
-        qty,
-        side: 'buy',
-        type: 'limit',
-        time_in_force: 'gtc', // crypto orders must be GTC
-        limit_price: parseFloat(limitPrice),
+    return await waitForFill(buyOrder, {
+      onPartial: ({ order }) => {
+        logger.info('buy_partial_fill', {
+          symbol: order.symbol,
+          orderId: order.id,
+          filledQty: order.filled_qty,
+          qty: order.qty,
+        });
       },
-      { headers: HEADERS }
-    );
-    console.log('Buy order response:', buyRes.data);
-    buyOrder = buyRes.data;
+    });
   } catch (err) {
-    console.error('Buy order failed:', err?.response?.data || err.message);
-    throw err;
-  }
-
-
-  // poll until the order is filled
-  let filledOrder = buyOrder;
-  for (let i = 0; i < 20; i++) {
-    try {
-      const check = await axios.get(`${BASE_URL}/v2/orders/${buyOrder.id}`, {
-        headers: HEADERS,
+    if (parseFloat(err.order?.filled_qty) > 0) {
+      logger.warn('buy_partially_filled', {
+        symbol: err.order.symbol,
+        orderId: err.order.id,
+        status: err.order.status,
+        filledQty: err.order.filled_qty,
       });
-      filledOrder = check.data;
-      if (filledOrder.status === 'filled') break;
-    } catch (err) {
-      console.error('Order status check failed:', err?.response?.data || err.message);
-      throw err;
+      return err.order;
     }
-    await sleep(3000);
+    logger.error('buy_not_filled', {
+      symbol: buyOrder.symbol,
+      orderId: buyOrder.id,
+      error: err.message,
+    });
+    throw err;
   }
+}
 
-  if (filledOrder.status !== 'filled') {
-    throw new Error('Buy order not filled in time');
-  }
+// Places a limit buy order first, then a limit sell after the buy is filled.
+// A caller that may retry passes the same `idempotencyKey` each time.
+async function placeLimitBuyThenSell(symbol, qty, limitPrice, { idempotencyKey } = {}) {
+  logger.info('buy_attempt', { symbol });
+  const buyOrder = await submitOrder(
+    {
+      symbol,
+      qty,
+      side: 'buy',
+      type: 'limit',
+      time_in_force: 'gtc', // crypto orders must be GTC
+      limit_price: limitPrice,
+    },
+    { idempotencyKey }
+  );
+  logger.info('buy_submitted', { symbol, orderId: buyOrder.id, status: buyOrder.status });
+
+  // Sell as soon as the broker reports the fill
+  const filledOrder = await awaitBuyFill(buyOrder);
 
   const avgPrice = parseFloat(filledOrder.filled_avg_price);
   // Mark up sell price to cover taker fees and capture desired profit
-  const sellPrice = roundPrice(avgPrice * (1 + TOTAL_MARKUP));
+  const sellPrice = roundPrice(symbol, avgPrice * (1 + totalMarkup()), 'up');
 
-  let sellRes;
+  // Keyed by the buy so the sell for one fill is only ever placed once
+  const sell = await submitOrder(
+    {
+      symbol,
+      qty: filledOrder.filled_qty,
+      side: 'sell',
+      type: 'limit',
+      time_in_force: 'gtc', // match the buy order's time in force
+      limit_price: sellPrice,
+    },
+    { idempotencyKey: `sell:${filledOrder.id}` }
+  );
+  return { buy: filledOrder, sell };
+}
+
+// Latest price for a symbol from the market data service, the same source
+// the scheduler trades on
+async function getLatestPrice(symbol) {
   try {
-    sellRes = await axios.post(
-      `${BASE_URL}/v2/orders`,
-      {
-        symbol,
-        qty: parseFloat(filledOrder.filled_qty),
-        side: 'sell',
-        type: 'limit',
-        time_in_force: 'gtc', // match the buy order's time in force
-        limit_price: parseFloat(sellPrice),
-      },
-      { headers: HEADERS }
-    );
+    return (await getQuote(symbol)).price;
   } catch (err) {
-    console.error('Sell order failed:', err?.response?.data || err.message);
+    logger.error('price_fetch_failed', { symbol, error: err?.response?.data || err.message });
     throw err;
   }
+}
 
-  return { buy: filledOrder, sell: sellRes.data };
+// Get portfolio value and buying power from the Alpaca account
+async function getAccountInfo() {
+  const account = await getAccount();
+  const portfolioValue = parseFloat(account.portfolio_value);
+  const buyingPower = parseFloat(account.buying_power);
+  const cash = parseFloat(account.cash);
+  return {
+    portfolioValue: isNaN(portfolioValue) ? 0 : portfolioValue,
+    buyingPower: isNaN(buyingPower) ? 0 : buyingPower,
+    cash: isNaN(cash) ? 0 : cash,
+  };
 }
 
-// Fetch latest trade price for a symbol
-async function getLatestPrice(symbol) {
+// Fetch the raw Alpaca account object (equity, last_equity, buying power...)
+function getAccount() {
+  return broker.get('/v2/account', { op: 'getAccount' });
+}
+
+// Equity over time: { timestamp: [epoch s], equity: [], profit_loss: [],
+// base_value, timeframe }. Takes Alpaca's period/timeframe/start params.
+function getPortfolioHistory(params = {}) {
+  return broker.get('/v2/account/portfolio/history', { op: 'getPortfolioHistory', params });
+}
+
+// Account activities of the given types (FILL, CFEE...), oldest first.
+// Alpaca pages by activity id, so pages are followed until one comes back
+// short. `after` and `until` are ISO timestamps.
+async function listActivities(types, { after, until, pageSize = 100 } = {}) {
+  const activities = [];
+  const seen = new Set();
+  let pageToken;
+  for (;;) {
+    const data = await broker.get('/v2/account/activities', {
+      op: 'listActivities',
+      params: {
+        activity_types: types.join(','),
+        direction: 'asc',
+        page_size: pageSize,
+        page_token: pageToken,
+        after,
+        until,
+      },
+    });
+    const page = (Array.isArray(data) ? data : []).filter((a) => !seen.has(a.id));
+    page.forEach((a) => seen.add(a.id));
+    activities.push(...page);
+    if (page.length < pageSize) break;
+    pageToken = page[page.length - 1].id;
+  }
+  return activities;
+}
+
+// Tradable assets using Alpaca's query parameters (asset_class, status).
+// Crypto pairs carry their order increments: min_order_size,
+// min_trade_increment and price_increment.
+async function listAssets(params = {}) {
+  const data = await broker.get('/v2/assets', { op: 'listAssets', params });
+  return Array.isArray(data) ? data : [];
+}
+
+// Fetch the open position for a symbol. Alpaca answers 404 when nothing is
+// held, which is reported as null rather than an error.
+async function getPosition(symbol) {
   try {
-    const res = await axios.get(
-      `${DATA_URL}/crypto/latest/trades?symbols=${symbol}`,
-      { headers: HEADERS }
-    );
-    const trade = res.data.trades && res.data.trades[symbol];
-    if (!trade) throw new Error(`Price not available for ${symbol}`);
-    return parseFloat(trade.p);
+    const data = await broker.get(`/v2/positions/${symbol}`, {
+      op: 'getPosition',
+      expectedStatuses: [404],
+    });
+    return trackPosition(symbol, data);
   } catch (err) {
-    console.error('Price fetch failed:', err?.response?.data || err.message);
+    if (err?.response?.status === 404) return trackPosition(symbol, null);
     throw err;
   }
 }
 
-// Get portfolio value and buying power from the Alpaca account
-async function getAccountInfo() {
+// List all open positions
+async function listPositions() {
+  const data = await broker.get('/v2/positions', { op: 'listPositions' });
+  return Array.isArray(data) ? trackPositions(data) : data;
+}
+
+// Liquidate a position at market. `params` may carry qty or percentage.
+// Never retried: each repeat would sell again.
+async function closePosition(symbol, params = {}) {
+  const data = await broker.delete(`/v2/positions/${symbol}`, {
+    op: 'closePosition',
+    params,
+    idempotent: false,
+  });
+  return trackOrder(data);
+}
+
+// List orders using Alpaca's query parameters (status, symbols, limit...)
+async function listOrders(params = {}) {
+  const data = await broker.get('/v2/orders', { op: 'listOrders', params });
+  if (Array.isArray(data)) data.forEach(trackOrder);
+  return data;
+}
+
+// List open orders for a symbol
+async function getOpenOrders(symbol) {
+  const orders = await listOrders({ status: 'open', symbols: symbol });
+  return Array.isArray(orders) ? orders : [];
+}
+
+// Fetch a single order by id
+async function getOrder(orderId) {
+  return trackOrder(await broker.get(`/v2/orders/${orderId}`, { op: 'getOrder' }));
+}
+
+// Look an order up by its client_order_id. Resolves null when the broker
+// has no such order.
+async function getOrderByClientId(id) {
   try {
-    const res = await axios.get(`${BASE_URL}/v2/account`, {
-      headers: HEADERS,
+    const data = await broker.get('/v2/orders:by_client_order_id', {
+      op: 'getOrderByClientId',
+      params: { client_order_id: id },
+      expectedStatuses: [404],
+    });
+    return trackOrder(data);
+  } catch (err) {
+    if (err?.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+// Whether the broker refused a client_order_id it has already seen
+function isDuplicateClientId(err) {
+  return (
+    err?.response?.status === 422 && /client_order_id/.test(err.response.data?.message || '')
+  );
+}
+
+// Submit an order once it passes the pre-trade checks (orderRules.js),
+// with qty and prices rounded to the asset's increments. A rejected order
+// throws OrderRejectedError without reaching the broker.
+//
+// The order goes out under `idempotencyKey` (see idempotency.js): a key
+// that already placed this order returns it instead of placing another, and
+// an attempt after one whose outcome is unknown looks the order up first.
+// A client_order_id in the order is kept as is.
+async function submitOrder(order, { idempotencyKey } = {}) {
+  const checked = prepareOrder(order);
+  if (checked.errors.length) {
+    logger.warn('order_rejected_before_submit', {
+      symbol: order.symbol,
+      errors: checked.errors,
     });
-    const portfolioValue = parseFloat(res.data.portfolio_value);
-    const buyingPower = parseFloat(res.data.buying_power);
-    const cash = parseFloat(res.data.cash);
-    return {
-      portfolioValue: isNaN(portfolioValue) ? 0 : portfolioValue,
-      buyingPower: isNaN(buyingPower) ? 0 : buyingPower,
-      cash: isNaN(cash) ? 0 : cash,
-    };
+    throw new OrderRejectedError(checked.errors);
+  }
+  const key = idempotencyKey || newKey(checked.order);
+  const previous = getKey(key);
+  if (previous && !sameOrder(previous, checked.order)) {
+    // A key whose order never reached the broker may be reused
+    const placed = previous.orderId || (await getOrderByClientId(previous.clientOrderId));
+    if (placed) throw new IdempotencyConflictError(key);
+  } else if (previous?.orderId) {
+    logger.info('order_replayed', { symbol: order.symbol, key, orderId: previous.orderId });
+    return getOrder(previous.orderId);
+  } else if (previous) {
+    const placed = await getOrderByClientId(previous.clientOrderId);
+    if (placed) {
+      logger.info('order_recovered', { symbol: order.symbol, key, orderId: placed.id });
+      completeKey(key, placed.id);
+      return placed;
+    }
+  }
+  const { clientOrderId: id } = beginKey(
+    key,
+    checked.order,
+    checked.order.client_order_id || clientOrderId(key)
+  );
+  try {
+    // A repeat of this POST is refused as a duplicate client_order_id and
+    // reconciled below, so the client may retry it unless the id is a client's
+    const data = await broker.post(
+      '/v2/orders',
+      { ...checked.order, client_order_id: id },
+      { op: 'submitOrder', idempotent: !checked.order.client_order_id }
+    );
+    completeKey(key, data.id);
+    return trackOrder(data);
   } catch (err) {
-    console.error('Account info fetch failed:', err?.response?.data || err.message);
+    // Only an id derived from the key can be taken for this order's own
+    if (isDuplicateClientId(err) && !checked.order.client_order_id) {
+      const placed = await getOrderByClientId(id);
+      if (placed) {
+        completeKey(key, placed.id);
+        return placed;
+      }
+    }
+    // A 4xx means the broker refused the order; otherwise it may have been
+    // placed and the key stays pending for the next attempt to look up
+    const status = err?.response?.status;
+    if (status >= 400 && status < 500) releaseKey(key);
     throw err;
   }
 }
 
-// Round quantities to Alpaca's supported crypto precision
-function roundQty(qty) {
-  const factor = 1e6;
-  return Math.floor(qty * factor) / factor;
+// Replace an open order's qty, prices or time in force. Alpaca cancels the
+// original and returns the replacement order with a new id. The new values
+// are checked and rounded for the original order's asset and side.
+async function replaceOrder(orderId, patch) {
+  const original = await getOrder(orderId);
+  const checked = preparePatch(original.symbol, original.side, patch);
+  if (checked.errors.length) throw new OrderRejectedError(checked.errors);
+  const data = await broker.patch(`/v2/orders/${orderId}`, checked.patch, {
+    op: 'replaceOrder',
+  });
+  return trackOrder(data);
 }
 
-// Round prices to six decimals
-function roundPrice(price) {
-  return parseFloat(Number(price).toFixed(6));
+// Cancel an open order by id
+async function cancelOrder(orderId) {
+  await broker.delete(`/v2/orders/${orderId}`, { op: 'cancelOrder' });
+  // Alpaca answers 204; the final 'canceled' status shows up on later reads
+  trackOrder({ id: orderId, status: 'pending_cancel' });
+}
+
+// Relay an Alpaca failure to the client with Alpaca's own status code and
+// error body. Network errors without a response become a 502 and calls
+// refused by the open circuit breaker a 503; orders that failed the
+// pre-trade checks a 400 with their field-level details and a reused
+// idempotency key a 409.
+function sendAlpacaError(res, err) {
+  if (err instanceof OrderRejectedError) {
+    return res.status(400).json({ error: 'Invalid order', details: err.details });
+  }
+  if (err instanceof IdempotencyConflictError) {
+    return res.status(409).json({ error: err.message });
+  }
+  if (err instanceof BrokerUnavailableError) {
+    return res.status(503).json({ error: err.message, retryAt: err.retryAt });
+  }
+  const status = err?.response?.status || (err?.request ? 502 : 500);
+  res.status(status).json(err?.response?.data || { error: err.message });
 }
 
 // Market buy using 10% of portfolio value then place a limit sell with markup
-// covering taker fees and profit target
-async function placeMarketBuyThenSell(symbol) {
+// covering taker fees and profit target. A retry under the same
+// `idempotencyKey` picks up the buy the first attempt placed and only places
+// the sell if that attempt did not.
+async function placeMarketBuyThenSell(symbol, options = {}) {
+  const result = await submitMarketBuy(symbol, options);
+  return result.buyOrder ? sellAfterFill(symbol, result.buyOrder) : result;
+}
+
+// The buy half of placeMarketBuyThenSell: { buyOrder } once it is placed (or
+// found under `idempotencyKey`), else why it was skipped
+async function submitMarketBuy(symbol, { idempotencyKey } = {}) {
+  const placed = idempotencyKey && orderIdForKey(idempotencyKey);
+  if (placed) return { buyOrder: await getOrder(placed) };
+
   const [price, account] = await Promise.all([
     getLatestPrice(symbol),
     getAccountInfo(),
@@ -161,129 +434,113 @@ async function placeMarketBuyThenSell(symbol) {
   const calculatedAllocation = portfolioValue * 0.1;
   const notional = Math.min(calculatedAllocation, account.cash);
 
-  if (notional < MIN_ORDER_NOTIONAL) {
-    console.log(`allocation_skipped_due_to_min_notional ${symbol}`);
+  if (notional < getConfig().MIN_ORDER_NOTIONAL) {
+    logger.info('allocation_skipped_due_to_min_notional', { symbol, notional });
     return { skipped: true };
   }
 
-  const qty = roundQty(notional / price);
+  const qty = roundQty(symbol, notional / price);
   if (qty <= 0) {
-    console.log(`allocation_skipped_due_to_min_notional ${symbol}`);
+    logger.info('allocation_skipped_due_to_min_notional', { symbol, notional });
     return { skipped: true };
   }
 
-  console.log('Attempting to place buy for', symbol);
-  console.log(`trade_executed ${symbol} for $${notional}`);
-
-  let buyOrder;
-  try {
-    const buyRes = await axios.post(
-      `${BASE_URL}/v2/orders`,
-      {
-        symbol,
-        qty,
-        side: 'buy',
-        type: 'market',
-        time_in_force: 'gtc',
-      },
-      { headers: HEADERS }
-    );
-    console.log('Buy order response:', buyRes.data);
-    buyOrder = buyRes.data;
-  } catch (err) {
-    console.error('Buy order failed:', err?.response?.data || err.message);
-    await sleep(2000);
-    try {
-      const buyRes = await axios.post(
-        `${BASE_URL}/v2/orders`,
-        {
-          symbol,
-          qty,
-          side: 'buy',
-          type: 'market',
-          time_in_force: 'gtc',
-        },
-        { headers: HEADERS }
-      );
-      console.log('Buy order retry response:', buyRes.data);
-      buyOrder = buyRes.data;
-    } catch (retryErr) {
-      console.error('Buy order retry failed:', retryErr?.response?.data || retryErr.message);
-      throw retryErr;
-    }
+  const risk = await checkBuy(symbol, qty * price, 'trade');
+  if (!risk.allowed) {
+    return { skipped: true, reason: 'rejected by risk manager', reasons: risk.reasons };
   }
 
-  // Wait for fill
-  let filled = buyOrder;
-  for (let i = 0; i < 20; i++) {
-    try {
-      const chk = await axios.get(`${BASE_URL}/v2/orders/${buyOrder.id}`, {
-        headers: HEADERS,
-      });
-      filled = chk.data;
-      if (filled.status === 'filled') break;
-    } catch (err) {
-      console.error('Order status check failed:', err?.response?.data || err.message);
-      throw err;
-    }
-    await sleep(3000);
-  }
+  logger.info('trade_executed', { symbol, notional, qty });
 
-  if (filled.status !== 'filled') {
-    throw new Error('Buy order not filled in time');
-  }
+  // The broker client retries a failed submit; the idempotency key makes
+  // sure a retry after an order reached the broker finds it, not buys twice
+  const buy = { symbol, qty, side: 'buy', type: 'market', time_in_force: 'gtc' };
+  const buyOrder = await submitOrder(buy, { idempotencyKey: idempotencyKey || newKey(buy) });
+  logger.info('buy_submitted', { symbol, orderId: buyOrder.id, status: buyOrder.status });
+  return { buyOrder };
+}
 
-  // Wait 10 seconds before selling
-  await sleep(10000);
+// The marked-up limit sell for a market buy, placed once the buy fills
+async function sellAfterFill(symbol, buyOrder) {
+  const filled = await awaitBuyFill(buyOrder);
 
   // Mark up sell price to cover taker fees and preserve desired profit margin
   const limitPrice = roundPrice(
-    parseFloat(filled.filled_avg_price) * (1 + TOTAL_MARKUP)
+    symbol,
+    parseFloat(filled.filled_avg_price) * (1 + totalMarkup()),
+    'up'
   );
 
   try {
-    const sellRes = await axios.post(
-      `${BASE_URL}/v2/orders`,
+    const sell = await submitOrder(
       {
         symbol,
-        qty: parseFloat(filled.filled_qty),
+        qty: filled.filled_qty,
         side: 'sell',
         type: 'limit',
         time_in_force: 'gtc',
-        limit_price: parseFloat(limitPrice),
+        limit_price: limitPrice,
       },
-      { headers: HEADERS }
+      { idempotencyKey: `sell:${filled.id}` }
     );
-    return { buy: filled, sell: sellRes.data };
+    return { buy: filled, sell };
   } catch (err) {
-    console.error('Sell order failed:', err?.response?.data || err.message);
+    logger.error('sell_order_failed', { symbol, error: err?.response?.data || err.message });
     return { buy: filled, sell: null, sellError: err.message };
   }
 }
 
 // Express routes
+// Answers 202 with the buy once it is placed; the sell follows in the
+// background when it fills. A repeated request with the same
+// Idempotency-Key header picks up the buy the first one placed instead of
+// buying again.
 router.post('/trade', async (req, res) => {
-  const { symbol } = req.body;
+  const { symbol } = req.body || {};
+  const errors = validateSymbol(symbol);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid symbol', details: errors });
+  }
+  const keyErrors = validateIdempotencyKey(req.get('Idempotency-Key'));
+  if (keyErrors.length) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key', details: keyErrors });
+  }
   try {
-    const result = await placeMarketBuyThenSell(symbol);
-    res.json(result);
+    const idempotencyKey = workflowKey('trade', req);
+    const result = await submitMarketBuy(symbol, { idempotencyKey });
+    if (result.reasons) return res.status(403).json(riskRejection(result));
+    if (!result.buyOrder) return res.json(result);
+    // awaitBuyFill and sellAfterFill log their own failures
+    sellAfterFill(symbol, result.buyOrder).catch(() => {});
+    res.status(202).json({ buy: result.buyOrder, orderId: result.buyOrder.id });
   } catch (err) {
-    console.error('Trade error:', err?.response?.data || err.message);
-    res.status(500).json({ error: err.message });
+    logger.error('trade_failed', { symbol, error: err?.response?.data || err.message });
+    sendAlpacaError(res, err);
   }
 });
 
+// A repeated request with the same Idempotency-Key header answers with the
+// order the first one placed instead of buying again
 router.post('/buy', async (req, res) => {
-  const { symbol, qty, side, type, time_in_force, limit_price } = req.body;
-  const order = { symbol, qty, side, type, time_in_force, limit_price };
+  const { errors, order } = validateOrder({ ...req.body, side: 'buy' });
+  errors.push(...validateIdempotencyKey(req.get('Idempotency-Key')));
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid order', details: errors });
+  }
+  const idempotencyKey = requestKey(req);
   try {
-    const response = await axios.post(`${BASE_URL}/v2/orders`, order, {
-      headers: HEADERS,
-    });
-    res.json(response.data);
+    // The order a repeat finds is already counted by the risk manager
+    if (!orderIdForKey(idempotencyKey)) {
+      const risk = await checkBuy(order.symbol, await orderNotional(order), 'buy');
+      if (!risk.allowed) return res.status(403).json(riskRejection(risk));
+    }
+    res.json(await submitOrder(order, { idempotencyKey }));
   } catch (error) {
-    console.error('Buy error:', error?.response?.data || error.message);
-    res.status(500).json({ error: error.message });
+    logger.error('buy_route_failed', {
+      symbol: order.symbol,
+      error: error?.response?.data || error.message,
+    });
+    sendAlpacaError(res, error);
   }
 });
 
@@ -292,4 +549,19 @@ module.exports = {
   placeLimitBuyThenSell,
   placeMarketBuyThenSell,
   getAccountInfo,
+  getAccount,
+  getPortfolioHistory,
+  listActivities,
+  listAssets,
+  getLatestPrice,
+  getPosition,
+  listPositions,
+  closePosition,
+  listOrders,
+  getOpenOrders,
+  getOrder,
+  submitOrder,
+  replaceOrder,
+  cancelOrder,
+  sendAlpacaError,
 };
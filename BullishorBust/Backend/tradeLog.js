@@ -0,0 +1,23 @@
+// tradeLog.js
+// Backend counterpart of the app's logTradeAction: the short way to record
+// a trade event in the structured log (logger.js). The level follows from
+// the event type: failures are errors, refusals and forced exits warnings,
+// everything else info.
+const logger = require('./logger');
+
+function levelFor(type) {
+  if (/_(failed|error)$/.test(type)) return 'error';
+  if (/(rejected|lost|triggered|engaged|forced_exit|circuit_open)/.test(type)) return 'warn';
+  return 'info';
+}
+
+function logTradeAction(type, symbol, details = {}) {
+  return logger.log(levelFor(type), type, { ...details, symbol });
+}
+
+// Newest entries first
+function getRecentTradeLogs(limit = 50) {
+  return logger.queryLogs({ limit }).entries;
+}
+
+module.exports = { logTradeAction, getRecentTradeLogs };
@@ -0,0 +1,88 @@
+// tradeState.js
+// Routes over the durable trade state in store.js: inspect what the
+// scheduler remembers, correct entry metadata or cooldowns by hand and read
+// the trade history.
+const express = require('express');
+const { COLLECTIONS, getStore } = require('./store');
+const { validateSymbol } = require('./validate');
+const router = express.Router();
+
+// Token hashes are managed by auth.js and never leave it; config versions
+// have their own history and rollback routes in config.js
+const STATE_COLLECTIONS = COLLECTIONS.filter((name) => !['apiTokens', 'config'].includes(name));
+
+function isTimestamp(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+router.get('/state', (req, res) => {
+  const store = getStore();
+  const result = {};
+  STATE_COLLECTIONS.forEach((name) => {
+    result[name] = store.all(name);
+  });
+  res.json(result);
+});
+
+// GET /state/history?symbol=BTCUSD&limit=100 (newest first)
+router.get('/state/history', (req, res) => {
+  const errors = [];
+  const { symbol } = req.query;
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (symbol !== undefined) errors.push(...validateSymbol(symbol));
+  if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+    errors.push('limit must be an integer between 1 and 5000');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+  res.json(getStore().getTradeHistory({ symbol, limit }));
+});
+
+// Set the entry metadata used by the stale-position exit
+router.put('/state/positionMeta/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  const { entryTimestamp, entryPrice } = req.body || {};
+  if (!isTimestamp(entryTimestamp)) {
+    errors.push('entryTimestamp must be a unix time in milliseconds');
+  }
+  if (!(typeof entryPrice === 'number' && entryPrice > 0)) {
+    errors.push('entryPrice must be a positive number');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid position metadata', details: errors });
+  }
+  res.json(getStore().set('positionMeta', req.params.symbol, { entryTimestamp, entryPrice }));
+});
+
+// Set the last trade time that starts a symbol's cooldown
+router.put('/state/lastTradeTime/:symbol', (req, res) => {
+  const errors = validateSymbol(req.params.symbol);
+  const { timestamp } = req.body || {};
+  if (!isTimestamp(timestamp)) {
+    errors.push('timestamp must be a unix time in milliseconds');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid trade time', details: errors });
+  }
+  getStore().set('lastTradeTime', req.params.symbol, timestamp);
+  res.json({ symbol: req.params.symbol, timestamp });
+});
+
+// Forget one symbol's entry in any collection, e.g. to clear a cooldown
+router.delete('/state/:collection/:symbol', (req, res) => {
+  const { collection, symbol } = req.params;
+  const errors = validateSymbol(symbol);
+  if (!STATE_COLLECTIONS.includes(collection)) {
+    errors.push(`collection must be one of ${STATE_COLLECTIONS.join(', ')}`);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid state key', details: errors });
+  }
+  if (!getStore().remove(collection, symbol)) {
+    return res.status(404).json({ error: `No ${collection} entry for ${symbol}` });
+  }
+  res.status(204).end();
+});
+
+module.exports = { router };
@@ -0,0 +1,249 @@
+// tradeUpdates.js
+// Client for Alpaca's trade_updates stream, the WebSocket at
+// ALPACA_BASE_URL/stream that pushes every order event (new, fill,
+// partial_fill, canceled, rejected, replaced...). Order workflows wait on
+// it instead of polling GET /v2/orders/:id, so a sell goes out the moment
+// its buy fills. mockBroker.js serves the same stream for offline runs.
+//
+// The connection is opened when the server starts (or on first use) and
+// reopened with a growing delay when it drops or the broker refuses its
+// credentials. While it is down every watched order is read again over
+// HTTP every POLL_MS, and once more when it is back, so no final event is
+// missed. A wait for a fill gives up after FILL_TIMEOUT_MS.
+require('dotenv').config({ path: __dirname + '/.env' });
+const WebSocket = require('ws');
+const logger = require('./logger');
+
+const {
+  ALPACA_API_KEY: API_KEY,
+  ALPACA_SECRET_KEY: SECRET_KEY,
+  ALPACA_BASE_URL: BASE_URL,
+} = process.env;
+
+const STREAM_URL = `${(BASE_URL || '').replace(/^http/, 'ws')}/stream`;
+const MIN_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30000;
+// How often watched orders are read over HTTP while the stream is down
+const POLL_MS = 5000;
+// How long waitForFill waits before giving up on an order
+const FILL_TIMEOUT_MS = 10 * 60 * 1000;
+// Latest update per order, so a fill that arrives before anyone waits for
+// it (market orders fill before the submit response returns) is not lost
+const MAX_RECENT = 500;
+
+// Events that end an order's life
+const FINAL_EVENTS = ['fill', 'canceled', 'rejected', 'expired', 'replaced', 'done_for_day'];
+// Order statuses that end an order's life, for orders read over HTTP
+const FINAL_STATUSES = ['filled', 'canceled', 'rejected', 'expired', 'replaced', 'done_for_day'];
+
+const watchers = new Map(); // order id -> Set of handlers
+const listeners = [];
+const recent = new Map(); // order id -> latest update
+let ws = null;
+let connected = false;
+let stopped = true;
+let retryMs = MIN_RECONNECT_MS;
+let retryTimer = null;
+let pollTimer = null;
+
+function remember(update) {
+  const id = update.order.id;
+  recent.delete(id);
+  recent.set(id, update);
+  if (recent.size > MAX_RECENT) recent.delete(recent.keys().next().value);
+}
+
+function dispatch(update) {
+  if (!update?.order?.id) return;
+  remember(update);
+  listeners.forEach((listener) => {
+    try {
+      listener(update);
+    } catch (err) {
+      logger.error('trade_update_listener_failed', {
+        orderId: update.order.id,
+        error: err.message,
+      });
+    }
+  });
+  (watchers.get(update.order.id) || []).forEach((handler) => handler(update));
+}
+
+// Recover events missed while disconnected: a watched order that reached a
+// final status is dispatched as if its event had arrived
+async function resync() {
+  // Required here because trade.js waits on this module
+  const { getOrder } = require('./trade');
+  for (const id of [...watchers.keys()]) {
+    try {
+      const order = await getOrder(id);
+      const last = recent.get(id)?.order;
+      if (FINAL_STATUSES.includes(order.status) && last?.status !== order.status) {
+        dispatch({ event: eventForStatus(order.status), order, resynced: true });
+      }
+    } catch (err) {
+      logger.error('trade_update_resync_failed', { orderId: id, error: err.message });
+    }
+  }
+}
+
+function eventForStatus(status) {
+  return status === 'filled' ? 'fill' : status;
+}
+
+// Read the watched orders over HTTP until the stream is back or nothing is
+// watched any more
+function schedulePoll() {
+  if (stopped || pollTimer) return;
+  pollTimer = setTimeout(async () => {
+    if (!connected && watchers.size > 0) await resync();
+    pollTimer = null;
+    if (!connected && watchers.size > 0) schedulePoll();
+  }, POLL_MS);
+  pollTimer.unref?.();
+}
+
+function scheduleReconnect() {
+  if (stopped || retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, retryMs);
+  retryTimer.unref?.();
+  retryMs = Math.min(retryMs * 2, MAX_RECONNECT_MS);
+}
+
+function connect() {
+  ws = new WebSocket(STREAM_URL);
+  ws.on('open', () => {
+    ws.send(JSON.stringify({ action: 'auth', key: API_KEY, secret: SECRET_KEY }));
+  });
+  ws.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    const { stream, data } = message;
+    if (stream === 'authorization') {
+      if (data?.status !== 'authorized') {
+        // Retried with the growing delay; orders are polled meanwhile
+        logger.error('trade_update_stream_unauthorized', { response: data });
+        ws.close();
+        return;
+      }
+      ws.send(JSON.stringify({ action: 'listen', data: { streams: ['trade_updates'] } }));
+    } else if (stream === 'listening') {
+      connected = true;
+      retryMs = MIN_RECONNECT_MS;
+      logger.info('trade_update_stream_connected');
+      resync();
+    } else if (stream === 'trade_updates') {
+      dispatch(data);
+    }
+  });
+  ws.on('close', () => {
+    connected = false;
+    ws = null;
+    scheduleReconnect();
+    if (watchers.size > 0) schedulePoll();
+  });
+  ws.on('error', (err) => {
+    logger.error('trade_update_stream_error', { error: err.message });
+  });
+}
+
+// Open the stream (once)
+function start() {
+  if (!stopped) return;
+  stopped = false;
+  connect();
+}
+
+function stop() {
+  stopped = true;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+  if (ws) ws.terminate();
+  ws = null;
+  connected = false;
+}
+
+function isConnected() {
+  return connected;
+}
+
+// Call `listener(update)` for every trade update
+function onTradeUpdate(listener) {
+  listeners.push(listener);
+}
+
+// Call `handler(update)` for every update of one order until the returned
+// function is called
+function watchOrder(orderId, handler) {
+  start();
+  if (!watchers.has(orderId)) watchers.set(orderId, new Set());
+  watchers.get(orderId).add(handler);
+  if (!connected && ws?.readyState !== WebSocket.CONNECTING) schedulePoll();
+  return () => {
+    const handlers = watchers.get(orderId);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) watchers.delete(orderId);
+  };
+}
+
+// Resolve with the filled order once `order` fills. Rejects when it is
+// canceled, rejected, expired or replaced instead, or is still open after
+// `timeoutMs` (err.timedOut); the error carries the latest order seen
+// (which may be partially filled) as err.order. onPartial is called with
+// every partial_fill update.
+function waitForFill(order, { onPartial, timeoutMs = FILL_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    let unwatch = () => {};
+    let timer = null;
+    const settle = (update) => {
+      if (update.event === 'partial_fill') {
+        onPartial?.(update);
+        return;
+      }
+      if (!FINAL_EVENTS.includes(update.event)) return;
+      unwatch();
+      clearTimeout(timer);
+      if (update.event === 'fill') {
+        resolve(update.order);
+        return;
+      }
+      const err = new Error(`Order ${update.order.id} ${update.order.status}`);
+      err.order = update.order;
+      reject(err);
+    };
+    if (FINAL_STATUSES.includes(order.status)) {
+      settle({ event: eventForStatus(order.status), order });
+      return;
+    }
+    unwatch = watchOrder(order.id, settle);
+    timer = setTimeout(() => {
+      unwatch();
+      const err = new Error(`Order ${order.id} not filled after ${timeoutMs}ms`);
+      err.order = recent.get(order.id)?.order || order;
+      err.timedOut = true;
+      reject(err);
+    }, timeoutMs);
+    timer.unref?.();
+    const seen = recent.get(order.id);
+    if (seen && FINAL_EVENTS.includes(seen.event)) settle(seen);
+  });
+}
+
+module.exports = {
+  start,
+  stop,
+  isConnected,
+  onTradeUpdate,
+  watchOrder,
+  waitForFill,
+};
@@ -0,0 +1,385 @@
+// validate.js
+// Input checks for the broker proxy routes. Each validator returns a list
+// of human readable problems; an empty list means the input is usable.
+
+const ORDER_SIDES = ['buy', 'sell'];
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'];
+const TIME_IN_FORCE = ['gtc', 'ioc', 'fok', 'day', 'opg', 'cls'];
+const ORDER_STATUSES = ['open', 'closed', 'all'];
+const DIRECTIONS = ['asc', 'desc'];
+const TRAILING_MODES = ['percent', 'atr', 'off'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const SYMBOL_RE = /^[A-Z0-9]{1,15}(\/[A-Z0-9]{1,15})?$/;
+const ORDER_ID_RE = /^[A-Za-z0-9-]{1,64}$/;
+const WATCHLIST_NAME_RE = /^[A-Za-z0-9 _-]{1,32}$/;
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+const CORRELATION_ID_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+const LOG_TYPE_RE = /^[a-z0-9_]{1,64}$/;
+const MAX_WATCHLIST_SYMBOLS = 200;
+const MAX_LOG_PAGE = 1000;
+const MAX_LOG_SEARCH = 100;
+
+function isPositiveNumber(value) {
+  if (value === '' || value === null || typeof value === 'boolean') return false;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0;
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function validateSymbol(symbol) {
+  if (typeof symbol !== 'string' || !SYMBOL_RE.test(symbol)) {
+    return [`symbol must look like BTCUSD or BTC/USD, got ${JSON.stringify(symbol)}`];
+  }
+  return [];
+}
+
+function validateOrderId(id) {
+  if (typeof id !== 'string' || !ORDER_ID_RE.test(id)) {
+    return ['order id must be alphanumeric with dashes'];
+  }
+  return [];
+}
+
+// Validate an order request body. Returns { errors, order } where `order`
+// holds only the fields Alpaca understands and each error names the field
+// it is about: { field, message }.
+function validateOrder(body) {
+  const errors = [];
+  const problem = (field, message) => errors.push({ field, message });
+  if (!body || typeof body !== 'object') {
+    return { errors: [{ field: 'body', message: 'must be a JSON object' }], order: null };
+  }
+  const {
+    symbol,
+    qty,
+    notional,
+    side,
+    type,
+    time_in_force,
+    limit_price,
+    stop_price,
+    trail_price,
+    trail_percent,
+    client_order_id,
+  } = body;
+
+  validateSymbol(symbol).forEach((message) => problem('symbol', message));
+  if (!ORDER_SIDES.includes(side)) {
+    problem('side', `must be one of ${ORDER_SIDES.join(', ')}`);
+  }
+  if (!ORDER_TYPES.includes(type)) {
+    problem('type', `must be one of ${ORDER_TYPES.join(', ')}`);
+  }
+  if (!TIME_IN_FORCE.includes(time_in_force)) {
+    problem('time_in_force', `must be one of ${TIME_IN_FORCE.join(', ')}`);
+  }
+
+  if (isPresent(qty) === isPresent(notional)) {
+    problem('qty', 'exactly one of qty or notional is required');
+  } else if (isPresent(qty) && !isPositiveNumber(qty)) {
+    problem('qty', 'must be a positive number');
+  } else if (isPresent(notional) && !isPositiveNumber(notional)) {
+    problem('notional', 'must be a positive number');
+  }
+
+  const needsLimit = type === 'limit' || type === 'stop_limit';
+  const needsStop = type === 'stop' || type === 'stop_limit';
+  if (needsLimit && !isPositiveNumber(limit_price)) {
+    problem('limit_price', `must be a positive number for ${type} orders`);
+  }
+  if (!needsLimit && isPresent(limit_price)) {
+    problem('limit_price', `is not allowed for ${type} orders`);
+  }
+  if (needsStop && !isPositiveNumber(stop_price)) {
+    problem('stop_price', `must be a positive number for ${type} orders`);
+  }
+  if (!needsStop && isPresent(stop_price)) {
+    problem('stop_price', `is not allowed for ${type} orders`);
+  }
+  if (type === 'trailing_stop') {
+    if (isPresent(trail_price) === isPresent(trail_percent)) {
+      problem('trail_price', 'exactly one of trail_price or trail_percent is required');
+    } else if (isPresent(trail_price) && !isPositiveNumber(trail_price)) {
+      problem('trail_price', 'must be a positive number');
+    } else if (isPresent(trail_percent) && !isPositiveNumber(trail_percent)) {
+      problem('trail_percent', 'must be a positive number');
+    }
+  }
+  if (
+    isPresent(client_order_id) &&
+    (typeof client_order_id !== 'string' || client_order_id.length > 128)
+  ) {
+    problem('client_order_id', 'must be a string of at most 128 characters');
+  }
+
+  if (errors.length) return { errors, order: null };
+
+  const order = { symbol, side, type, time_in_force };
+  if (isPresent(qty)) order.qty = String(qty);
+  if (isPresent(notional)) order.notional = String(notional);
+  if (needsLimit) order.limit_price = String(limit_price);
+  if (needsStop) order.stop_price = String(stop_price);
+  if (isPresent(trail_price)) order.trail_price = String(trail_price);
+  if (isPresent(trail_percent)) order.trail_percent = String(trail_percent);
+  if (isPresent(client_order_id)) order.client_order_id = client_order_id;
+  return { errors, order };
+}
+
+// Validate GET /orders query parameters. Returns { errors, params } with
+// only the parameters Alpaca's list endpoint accepts.
+function validateOrderQuery(query = {}) {
+  const errors = [];
+  const params = {};
+  const { status, symbols, limit, after, until, direction, nested } = query;
+
+  if (isPresent(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${ORDER_STATUSES.join(', ')}`);
+    } else {
+      params.status = status;
+    }
+  }
+  if (isPresent(symbols)) {
+    const list = String(symbols).split(',').filter(Boolean);
+    list.forEach((s) => errors.push(...validateSymbol(s)));
+    params.symbols = list.join(',');
+  }
+  if (isPresent(limit)) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1 || n > 500) {
+      errors.push('limit must be an integer between 1 and 500');
+    } else {
+      params.limit = n;
+    }
+  }
+  for (const [key, value] of Object.entries({ after, until })) {
+    if (!isPresent(value)) continue;
+    if (Number.isNaN(Date.parse(value))) {
+      errors.push(`${key} must be an ISO-8601 timestamp`);
+    } else {
+      params[key] = value;
+    }
+  }
+  if (isPresent(direction)) {
+    if (!DIRECTIONS.includes(direction)) {
+      errors.push(`direction must be one of ${DIRECTIONS.join(', ')}`);
+    } else {
+      params.direction = direction;
+    }
+  }
+  if (isPresent(nested)) {
+    if (nested !== 'true' && nested !== 'false') {
+      errors.push('nested must be true or false');
+    } else {
+      params.nested = nested === 'true';
+    }
+  }
+  return { errors, params };
+}
+
+// Validate position protection overrides for an exit bracket. Fractions
+// (trailPercent, breakEvenTrigger, breakEvenFees, minStepPercent) must be
+// between 0 and 1; breakEvenTrigger may be null to disable break-even.
+function validateProtection(protection) {
+  const errors = [];
+  if (protection === undefined) return errors;
+  if (typeof protection !== 'object' || protection === null || Array.isArray(protection)) {
+    return ['protection must be an object'];
+  }
+  const known = [
+    'trailing',
+    'trailPercent',
+    'atrMultiplier',
+    'breakEvenTrigger',
+    'breakEvenFees',
+    'minStepPercent',
+  ];
+  Object.keys(protection).forEach((key) => {
+    if (!known.includes(key)) errors.push(`unknown protection setting ${key}`);
+  });
+  const { trailing, atrMultiplier, breakEvenTrigger } = protection;
+  if (trailing !== undefined && !TRAILING_MODES.includes(trailing)) {
+    errors.push(`trailing must be one of ${TRAILING_MODES.join(', ')}`);
+  }
+  ['trailPercent', 'breakEvenFees', 'minStepPercent'].forEach((key) => {
+    const value = protection[key];
+    if (value !== undefined && !(typeof value === 'number' && value >= 0 && value < 1)) {
+      errors.push(`${key} must be a number between 0 and 1`);
+    }
+  });
+  if (
+    breakEvenTrigger !== undefined &&
+    breakEvenTrigger !== null &&
+    !(typeof breakEvenTrigger === 'number' && breakEvenTrigger > 0 && breakEvenTrigger < 1)
+  ) {
+    errors.push('breakEvenTrigger must be a number between 0 and 1, or null');
+  }
+  if (atrMultiplier !== undefined && !(typeof atrMultiplier === 'number' && atrMultiplier > 0)) {
+    errors.push('atrMultiplier must be a positive number');
+  }
+  return errors;
+}
+
+// Validate a symbol's strategy list: [{ name, params }]. `strategies` is
+// the registry's describe() output, so params are checked against every
+// parameter the strategy resolves with.
+function validateStrategyAssignments(assignments, strategies) {
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    return ['strategies must be a non-empty list of { name, params }'];
+  }
+  const errors = [];
+  const names = strategies.map((s) => s.name);
+  const seen = new Set();
+  assignments.forEach((assignment, i) => {
+    const { name, params = {} } = assignment || {};
+    const strategy = strategies.find((s) => s.name === name);
+    if (!strategy) {
+      errors.push(`strategies[${i}].name must be one of ${names.join(', ')}`);
+      return;
+    }
+    if (seen.has(name)) errors.push(`strategies[${i}]: ${name} is listed twice`);
+    seen.add(name);
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      errors.push(`strategies[${i}].params must be an object`);
+      return;
+    }
+    Object.entries(params).forEach(([key, value]) => {
+      if (!(key in strategy.params)) {
+        errors.push(`strategies[${i}]: unknown ${name} parameter ${key}`);
+      } else if (!(typeof value === 'number' && Number.isFinite(value))) {
+        errors.push(`strategies[${i}]: ${key} must be a finite number`);
+      }
+    });
+  });
+  return errors;
+}
+
+// The Idempotency-Key header of an order request, if one was sent. Errors
+// are field-level like validateOrder's.
+function validateIdempotencyKey(key) {
+  if (key !== undefined && !IDEMPOTENCY_KEY_RE.test(key)) {
+    return [
+      {
+        field: 'Idempotency-Key',
+        message: 'must be 1-64 letters, digits, dashes, underscores, dots or colons',
+      },
+    ];
+  }
+  return [];
+}
+
+function validateCorrelationId(id) {
+  if (typeof id !== 'string' || !CORRELATION_ID_RE.test(id)) {
+    return ['correlationId must be 1-64 letters, digits, dashes, underscores, dots or colons'];
+  }
+  return [];
+}
+
+// Validate GET /logs query params. `symbol` may also be 'all', which
+// scheduler-wide entries carry; `type` is a comma separated list.
+function validateLogQuery(query = {}) {
+  const errors = [];
+  const params = { limit: 100 };
+  const { symbol, type, level, correlationId, since, until, q, before, limit } = query;
+
+  if (isPresent(symbol)) {
+    if (symbol !== 'all') errors.push(...validateSymbol(symbol));
+    params.symbol = symbol;
+  }
+  if (isPresent(type)) {
+    const types = String(type).split(',').filter(Boolean);
+    if (types.some((t) => !LOG_TYPE_RE.test(t))) {
+      errors.push('type must be a comma separated list of event types like buy_success');
+    } else {
+      params.types = types;
+    }
+  }
+  if (isPresent(level)) {
+    if (!LOG_LEVELS.includes(level)) {
+      errors.push(`level must be one of ${LOG_LEVELS.join(', ')}`);
+    } else {
+      params.level = level;
+    }
+  }
+  if (isPresent(correlationId)) {
+    errors.push(...validateCorrelationId(correlationId));
+    params.correlationId = correlationId;
+  }
+  for (const [key, value] of Object.entries({ since, until })) {
+    if (!isPresent(value)) continue;
+    if (Number.isNaN(Date.parse(value))) {
+      errors.push(`${key} must be an ISO-8601 timestamp`);
+    } else {
+      params[key] = value;
+    }
+  }
+  if (isPresent(q)) {
+    if (typeof q !== 'string' || q.length > MAX_LOG_SEARCH) {
+      errors.push(`q must be text of at most ${MAX_LOG_SEARCH} characters`);
+    } else {
+      params.q = q;
+    }
+  }
+  if (isPresent(before)) {
+    const n = Number(before);
+    if (!Number.isInteger(n) || n < 1) {
+      errors.push('before must be a positive integer');
+    } else {
+      params.before = n;
+    }
+  }
+  if (isPresent(limit)) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_LOG_PAGE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LOG_PAGE}`);
+    } else {
+      params.limit = n;
+    }
+  }
+  return { errors, params };
+}
+
+function validateWatchlistName(name) {
+  if (typeof name !== 'string' || !WATCHLIST_NAME_RE.test(name)) {
+    return ['watchlist name must be 1-32 letters, digits, spaces, dashes or underscores'];
+  }
+  return [];
+}
+
+// Validate a watchlist's symbols against the known assets' symbols
+function validateWatchlistSymbols(symbols, knownSymbols) {
+  if (!Array.isArray(symbols) || symbols.length === 0) {
+    return ['symbols must be a non-empty list of pair symbols'];
+  }
+  if (symbols.length > MAX_WATCHLIST_SYMBOLS) {
+    return [`symbols may list at most ${MAX_WATCHLIST_SYMBOLS} pairs`];
+  }
+  const errors = [];
+  symbols.forEach((symbol, i) => {
+    if (typeof symbol !== 'string' || !SYMBOL_RE.test(symbol)) {
+      errors.push(`symbols[${i}] must look like BTCUSD, got ${JSON.stringify(symbol)}`);
+    } else if (!knownSymbols.includes(symbol)) {
+      errors.push(`symbols[${i}]: ${symbol} is not a known asset`);
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  validateSymbol,
+  validateOrderId,
+  validateOrder,
+  validateOrderQuery,
+  validateIdempotencyKey,
+  validateProtection,
+  validateStrategyAssignments,
+  validateWatchlistName,
+  validateWatchlistSymbols,
+  validateCorrelationId,
+  validateLogQuery,
+};
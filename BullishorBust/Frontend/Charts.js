@@ -0,0 +1,167 @@
+import React from 'react';
+import Svg, { Polyline, Circle, Line, Rect } from 'react-native-svg';
+
+// Screen coordinates for a series of { x, y } values scaled into a
+// width x height box (y grows downwards), with a little padding so
+// markers on the edges are not clipped.
+const scaler = (xs, ys, width, height, pad) => {
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+  const spanX = maxX - minX || 1;
+  const spanY = maxY - minY || 1;
+  return {
+    x: (x) => pad + ((x - minX) / spanX) * (width - 2 * pad),
+    y: (y) => height - pad - ((y - minY) / spanY) * (height - 2 * pad),
+  };
+};
+
+// Line chart of the account's equity points ({ time, equity }), green when
+// the range ended up and red when it ended down, with the starting value
+// as a dashed baseline
+export function EquityCurve({ points, width, height = 120, darkMode }) {
+  if (!points || points.length < 2) return null;
+  const xs = points.map((p) => p.time);
+  const ys = points.map((p) => p.equity);
+  const scale = scaler(xs, ys, width, height, 4);
+  const up = ys[ys.length - 1] >= ys[0];
+  const line = points.map((p) => `${scale.x(p.time)},${scale.y(p.equity)}`).join(' ');
+  return (
+    <Svg width={width} height={height}>
+      <Line
+        x1={0}
+        x2={width}
+        y1={scale.y(ys[0])}
+        y2={scale.y(ys[0])}
+        stroke={darkMode ? '#555' : '#ccc'}
+        strokeDasharray="4 4"
+      />
+      <Polyline points={line} fill="none" stroke={up ? 'green' : 'red'} strokeWidth={2} />
+    </Svg>
+  );
+}
+
+// Sparkline of a token's recent closes with our trades on it: green dots
+// for buys (entries) and red dots for sells (exits). Trades are placed at
+// their fill time and price.
+export function Sparkline({ chart, width = 140, height = 40 }) {
+  if (!chart || chart.closes.length < 2) return null;
+  const trades = chart.trades || [];
+  const xs = [...chart.times, ...trades.map((t) => t.time)];
+  const ys = [...chart.closes, ...trades.map((t) => t.price)];
+  const scale = scaler(xs, ys, width, height, 3);
+  const line = chart.closes
+    .map((close, i) => `${scale.x(chart.times[i])},${scale.y(close)}`)
+    .join(' ');
+  return (
+    <Svg width={width} height={height}>
+      <Polyline points={line} fill="none" stroke="#007AFF" strokeWidth={1.5} />
+      {trades.map((t) => (
+        <Circle
+          key={`${t.side}-${t.time}`}
+          cx={scale.x(t.time)}
+          cy={scale.y(t.price)}
+          r={3}
+          fill={t.side === 'buy' ? 'green' : 'red'}
+        />
+      ))}
+    </Svg>
+  );
+}
+
+// Candlestick chart of { time, open, high, low, close } bars, oldest first
+export function CandleChart({ candles, width, height = 200 }) {
+  if (!candles || candles.length < 2) return null;
+  const scale = scaler(
+    candles.map((_, i) => i),
+    [...candles.map((c) => c.low), ...candles.map((c) => c.high)],
+    width,
+    height,
+    4
+  );
+  const bodyWidth = Math.max(1, ((width - 8) / candles.length) * 0.6);
+  return (
+    <Svg width={width} height={height}>
+      {candles.map((c, i) => {
+        const x = scale.x(i);
+        const color = c.close >= c.open ? 'green' : 'red';
+        const top = scale.y(Math.max(c.open, c.close));
+        const bottom = scale.y(Math.min(c.open, c.close));
+        return [
+          <Line
+            key={`wick-${c.time}`}
+            x1={x}
+            x2={x}
+            y1={scale.y(c.high)}
+            y2={scale.y(c.low)}
+            stroke={color}
+          />,
+          <Rect
+            key={`body-${c.time}`}
+            x={x - bodyWidth / 2}
+            y={top}
+            width={bodyWidth}
+            height={Math.max(1, bottom - top)}
+            fill={color}
+          />,
+        ];
+      })}
+    </Svg>
+  );
+}
+
+// Indicator pane under a price chart: `lines` are { values, color } series
+// aligned with the candles (null while warming up), `bars` an optional
+// histogram series drawn from zero and `guides` horizontal reference levels
+// (RSI 30/70, z-score ±2...). The vertical range covers every value and
+// guide.
+export function IndicatorPane({ lines = [], bars = null, guides = [], width, height = 80 }) {
+  const count = Math.max(...lines.map((l) => l.values.length), bars ? bars.length : 0);
+  const values = [...lines.flatMap((l) => l.values), ...(bars || [])].filter((v) => v != null);
+  if (count < 2 || values.length === 0) return null;
+  const ys = [...values, ...guides, ...(bars ? [0] : [])];
+  const scale = scaler([0, count - 1], ys, width, height, 4);
+  const barWidth = Math.max(1, ((width - 8) / count) * 0.6);
+  const zero = scale.y(0);
+  const polyline = (series) =>
+    series
+      .map((v, i) => (v == null ? null : `${scale.x(i)},${scale.y(v)}`))
+      .filter(Boolean)
+      .join(' ');
+  return (
+    <Svg width={width} height={height}>
+      {guides.map((level) => (
+        <Line
+          key={`guide-${level}`}
+          x1={0}
+          x2={width}
+          y1={scale.y(level)}
+          y2={scale.y(level)}
+          stroke="#999"
+          strokeDasharray="4 4"
+        />
+      ))}
+      {bars &&
+        bars.map((v, i) =>
+          v == null ? null : (
+            <Rect
+              key={`bar-${i}`}
+              x={scale.x(i) - barWidth / 2}
+              y={Math.min(scale.y(v), zero)}
+              width={barWidth}
+              height={Math.abs(scale.y(v) - zero)}
+              fill={v >= 0 ? '#8fd18f' : '#f19999'}
+            />
+          )
+        )}
+      {lines.map((l) => (
+        <Polyline
+          key={l.color}
+          points={polyline(l.values)}
+          fill="none"
+          stroke={l.color}
+          strokeWidth={1.5}
+        />
+      ))}
+    </Svg>
+  );
+}
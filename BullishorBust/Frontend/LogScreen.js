@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, ScrollView, StyleSheet, TouchableOpacity } from 'react-native';
+import { apiFetch } from './api';
+
+const PAGE_SIZE = 50;
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+// Most frequent event types offered as filters
+const TYPE_CHIPS = 12;
+const RANGES = [
+  { label: '1H', hours: 1 },
+  { label: '24H', hours: 24 },
+  { label: '7D', hours: 24 * 7 },
+  { label: 'All', hours: null },
+];
+const LEVEL_COLORS = { debug: '#888', info: '#007AFF', warn: '#FF9500', error: 'red' };
+// Shown in each row's header, so left out of its expanded details
+const CORE_FIELDS = ['seq', 'timestamp', 'level', 'type', 'symbol', 'correlationId'];
+
+const time = (timestamp) => new Date(timestamp).toLocaleString();
+
+// The backend's structured log from GET /api/logs, newest first: text
+// search, level, event type, symbol and time range filters, with older
+// pages loaded on demand. Tapping an entry shows its details, and from
+// there every entry of the same trade workflow (its correlation id).
+export default function LogScreen({ symbol: initialSymbol = '', darkMode, onClose }) {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [symbol, setSymbol] = useState(initialSymbol);
+  const [level, setLevel] = useState(null);
+  const [types, setTypes] = useState([]);
+  const [knownTypes, setKnownTypes] = useState([]);
+  const [hours, setHours] = useState(24);
+  const [workflow, setWorkflow] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const params = (before) => {
+    const p = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (query) p.set('q', query);
+    if (symbol) p.set('symbol', symbol.trim().toUpperCase());
+    if (level) p.set('level', level);
+    if (types.length) p.set('type', types.join(','));
+    if (workflow) p.set('correlationId', workflow);
+    if (hours && !workflow) p.set('since', new Date(Date.now() - hours * 3600000).toISOString());
+    if (before) p.set('before', String(before));
+    return p.toString();
+  };
+
+  // A first page replaces the list; `before` appends the page after it
+  const load = async (before = null) => {
+    setLoading(true);
+    try {
+      const res = await apiFetch(`/api/logs?${params(before)}`);
+      const body = await res.json();
+      if (!res.ok) {
+        throw new Error(body.details?.join(', ') || body.error || `Log fetch failed ${res.status}`);
+      }
+      setEntries((prev) => (before ? [...prev, ...body.entries] : body.entries));
+      setNextBefore(body.nextBefore);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTypes = async () => {
+    try {
+      const res = await apiFetch('/api/logs/types');
+      if (res.ok) setKnownTypes((await res.json()).slice(0, TYPE_CHIPS).map((t) => t.type));
+    } catch (err) {
+      // The filters work without the suggestions
+    }
+  };
+
+  useEffect(() => {
+    loadTypes();
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [query, level, types, hours, workflow]);
+
+  const toggleType = (type) =>
+    setTypes((prev) => (prev.includes(type) ? prev.filter((t) => t !== type) : [...prev, type]));
+
+  const textStyle = [styles.text, darkMode && styles.textDark];
+  const inputStyle = [styles.input, darkMode && styles.inputDark];
+
+  const chip = (label, active, onPress) => (
+    <TouchableOpacity key={label} onPress={onPress}>
+      <Text style={[styles.chip, active && styles.chipActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const details = (entry) =>
+    Object.entries(entry)
+      .filter(([key]) => !CORE_FIELDS.includes(key))
+      .map(([key, value]) => (
+        <Text key={key} style={styles.detail}>
+          {key}: {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+        </Text>
+      ));
+
+  return (
+    <ScrollView contentContainerStyle={[styles.container, darkMode && styles.containerDark]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.link}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, darkMode && styles.textDark]}>📜 Logs</Text>
+        <TouchableOpacity onPress={() => load()} disabled={loading}>
+          <Text style={styles.link}>{loading ? '…' : 'Refresh'}</Text>
+        </TouchableOpacity>
+      </View>
+      <TextInput
+        style={inputStyle}
+        value={search}
+        onChangeText={setSearch}
+        onSubmitEditing={() => setQuery(search.trim())}
+        placeholder="Search order ids, reasons, errors…"
+        placeholderTextColor="#888"
+        autoCapitalize="none"
+        returnKeyType="search"
+      />
+      <TextInput
+        style={inputStyle}
+        value={symbol}
+        onChangeText={setSymbol}
+        onSubmitEditing={() => load()}
+        placeholder="Symbol, e.g. BTCUSD"
+        placeholderTextColor="#888"
+        autoCapitalize="characters"
+      />
+      <View style={styles.chips}>
+        {RANGES.map((range) =>
+          chip(range.label, hours === range.hours, () => setHours(range.hours))
+        )}
+      </View>
+      <View style={styles.chips}>
+        {chip('any level', level == null, () => setLevel(null))}
+        {LEVELS.map((l) => chip(`${l}+`, level === l, () => setLevel(l)))}
+      </View>
+      <View style={styles.chips}>
+        {knownTypes.map((type) => chip(type, types.includes(type), () => toggleType(type)))}
+      </View>
+      {workflow && (
+        <TouchableOpacity onPress={() => setWorkflow(null)}>
+          <Text style={styles.link}>Workflow {workflow} · ✕ show all</Text>
+        </TouchableOpacity>
+      )}
+      {error && <Text style={styles.error}>{error}</Text>}
+      {!loading && entries.length === 0 && !error && (
+        <Text style={styles.hint}>No entries match these filters</Text>
+      )}
+      {entries.map((entry) => (
+        <TouchableOpacity
+          key={entry.seq}
+          style={styles.row}
+          onPress={() => setExpanded(expanded === entry.seq ? null : entry.seq)}
+        >
+          <Text style={textStyle}>
+            <Text style={[styles.level, { color: LEVEL_COLORS[entry.level] }]}>
+              {entry.level.toUpperCase()}
+            </Text>{' '}
+            {entry.type}
+            {entry.symbol ? ` · ${entry.symbol}` : ''}
+          </Text>
+          <Text style={styles.hint}>{time(entry.timestamp)}</Text>
+          {expanded === entry.seq && (
+            <View style={styles.details}>
+              {details(entry)}
+              {entry.correlationId && (
+                <TouchableOpacity onPress={() => setWorkflow(entry.correlationId)}>
+                  <Text style={styles.link}>Show workflow {entry.correlationId}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+        </TouchableOpacity>
+      ))}
+      {nextBefore && (
+        <TouchableOpacity style={styles.button} onPress={() => load(nextBefore)} disabled={loading}>
+          <Text style={styles.buttonText}>{loading ? 'Loading…' : 'Load more'}</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flexGrow: 1, paddingTop: 40, paddingHorizontal: 10, backgroundColor: '#fff' },
+  containerDark: { backgroundColor: '#121212' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#000' },
+  text: { color: '#000' },
+  textDark: { color: '#fff' },
+  link: { color: '#007AFF', fontWeight: 'bold', marginBottom: 6 },
+  error: { color: 'red', marginBottom: 4 },
+  hint: { color: '#888', fontSize: 12 },
+  chips: { flexDirection: 'row', flexWrap: 'wrap', marginBottom: 6 },
+  chip: { color: '#888', fontWeight: 'bold', marginRight: 12, marginBottom: 6 },
+  chipActive: { color: '#007AFF' },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    padding: 6,
+    marginBottom: 6,
+    color: '#000',
+  },
+  inputDark: { borderColor: '#555', color: '#fff' },
+  row: { paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: '#eee' },
+  level: { fontWeight: 'bold', fontSize: 12 },
+  details: { marginTop: 4 },
+  detail: { color: '#888', fontSize: 12, fontFamily: 'monospace' },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 10,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: { color: '#fff', fontWeight: 'bold' },
+});
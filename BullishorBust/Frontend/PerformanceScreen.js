@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, ScrollView, StyleSheet, TouchableOpacity } from 'react-native';
+import { apiFetch } from './api';
+
+const RANGES = [
+  { label: '7D', days: 7 },
+  { label: '30D', days: 30 },
+  { label: '90D', days: 90 },
+  { label: 'All', days: null },
+];
+
+const money = (value) =>
+  value == null ? '—' : `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+const percent = (value) => (value == null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// Hold time as the largest two units, e.g. "2d 4h" or "35m"
+const duration = (ms) => {
+  if (ms == null) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Realized performance from GET /api/performance: buys and sells matched
+// into round trips by the backend, with totals for the whole account and
+// per strategy and symbol, and the latest round trips.
+export default function PerformanceScreen({ darkMode, onClose }) {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const res = await apiFetch(`/api/performance${days ? `?days=${days}` : ''}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `Performance fetch failed ${res.status}`);
+      setReport(body);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [days]);
+
+  const textStyle = [styles.text, darkMode && styles.textDark];
+  const pnlStyle = (value) => [styles.text, darkMode && styles.textDark, value < 0 && styles.loss];
+
+  const summaryRows = (summary) => [
+    ['Net P&L', money(summary.netPnl), summary.netPnl],
+    ['Round trips', `${summary.trades} (${summary.wins}W / ${summary.losses}L)`],
+    ['Win rate', percent(summary.winRate)],
+    ['Expectancy', money(summary.expectancy), summary.expectancy],
+    ['Average win', money(summary.averageWin)],
+    ['Average loss', money(summary.averageLoss), summary.averageLoss],
+    ['Average hold', duration(summary.averageHoldMs)],
+    ['Max drawdown', money(summary.maxDrawdown)],
+    ['Fees', money(summary.fees)],
+  ];
+
+  const group = (title, groups) => (
+    <View>
+      <Text style={[styles.sectionHeader, darkMode && styles.textDark]}>{title}</Text>
+      {Object.entries(groups)
+        .sort(([, a], [, b]) => b.netPnl - a.netPnl)
+        .map(([name, summary]) => (
+          <View key={name} style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={[styles.label, darkMode && styles.textDark]}>{name}</Text>
+              <Text style={styles.hint}>
+                {summary.trades} trades · {percent(summary.winRate)} wins · hold{' '}
+                {duration(summary.averageHoldMs)} · DD {money(summary.maxDrawdown)}
+              </Text>
+            </View>
+            <Text style={pnlStyle(summary.netPnl)}>{money(summary.netPnl)}</Text>
+          </View>
+        ))}
+    </View>
+  );
+
+  return (
+    <ScrollView contentContainerStyle={[styles.container, darkMode && styles.containerDark]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.link}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, darkMode && styles.textDark]}>📊 Performance</Text>
+        <TouchableOpacity onPress={load} disabled={loading}>
+          <Text style={styles.link}>{loading ? '…' : 'Refresh'}</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.ranges}>
+        {RANGES.map((range) => (
+          <TouchableOpacity
+            key={range.label}
+            style={[styles.range, days === range.days && styles.rangeActive]}
+            onPress={() => setDays(range.days)}
+          >
+            <Text style={days === range.days ? styles.rangeTextActive : textStyle}>
+              {range.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      {report && (
+        <View>
+          {summaryRows(report.summary).map(([label, value, sign]) => (
+            <View key={label} style={styles.row}>
+              <Text style={textStyle}>{label}</Text>
+              <Text style={pnlStyle(sign)}>{value}</Text>
+            </View>
+          ))}
+          {report.feesEstimated > 0 && (
+            <Text style={styles.hint}>
+              Fees of {report.feesEstimated} fills estimated from the configured fee rate
+            </Text>
+          )}
+          {Object.keys(report.unmatched).length > 0 && (
+            <Text style={styles.hint}>
+              Sold without a buy in range:{' '}
+              {Object.entries(report.unmatched)
+                .map(([symbol, qty]) => `${qty} ${symbol}`)
+                .join(', ')}
+            </Text>
+          )}
+          {group('By strategy', report.byStrategy)}
+          {group('By symbol', report.bySymbol)}
+          <Text style={[styles.sectionHeader, darkMode && styles.textDark]}>Round trips</Text>
+          {report.roundTrips
+            .slice(-50)
+            .reverse()
+            .map((trip) => (
+              <View key={`${trip.buyOrderId}:${trip.sellOrderId}`} style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={[styles.label, darkMode && styles.textDark]}>
+                    {trip.symbol} · {trip.strategy}
+                  </Text>
+                  <Text style={styles.hint}>
+                    {trip.qty} @ {trip.entryPrice.toFixed(4)} →{' '}
+                    {trip.exitPrice.toFixed(4)} · {duration(trip.holdMs)} ·{' '}
+                    {new Date(trip.exitTime).toLocaleString()}
+                  </Text>
+                </View>
+                <Text style={pnlStyle(trip.pnl)}>{money(trip.pnl)}</Text>
+              </View>
+            ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flexGrow: 1, paddingTop: 40, paddingHorizontal: 10, backgroundColor: '#fff' },
+  containerDark: { backgroundColor: '#121212' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#000' },
+  text: { color: '#000' },
+  textDark: { color: '#fff' },
+  loss: { color: 'red' },
+  link: { color: '#007AFF', fontWeight: 'bold' },
+  error: { color: 'red', marginBottom: 4 },
+  label: { fontWeight: 'bold', color: '#000' },
+  hint: { color: '#888', fontSize: 12 },
+  ranges: { flexDirection: 'row', marginBottom: 10 },
+  range: {
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+  },
+  rangeActive: { backgroundColor: '#007AFF' },
+  rangeTextActive: { color: '#fff', fontWeight: 'bold' },
+  sectionHeader: { fontSize: 16, fontWeight: 'bold', marginTop: 10, marginBottom: 6 },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowText: { flex: 1, marginRight: 8 },
+});
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, ScrollView, StyleSheet, TouchableOpacity } from 'react-native';
+import { apiFetch } from './api';
+
+// Settings screen for the backend's runtime trading config. Edits are sent
+// to PUT /api/config with the version they were made against, so a change
+// made elsewhere in the meantime is reported instead of overwritten. The
+// version history lists every change and can restore any older version.
+// Saving and restoring need an API token with the admin scope.
+export default function SettingsScreen({ darkMode, onClose, onSaved }) {
+  const [config, setConfig] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [history, setHistory] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const load = async () => {
+    try {
+      const [configRes, historyRes] = await Promise.all([
+        apiFetch('/api/config'),
+        apiFetch('/api/config/history?limit=20'),
+      ]);
+      if (!configRes.ok) throw new Error(`Config fetch failed ${configRes.status}`);
+      const body = await configRes.json();
+      setConfig(body);
+      setDraft(
+        Object.fromEntries(Object.entries(body.values).map(([key, v]) => [key, String(v)]))
+      );
+      setHistory(historyRes.ok ? await historyRes.json() : []);
+      setErrors([]);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Send a config change and reload the screen from the backend's answer
+  const submit = async (path, method, payload) => {
+    setSaving(true);
+    try {
+      const res = await apiFetch(path, { method, body: JSON.stringify(payload) });
+      const body = await res.json();
+      if (!res.ok) {
+        setErrors(body.details || [body.error]);
+        return;
+      }
+      onSaved?.(body);
+      await load();
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = () => {
+    const values = {};
+    Object.entries(draft).forEach(([key, text]) => {
+      const value = text.trim() === '' ? NaN : Number(text);
+      if (value !== config.values[key]) values[key] = value;
+    });
+    if (Object.keys(values).length === 0) {
+      setErrors(['Nothing changed']);
+      return;
+    }
+    // NaN is sent as null and rejected by the backend with the field name
+    submit('/api/config', 'PUT', { values, expectedVersion: config.version });
+  };
+
+  const rollback = (version) => submit('/api/config/rollback', 'POST', { version });
+
+  const textStyle = [styles.text, darkMode && styles.textDark];
+
+  return (
+    <ScrollView contentContainerStyle={[styles.container, darkMode && styles.containerDark]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.link}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, darkMode && styles.textDark]}>⚙️ Settings</Text>
+        <Text style={textStyle}>{config ? `v${config.version}` : ''}</Text>
+      </View>
+      {errors.map((error) => (
+        <Text key={error} style={styles.error}>
+          {error}
+        </Text>
+      ))}
+      {config &&
+        Object.entries(config.schema).map(([key, spec]) => (
+          <View key={key} style={styles.field}>
+            <Text style={[styles.label, darkMode && styles.textDark]}>{key}</Text>
+            <Text style={styles.hint}>
+              {spec.description} · default {spec.default} · {spec.min}–{spec.max}
+            </Text>
+            <TextInput
+              style={[styles.input, darkMode && styles.inputDark]}
+              value={draft[key]}
+              keyboardType="numeric"
+              onChangeText={(text) => setDraft((d) => ({ ...d, [key]: text }))}
+            />
+          </View>
+        ))}
+      {config && (
+        <TouchableOpacity style={styles.button} onPress={save} disabled={saving}>
+          <Text style={styles.buttonText}>{saving ? 'Saving…' : 'Save'}</Text>
+        </TouchableOpacity>
+      )}
+      <Text style={[styles.sectionHeader, darkMode && styles.textDark]}>History</Text>
+      {history.map((entry) => (
+        <View key={entry.version} style={styles.historyRow}>
+          <View style={styles.historyText}>
+            <Text style={textStyle}>
+              v{entry.version} ·{' '}
+              {entry.source === 'rollback' ? `restored v${entry.rollbackOf}` : entry.source}
+              {entry.author ? ` · ${entry.author}` : ''}
+            </Text>
+            <Text style={styles.hint}>
+              {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'built-in'}
+              {entry.changed.length ? ` · ${entry.changed.join(', ')}` : ''}
+              {entry.note ? ` · ${entry.note}` : ''}
+            </Text>
+          </View>
+          {config && entry.version !== config.version && (
+            <TouchableOpacity onPress={() => rollback(entry.version)} disabled={saving}>
+              <Text style={styles.link}>Restore</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flexGrow: 1, paddingTop: 40, paddingHorizontal: 10, backgroundColor: '#fff' },
+  containerDark: { backgroundColor: '#121212' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#000' },
+  text: { color: '#000' },
+  textDark: { color: '#fff' },
+  link: { color: '#007AFF', fontWeight: 'bold' },
+  error: { color: 'red', marginBottom: 4 },
+  field: { marginBottom: 10 },
+  label: { fontWeight: 'bold', color: '#000' },
+  hint: { color: '#888', fontSize: 12 },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    padding: 6,
+    marginTop: 4,
+    color: '#000',
+  },
+  inputDark: { borderColor: '#555', color: '#fff' },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 10,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: { color: '#fff', fontWeight: 'bold' },
+  sectionHeader: { fontSize: 16, fontWeight: 'bold', marginTop: 10, marginBottom: 6 },
+  historyRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  historyText: { flex: 1, marginRight: 8 },
+});
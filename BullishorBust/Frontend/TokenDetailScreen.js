@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  Dimensions,
+} from 'react-native';
+import { apiFetch } from './api';
+import { CandleChart, IndicatorPane } from './Charts';
+
+// Entry age as the largest two units, e.g. "1d 3h" or "42m"
+const age = (ms) => {
+  if (ms == null) return '—';
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const fixed = (value, digits = 4) => (value == null ? '—' : Number(value).toFixed(digits));
+
+// One token from GET /api/tokens/:symbol: 15 minute candles with MACD, RSI
+// and z-score panes, the strategy decision with each entry rule, the held
+// position, open orders (cancellable) and recent ones, and the symbol's
+// trade log, with a link to its entries in the full log viewer.
+export default function TokenDetailScreen({ symbol, darkMode, onClose, onBuy, onShowLogs }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+  const [canceling, setCanceling] = useState(null);
+
+  const load = async () => {
+    try {
+      const res = await apiFetch(`/api/tokens/${symbol}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || `Token fetch failed ${res.status}`);
+      setDetail(body);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [symbol]);
+
+  const cancelOrder = async (id) => {
+    setCanceling(id);
+    try {
+      const res = await apiFetch(`/api/orders/${id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.message || body.error || `Cancel failed ${res.status}`);
+      }
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCanceling(null);
+    }
+  };
+
+  const width = Dimensions.get('window').width - 20;
+  const textStyle = [styles.text, darkMode && styles.textDark];
+  const headerStyle = [styles.sectionHeader, darkMode && styles.textDark];
+  const chart = detail?.chart;
+  const decision = detail?.decision;
+  const position = detail?.position;
+
+  return (
+    <ScrollView contentContainerStyle={[styles.container, darkMode && styles.containerDark]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.link}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, darkMode && styles.textDark]}>
+          {detail?.name || symbol}
+        </Text>
+        <TouchableOpacity onPress={load}>
+          <Text style={styles.link}>Refresh</Text>
+        </TouchableOpacity>
+      </View>
+      {error && <Text style={styles.error}>{error}</Text>}
+      {detail && (
+        <View>
+          <Text style={textStyle}>
+            {detail.price != null ? `$${detail.price}` : 'No price'}
+            {detail.provider ? ` · ${detail.provider}` : ''}
+          </Text>
+          {chart && (
+            <View>
+              <CandleChart candles={chart.candles} width={width} />
+              <Text style={styles.hint}>MACD (blue), signal (orange), histogram</Text>
+              <IndicatorPane
+                lines={[
+                  { values: chart.macd, color: '#007AFF' },
+                  { values: chart.signal, color: '#FFA500' },
+                ]}
+                bars={chart.histogram}
+                width={width}
+              />
+              <Text style={styles.hint}>RSI {detail.rsi ?? '—'}</Text>
+              <IndicatorPane
+                lines={[{ values: chart.rsi, color: '#8e44ad' }]}
+                guides={[30, 70]}
+                width={width}
+              />
+              <Text style={styles.hint}>Z-score {fixed(detail.zscore, 2)}</Text>
+              <IndicatorPane
+                lines={[{ values: chart.zscore, color: '#16a085' }]}
+                guides={[-2, 0, 2]}
+                width={width}
+              />
+            </View>
+          )}
+
+          <Text style={headerStyle}>Strategy</Text>
+          {decision ? (
+            <View>
+              <Text style={textStyle}>
+                {decision.label || 'No strategy applies'} ·{' '}
+                {decision.type === 'entry'
+                  ? '✅ Entry ready'
+                  : decision.type === 'watch'
+                    ? '🟧 Watchlist'
+                    : 'Not ready'}
+              </Text>
+              {decision.reasons.length > 0 && (
+                <Text style={styles.hint}>{decision.reasons.join(', ')}</Text>
+              )}
+              {(decision.conditions || []).map((c) => (
+                <Text key={c.name} style={textStyle}>
+                  {c.met ? '✅' : '❌'} {c.label}
+                  {c.value != null ? ` (${fixed(c.value)})` : ''}
+                </Text>
+              ))}
+            </View>
+          ) : (
+            <Text style={styles.error}>⚠️ {detail.error || 'Missing data'}</Text>
+          )}
+
+          <Text style={headerStyle}>Position</Text>
+          {position ? (
+            <View>
+              <Text style={textStyle}>
+                {position.qty} @ ${fixed(position.avgEntryPrice)} · value $
+                {fixed(position.marketValue, 2)}
+              </Text>
+              <Text style={[textStyle, position.unrealizedPl < 0 && styles.loss]}>
+                Unrealized {position.unrealizedPl < 0 ? '-' : '+'}$
+                {Math.abs(position.unrealizedPl).toFixed(2)} (
+                {(position.unrealizedPlPercent * 100).toFixed(2)}%)
+              </Text>
+              <Text style={styles.hint}>
+                Entered {age(position.entryAgeMs)} ago
+                {position.bracket?.stopLoss
+                  ? ` · stop $${fixed(position.bracket.stopLoss.price)}`
+                  : ''}
+              </Text>
+            </View>
+          ) : (
+            <Text style={styles.hint}>Not held</Text>
+          )}
+
+          <Text style={headerStyle}>Open orders</Text>
+          {detail.openOrders.length === 0 && <Text style={styles.hint}>None</Text>}
+          {detail.openOrders.map((order) => (
+            <View key={order.id} style={styles.row}>
+              <Text style={[textStyle, styles.rowText]}>
+                {order.side} {order.type} {order.qty || `$${order.notional}`}
+                {order.limit_price ? ` @ $${order.limit_price}` : ''}
+                {order.stop_price ? ` stop $${order.stop_price}` : ''} · {order.status}
+              </Text>
+              <TouchableOpacity
+                onPress={() => cancelOrder(order.id)}
+                disabled={canceling === order.id}
+              >
+                <Text style={styles.cancel}>{canceling === order.id ? '…' : 'Cancel'}</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <Text style={headerStyle}>Recent orders</Text>
+          {detail.recentOrders.length === 0 && <Text style={styles.hint}>None</Text>}
+          {detail.recentOrders.map((order) => (
+            <Text key={order.id} style={textStyle}>
+              {order.side} {order.filled_qty || order.qty}
+              {order.filled_avg_price ? ` @ $${order.filled_avg_price}` : ''} ·{' '}
+              {order.status} ·{' '}
+              {new Date(order.updated_at || order.created_at).toLocaleString()}
+            </Text>
+          ))}
+
+          <Text style={headerStyle}>Trade log</Text>
+          {detail.history.length === 0 && detail.log.length === 0 && (
+            <Text style={styles.hint}>Nothing yet</Text>
+          )}
+          {detail.log.map((entry, i) => (
+            <Text key={`log-${i}`} style={textStyle}>
+              {new Date(entry.timestamp).toLocaleTimeString()} · {entry.type}
+            </Text>
+          ))}
+          <TouchableOpacity onPress={() => onShowLogs(symbol)}>
+            <Text style={styles.link}>All {symbol} logs ›</Text>
+          </TouchableOpacity>
+          {detail.history.map((trade, i) => (
+            <Text key={`trade-${i}`} style={styles.hint}>
+              {new Date(trade.timestamp).toLocaleString()} · {trade.side} ·{' '}
+              {trade.reason || trade.type}
+              {trade.price ? ` @ $${trade.price}` : ''}
+            </Text>
+          ))}
+
+          {detail.tradable === false || detail.enabled === false ? (
+            <Text style={[styles.hint, styles.blocked]}>
+              🚫 {detail.tradable === false ? 'Not tradable at the broker' : 'Trading disabled'}
+            </Text>
+          ) : (
+            <TouchableOpacity style={styles.button} onPress={() => onBuy(symbol)}>
+              <Text style={styles.buttonText}>Manual BUY</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flexGrow: 1, paddingTop: 40, paddingHorizontal: 10, backgroundColor: '#fff' },
+  containerDark: { backgroundColor: '#121212' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#000' },
+  text: { color: '#000' },
+  textDark: { color: '#fff' },
+  loss: { color: 'red' },
+  link: { color: '#007AFF', fontWeight: 'bold' },
+  cancel: { color: 'red', fontWeight: 'bold' },
+  error: { color: 'red', marginBottom: 4 },
+  hint: { color: '#888', fontSize: 12 },
+  sectionHeader: { fontSize: 16, fontWeight: 'bold', marginTop: 12, marginBottom: 6 },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowText: { flex: 1, marginRight: 8 },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 10,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginVertical: 16,
+  },
+  buttonText: { color: '#fff', fontWeight: 'bold' },
+  blocked: { textAlign: 'center', marginVertical: 16 },
+});
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  TouchableOpacity,
+} from 'react-native';
+import { apiFetch } from './api';
+
+// Why an asset can't be bought, or null when it can
+const blockedReason = (asset) => {
+  if (!asset.tradable) return 'not tradable';
+  if (!asset.enabled) return asset.stablecoin ? 'stablecoin, disabled' : 'disabled';
+  return null;
+};
+
+// Watchlist editor. Lists come from GET /api/watchlists and the pairs to
+// pick from from GET /api/assets (synced from the broker). Saving sends
+// the whole list to PUT /api/watchlists/:name, which creates it if the
+// name is new.
+export default function WatchlistScreen({ watchlist, darkMode, onClose, onSaved }) {
+  const [lists, setLists] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [name, setName] = useState(watchlist || '');
+  const [symbols, setSymbols] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Edit an existing list, or start a new one with an empty name
+  const select = (list) => {
+    setName(list ? list.name : '');
+    setSymbols(list ? list.symbols : []);
+    setErrors([]);
+  };
+
+  const load = async (selected = name) => {
+    try {
+      const [listsRes, assetsRes] = await Promise.all([
+        apiFetch('/api/watchlists'),
+        apiFetch('/api/assets'),
+      ]);
+      if (!listsRes.ok) throw new Error(`Watchlists fetch failed ${listsRes.status}`);
+      if (!assetsRes.ok) throw new Error(`Assets fetch failed ${assetsRes.status}`);
+      const body = await listsRes.json();
+      setLists(body);
+      setAssets((await assetsRes.json()).assets);
+      select(body.find((list) => list.name === selected) || body[0]);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const toggle = (symbol) =>
+    setSymbols((current) =>
+      current.includes(symbol) ? current.filter((s) => s !== symbol) : [...current, symbol]
+    );
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await apiFetch(`/api/watchlists/${encodeURIComponent(name.trim())}`, {
+        method: 'PUT',
+        body: JSON.stringify({ symbols }),
+      });
+      const body = await res.json();
+      if (!res.ok) {
+        setErrors(body.details || [body.error]);
+        return;
+      }
+      onSaved?.(body);
+      await load(body.name);
+    } catch (err) {
+      setErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    try {
+      const res = await apiFetch(`/api/watchlists/${encodeURIComponent(name)}`, {
+        method: 'DELETE',
+      });
+      if (!res.ok) throw new Error(`Delete failed ${res.status}`);
+      await load(null);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  const textStyle = [styles.text, darkMode && styles.textDark];
+  const saved = lists.find((list) => list.name === name && !list.builtIn);
+
+  return (
+    <ScrollView contentContainerStyle={[styles.container, darkMode && styles.containerDark]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.link}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={[styles.title, darkMode && styles.textDark]}>Watchlists</Text>
+        <TouchableOpacity onPress={() => select(null)}>
+          <Text style={styles.link}>New</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.chips}>
+        {lists.map((list) => (
+          <TouchableOpacity key={list.name} onPress={() => select(list)}>
+            <Text style={[styles.chip, list.name === name && styles.chipActive]}>
+              {list.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {errors.map((e) => (
+        <Text key={e} style={styles.error}>
+          {e}
+        </Text>
+      ))}
+      <TextInput
+        style={[styles.input, darkMode && styles.inputDark]}
+        value={name}
+        onChangeText={setName}
+        placeholder="List name"
+        placeholderTextColor="#888"
+        autoCapitalize="none"
+      />
+      <Text style={styles.hint}>{symbols.length} pairs</Text>
+      {assets.map((asset) => (
+        <View key={asset.symbol} style={styles.row}>
+          <View style={styles.rowText}>
+            <Text style={textStyle}>{asset.name}</Text>
+            {blockedReason(asset) && <Text style={styles.hint}>🚫 {blockedReason(asset)}</Text>}
+          </View>
+          <Switch
+            value={symbols.includes(asset.symbol)}
+            onValueChange={() => toggle(asset.symbol)}
+          />
+        </View>
+      ))}
+      <TouchableOpacity style={styles.button} onPress={save} disabled={saving}>
+        <Text style={styles.buttonText}>{saving ? 'Saving…' : 'Save'}</Text>
+      </TouchableOpacity>
+      {saved && (
+        <TouchableOpacity onPress={remove}>
+          <Text style={styles.delete}>Delete {saved.name}</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flexGrow: 1, paddingTop: 40, paddingHorizontal: 10, backgroundColor: '#fff' },
+  containerDark: { backgroundColor: '#121212' },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#000' },
+  text: { color: '#000' },
+  textDark: { color: '#fff' },
+  link: { color: '#007AFF', fontWeight: 'bold' },
+  delete: { color: 'red', fontWeight: 'bold', textAlign: 'center', marginBottom: 20 },
+  error: { color: 'red', marginBottom: 4 },
+  hint: { color: '#888', fontSize: 12 },
+  chips: { flexDirection: 'row', flexWrap: 'wrap', marginBottom: 10 },
+  chip: { color: '#888', fontWeight: 'bold', marginRight: 12, marginBottom: 6 },
+  chipActive: { color: '#007AFF' },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    padding: 6,
+    marginBottom: 4,
+    color: '#000',
+  },
+  inputDark: { borderColor: '#555', color: '#fff' },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowText: { flex: 1, marginRight: 8 },
+  button: {
+    backgroundColor: '#007AFF',
+    padding: 10,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginVertical: 16,
+  },
+  buttonText: { color: '#fff', fontWeight: 'bold' },
+});
@@ -0,0 +1,23 @@
+// api.js
+// Backend access shared by the app's screens. Every /api route needs the
+// app's API token; the Alpaca credentials stay on the backend.
+import Constants from 'expo-constants';
+
+const { EXPO_PUBLIC_BACKEND_URL, EXPO_PUBLIC_API_TOKEN } = Constants.expoConfig.extra;
+
+export const BACKEND_URL = EXPO_PUBLIC_BACKEND_URL;
+// Backend API token (npm run token -- issue --name phone --scopes read,trade).
+// Editing settings needs a token with the admin scope. The event stream
+// (eventStream.js) sends it in its subscribe message.
+export const API_TOKEN = EXPO_PUBLIC_API_TOKEN;
+
+// Call a backend /api route with the app's API token
+export const apiFetch = (path, options = {}) =>
+  fetch(`${BACKEND_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers,
+      Authorization: `Bearer ${API_TOKEN}`,
+    },
+  });
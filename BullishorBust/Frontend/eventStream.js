@@ -0,0 +1,113 @@
+// eventStream.js
+// Live events from the backend (Backend/stream.js). The hook keeps one
+// WebSocket open to /api/stream, reconnects with a growing delay when it
+// drops and resumes after the last event it handled, so nothing published
+// while the phone was offline is missed. While the socket is down the same
+// events are polled from GET /api/events instead.
+import { useEffect, useRef, useState } from 'react';
+import { apiFetch, API_TOKEN, BACKEND_URL } from './api';
+
+const STREAM_URL = `${BACKEND_URL.replace(/^http/, 'ws')}/api/stream`;
+const MIN_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30000;
+// How often missed events are polled while the socket is down
+const POLL_MS = 10000;
+
+// Calls `onEvent(event)` for every stream event ({ id, topic, time, data })
+// and `onReset()` when the backend cannot replay what was missed, after
+// which the caller should reload everything over HTTP. Returns whether the
+// socket is currently connected.
+export function useEventStream(onEvent, onReset) {
+  const [connected, setConnected] = useState(false);
+  // Resume point: the last event id handled and the backend run it came from
+  const cursor = useRef({ since: undefined, bootId: undefined });
+  // Latest callbacks, so the socket effect does not restart on every render
+  const handlers = useRef({ onEvent, onReset });
+  handlers.current = { onEvent, onReset };
+
+  useEffect(() => {
+    let ws = null;
+    let closed = false;
+    let retryMs = MIN_RECONNECT_MS;
+    let retryTimer = null;
+    let pollTimer = null;
+
+    const handle = (event) => {
+      if (cursor.current.since !== undefined && event.id <= cursor.current.since) return;
+      cursor.current.since = event.id;
+      handlers.current.onEvent(event);
+    };
+
+    const reset = (bootId, lastId) => {
+      cursor.current = { since: lastId, bootId };
+      handlers.current.onReset?.();
+    };
+
+    // Fallback while disconnected: fetch what the socket would have sent
+    const poll = async () => {
+      const { since, bootId } = cursor.current;
+      if (since === undefined) return;
+      try {
+        const res = await apiFetch(`/api/events?since=${since}&bootId=${bootId}`);
+        if (!res.ok) throw new Error(`Events fetch failed ${res.status}`);
+        const body = await res.json();
+        if (body.reset) reset(body.bootId, body.lastId);
+        else body.events.forEach(handle);
+      } catch (err) {
+        console.warn('Event poll failed:', err.message);
+      }
+    };
+
+    const connect = () => {
+      ws = new WebSocket(STREAM_URL);
+      ws.onopen = () => {
+        ws.send(JSON.stringify({ type: 'subscribe', token: API_TOKEN, ...cursor.current }));
+      };
+      ws.onmessage = ({ data }) => {
+        let message;
+        try {
+          message = JSON.parse(data);
+        } catch {
+          return;
+        }
+        if (message.type === 'hello') {
+          retryMs = MIN_RECONNECT_MS;
+          setConnected(true);
+          clearInterval(pollTimer);
+          pollTimer = null;
+          // First connection: start from now, the caller loads the rest
+          if (cursor.current.since === undefined) {
+            cursor.current = { since: message.lastId, bootId: message.bootId };
+          }
+          cursor.current.bootId = message.bootId;
+        } else if (message.type === 'reset') {
+          reset(message.bootId, message.lastId);
+        } else if (message.type === 'event') {
+          handle(message);
+        } else if (message.type === 'error') {
+          console.warn('Event stream error:', message.error, message.details);
+        }
+      };
+      ws.onclose = (e) => {
+        setConnected(false);
+        if (closed) return;
+        if (e.code === 4401 || e.code === 4403) {
+          console.warn('Event stream refused the API token:', e.reason);
+        }
+        if (!pollTimer) pollTimer = setInterval(poll, POLL_MS);
+        retryTimer = setTimeout(connect, retryMs);
+        retryMs = Math.min(retryMs * 2, MAX_RECONNECT_MS);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearInterval(pollTimer);
+      ws?.close();
+    };
+  }, []);
+
+  return connected;
+}
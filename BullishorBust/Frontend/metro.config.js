@@ -0,0 +1,9 @@
+// Let Metro bundle the indicator library shared with the backend, which
+// lives outside this project in ../Shared.
+const path = require('path');
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+config.watchFolders = [path.resolve(__dirname, '../Shared')];
+
+module.exports = config;
@@ -0,0 +1,215 @@
+// indicators.js
+// Technical indicators shared by the Expo app and the backend. Every
+// indicator returns a full series aligned with its input: element i is the
+// value at bar i, or null while there is not enough history yet. Use
+// `last()` when only the most recent value (or the one before) matters.
+//
+// This is a dependency-free CommonJS module so Metro and Node can both load
+// it as-is.
+
+// Most recent value of a series, or `offset` bars before it. Null when the
+// series is too short.
+function last(series, offset = 0) {
+  if (!Array.isArray(series)) return null;
+  const value = series[series.length - 1 - offset];
+  return value === undefined ? null : value;
+}
+
+// Index of the first non-null entry, or -1
+function firstDefined(values) {
+  return values.findIndex((v) => v != null);
+}
+
+// Simple moving average
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Exponential moving average seeded with the SMA of the first `period`
+// values. Leading nulls are skipped so an EMA can be run over another
+// indicator's output (the MACD signal line does this).
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = firstDefined(values);
+  if (start < 0 || values.length - start < period) return out;
+  const k = 2 / (period + 1);
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+  for (let i = start + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Relative Strength Index with Wilder smoothing. The first value is the
+// plain average of the first `period` gains and losses; after that each
+// average is (previous * (period - 1) + current) / period, so the most
+// recent moves always carry weight.
+function rsi(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const delta = closes[i] - closes[i - 1];
+    if (delta > 0) avgGain += delta; else avgLoss -= delta;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  const value = () => {
+    if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain / avgLoss);
+  };
+  out[period] = value();
+  for (let i = period + 1; i < closes.length; i++) {
+    const delta = closes[i] - closes[i - 1];
+    const gain = delta > 0 ? delta : 0;
+    const loss = delta < 0 ? -delta : 0;
+    avgGain = (avgGain * (period - 1) + gain) / period;
+    avgLoss = (avgLoss * (period - 1) + loss) / period;
+    out[i] = value();
+  }
+  return out;
+}
+
+// MACD line (fast EMA - slow EMA), its signal line (EMA of the MACD line)
+// and the histogram (MACD - signal).
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) =>
+    fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null
+  );
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((m, i) =>
+    m != null && signal[i] != null ? m - signal[i] : null
+  );
+  return { macd: line, signal, histogram };
+}
+
+// Rolling mean and population standard deviation
+function rollingStats(values, period) {
+  const mean = sma(values, period);
+  const std = values.map((_, i) => {
+    if (mean[i] == null) return null;
+    let sumSq = 0;
+    for (let j = i - period + 1; j <= i; j++) sumSq += (values[j] - mean[i]) ** 2;
+    return Math.sqrt(sumSq / period);
+  });
+  return { mean, std };
+}
+
+// Distance of each close from its rolling mean, in standard deviations.
+// A flat window scores 0.
+function zScore(closes, period = 20) {
+  const { mean, std } = rollingStats(closes, period);
+  return closes.map((c, i) => {
+    if (mean[i] == null) return null;
+    return std[i] === 0 ? 0 : (c - mean[i]) / std[i];
+  });
+}
+
+// Bollinger Bands: SMA middle band with bands `multiplier` population
+// standard deviations above and below.
+function bollingerBands(closes, period = 20, multiplier = 2) {
+  const { mean, std } = rollingStats(closes, period);
+  return {
+    middle: mean,
+    upper: mean.map((m, i) => (m == null ? null : m + multiplier * std[i])),
+    lower: mean.map((m, i) => (m == null ? null : m - multiplier * std[i])),
+  };
+}
+
+// True range per bar. The first bar has no previous close, so it is null.
+function trueRange(bars) {
+  return bars.map((bar, i) => {
+    if (i === 0) return null;
+    const prevClose = bars[i - 1].close;
+    return Math.max(
+      bar.high - bar.low,
+      Math.abs(bar.high - prevClose),
+      Math.abs(bar.low - prevClose)
+    );
+  });
+}
+
+// Average True Range with Wilder smoothing over {high, low, close} bars
+function atr(bars, period = 14) {
+  const tr = trueRange(bars);
+  const out = new Array(bars.length).fill(null);
+  if (bars.length <= period) return out;
+  let prev = 0;
+  for (let i = 1; i <= period; i++) prev += tr[i];
+  prev /= period;
+  out[period] = prev;
+  for (let i = period + 1; i < bars.length; i++) {
+    prev = (prev * (period - 1) + tr[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Cumulative volume-weighted average of the typical price
+// (high + low + close) / 3 over {high, low, close, volume} bars.
+function vwap(bars) {
+  let pv = 0;
+  let volume = 0;
+  return bars.map((bar) => {
+    pv += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+    volume += bar.volume;
+    return volume > 0 ? pv / volume : null;
+  });
+}
+
+// Least-squares slope of the last `period` values at every bar
+function slope(values, period = 30) {
+  const out = new Array(values.length).fill(null);
+  const sumX = (period * (period - 1)) / 2;
+  const sumX2 = ((period - 1) * period * (2 * period - 1)) / 6;
+  const denom = period * sumX2 - sumX * sumX;
+  for (let i = period - 1; i < values.length; i++) {
+    let sumY = 0;
+    let sumXY = 0;
+    for (let x = 0; x < period; x++) {
+      const y = values[i - period + 1 + x];
+      sumY += y;
+      sumXY += x * y;
+    }
+    out[i] = (period * sumXY - sumX * sumY) / denom;
+  }
+  return out;
+}
+
+// Classify the current trend from the 30-bar regression slope. Slopes
+// above 0.02 are treated as up, below -0.02 as down.
+function getTrendSymbol(closes, period = 30) {
+  const s = last(slope(closes, period));
+  if (s == null) return { symbol: '🟰', slope: 0 };
+  const symbol = s > 0.02 ? '⬆️' : s < -0.02 ? '⬇️' : '🟰';
+  return { symbol, slope: s };
+}
+
+module.exports = {
+  last,
+  sma,
+  ema,
+  rsi,
+  macd,
+  zScore,
+  bollingerBands,
+  trueRange,
+  atr,
+  vwap,
+  slope,
+  getTrendSymbol,
+};
@@ -0,0 +1,316 @@
+// strategies.js
+// Pluggable trading strategies shared by the Expo app and the backend. A
+// strategy is a named set of rules plus default parameters:
+//
+//   name           - registry key, e.g. 'reversion'
+//   label          - display name, e.g. 'Reversion Mode'
+//   defaults       - the strategy's own parameters, overridable per symbol
+//   requiredData   - { interval, bars }: the bar size the rules were tuned
+//                    on and how many closes they need before they can fire
+//   appliesTo      - (features, params) => whether the market is in the
+//                    regime this strategy trades
+//   evaluateEntry  - (features, params) => entry, watch or none signal
+//   conditions     - (features, params) => [{ name, label, met, value }]:
+//                    the entry rules one by one, so a host can show why
+//                    entry is or is not ready (optional)
+//   evaluateExit   - (position, market, params) => exit or hold signal
+//                    (defaults to standardExit)
+//   sizing         - (features, params) => { allocation } share of the
+//                    portfolio for a new entry (defaults to standardSizing)
+//
+// Symbols enable an ordered list of { name, params } assignments. The first
+// strategy whose data requirement is met and whose regime applies decides
+// the symbol's signal, so the default [reversion, momentum] order keeps the
+// original "Reversion Mode below z -2, Momentum Mode otherwise" behaviour.
+//
+// Every evaluation returns a frozen signal object (see createSignal) rather
+// than flags on the token. Dependency-free CommonJS, like indicators.js.
+const { last, rsi, macd, zScore, getTrendSymbol } = require('./indicators');
+
+const SIGNAL_TYPES = ['entry', 'watch', 'none', 'exit', 'hold'];
+
+// Parameters every strategy accepts. The host adds the exit levels it owns
+// (takeProfitMultiplier, stopLossPercent, maxPositionAgeMs) as base params.
+const COMMON_DEFAULTS = {
+  // Share of the portfolio per entry, and the smaller share used when the
+  // trend slope is at least trendingSlope
+  allocation: 0.1,
+  trendingAllocation: 0.05,
+  trendingSlope: 0.05,
+  // A position older than maxPositionAgeMs, within staleBand of its entry
+  // and with RSI under staleRsi is closed
+  staleBand: 0.005,
+  staleRsi: 50,
+};
+
+const registry = new Map();
+
+// Build a signal. type is one of SIGNAL_TYPES; strategy is the registry
+// name that produced it (null when no strategy applied).
+function createSignal({ type, strategy = null, label = null, reasons = [], ...details }) {
+  if (!SIGNAL_TYPES.includes(type)) {
+    throw new Error(`Unknown signal type ${type}`);
+  }
+  return Object.freeze({ type, strategy, label, reasons, ...details });
+}
+
+// Indicator values the strategies read, from a series of closes
+function computeFeatures(closes) {
+  const trend = getTrendSymbol(closes);
+  const r = last(rsi(closes));
+  const macdRes = macd(closes);
+  const histogram = last(macdRes.histogram);
+  const histPrev = last(macdRes.histogram, 1);
+  return {
+    bars: closes.length,
+    rsi: r,
+    macd: last(macdRes.macd),
+    prevMacd: last(macdRes.macd, 1),
+    macdSignal: last(macdRes.signal),
+    histogram,
+    histSlope: histogram != null && histPrev != null ? histogram - histPrev : null,
+    zscore: last(zScore(closes)),
+    trend: trend.symbol,
+    slope: trend.slope,
+  };
+}
+
+// Whether the MACD inputs every built-in rule needs are present
+function hasMacd(f) {
+  return f.macd != null && f.macdSignal != null && f.histSlope != null && f.zscore != null;
+}
+
+// MACD rising towards its signal line without having crossed it yet
+function macdWatch(f) {
+  return hasMacd(f) && f.macd > f.prevMacd && f.macd <= f.macdSignal;
+}
+
+// Take-profit and stop levels for a position, and whether the live price
+// has cleared the target
+function exitLevels(basis, livePrice, params) {
+  const takeProfitPrice = basis * params.takeProfitMultiplier;
+  return {
+    sell: livePrice > takeProfitPrice,
+    takeProfitPrice,
+    stopPrice: basis * (1 - params.stopLossPercent),
+  };
+}
+
+// Exit rules of the built-in strategies: close stale positions outright,
+// otherwise hold with take-profit and stop levels (type 'exit' once the
+// price is past the target). position is { basis, entryTimestamp,
+// entryPrice }, market { price, rsi, now }.
+function standardExit(position, market, params) {
+  const now = market.now ?? Date.now();
+  const levels = exitLevels(position.basis, market.price, params);
+  const ageMs = position.entryTimestamp != null ? now - position.entryTimestamp : null;
+  const priceDiff =
+    market.price && position.entryPrice
+      ? (market.price - position.entryPrice) / position.entryPrice
+      : null;
+  const stale =
+    ageMs != null &&
+    ageMs > params.maxPositionAgeMs &&
+    priceDiff != null &&
+    Math.abs(priceDiff) < params.staleBand &&
+    market.rsi != null &&
+    market.rsi < params.staleRsi;
+  let reasons = [];
+  if (stale) reasons = ['stale_position'];
+  else if (levels.sell) reasons = ['take_profit'];
+  return {
+    type: reasons.length ? 'exit' : 'hold',
+    reasons,
+    ageMs,
+    priceDiff,
+    ...levels,
+  };
+}
+
+// Smaller entries while the market trends hard
+function standardSizing(features, params) {
+  const trending = features.slope >= params.trendingSlope;
+  return { allocation: trending ? params.trendingAllocation : params.allocation };
+}
+
+// Add a strategy to the registry. Re-registering a name replaces it.
+function registerStrategy(definition) {
+  const { name, evaluateEntry, requiredData } = definition;
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid strategy name ${name}`);
+  }
+  if (typeof evaluateEntry !== 'function') {
+    throw new Error(`Strategy ${name} needs an evaluateEntry function`);
+  }
+  if (!requiredData || !(requiredData.bars > 0)) {
+    throw new Error(`Strategy ${name} needs requiredData.bars`);
+  }
+  const strategy = {
+    label: name,
+    defaults: {},
+    appliesTo: () => true,
+    evaluateExit: standardExit,
+    sizing: standardSizing,
+    ...definition,
+  };
+  registry.set(name, strategy);
+  return strategy;
+}
+
+function getStrategy(name) {
+  return registry.get(name) || null;
+}
+
+function listStrategies() {
+  return [...registry.values()];
+}
+
+// Parameters a strategy runs with: host base, common defaults, the
+// strategy's defaults, then the per-symbol overrides
+function resolveParams(name, overrides = {}, base = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) throw new Error(`Unknown strategy ${name}`);
+  return { ...base, ...COMMON_DEFAULTS, ...strategy.defaults, ...overrides };
+}
+
+// Run one strategy's entry rules and stamp the result with its identity
+// and sizing hint
+function runEntry(strategy, features, params) {
+  const result = strategy.evaluateEntry(features, params);
+  return createSignal({
+    ...result,
+    strategy: strategy.name,
+    label: strategy.label,
+    sizing: strategy.sizing(features, params),
+    ...(strategy.conditions && { conditions: strategy.conditions(features, params) }),
+  });
+}
+
+// Entry signal for a symbol from its ordered strategy assignments
+function evaluateEntry(features, assignments = DEFAULT_ASSIGNMENTS, base = {}) {
+  for (const { name, params } of assignments) {
+    const strategy = getStrategy(name);
+    if (!strategy) continue;
+    const resolved = resolveParams(name, params, base);
+    if (features.bars < strategy.requiredData.bars) {
+      return createSignal({
+        type: 'none',
+        strategy: name,
+        label: strategy.label,
+        reasons: ['insufficient_data'],
+        sizing: strategy.sizing(features, resolved),
+      });
+    }
+    if (strategy.appliesTo(features, resolved)) {
+      return runEntry(strategy, features, resolved);
+    }
+  }
+  return createSignal({ type: 'none', reasons: ['no_strategy_applies'] });
+}
+
+// Exit signal for a position from the strategy that opened it, falling
+// back to the symbol's first enabled strategy
+function evaluateExit(name, position, market, overrides = {}, base = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) throw new Error(`Unknown strategy ${name}`);
+  const params = resolveParams(name, overrides, base);
+  return createSignal({
+    ...strategy.evaluateExit(position, market, params),
+    strategy: name,
+    label: strategy.label,
+  });
+}
+
+// MACD entry rules both built-in strategies share
+function macdConditions(f, p) {
+  return [
+    {
+      name: 'macd_above_signal',
+      label: 'MACD above signal',
+      met: hasMacd(f) && f.macd > f.macdSignal,
+      value: hasMacd(f) ? f.macd - f.macdSignal : null,
+    },
+    {
+      name: 'histogram_rising',
+      label: `Histogram slope above ${p.minHistSlope}`,
+      met: hasMacd(f) && f.histSlope > p.minHistSlope,
+      value: f.histSlope,
+    },
+  ];
+}
+
+// Mean reversion: MACD crosses up while price sits more than two standard
+// deviations under its 20-bar mean
+const reversionConditions = (f, p) => [
+  ...macdConditions(f, p),
+  {
+    name: 'oversold',
+    label: `Z-score below ${p.zEntry}`,
+    met: f.zscore != null && f.zscore < p.zEntry,
+    value: f.zscore,
+  },
+];
+
+registerStrategy({
+  name: 'reversion',
+  label: 'Reversion Mode',
+  defaults: { zEntry: -2.0, minHistSlope: 0 },
+  requiredData: { interval: '15m', bars: 20 },
+  appliesTo: (f, p) => f.zscore != null && f.zscore < p.zEntry,
+  conditions: reversionConditions,
+  evaluateEntry(f, p) {
+    if (reversionConditions(f, p).every((c) => c.met)) {
+      return { type: 'entry', reasons: ['macd_cross', 'oversold'] };
+    }
+    return macdWatch(f) ? { type: 'watch', reasons: ['macd_rising'] } : { type: 'none' };
+  },
+});
+
+// Momentum: MACD above its signal with an accelerating histogram while
+// price is moderately under its mean
+const momentumConditions = (f, p) => [
+  ...macdConditions(f, p),
+  {
+    name: 'z_in_band',
+    label: `Z-score between ${p.zMin} and ${p.zMax}`,
+    met: f.zscore != null && f.zscore > p.zMin && f.zscore < p.zMax,
+    value: f.zscore,
+  },
+];
+
+registerStrategy({
+  name: 'momentum',
+  label: 'Momentum Mode',
+  defaults: { minHistSlope: 0.0002, zMin: -2.5, zMax: 0 },
+  requiredData: { interval: '15m', bars: 20 },
+  conditions: momentumConditions,
+  evaluateEntry(f, p) {
+    if (momentumConditions(f, p).every((c) => c.met)) {
+      return { type: 'entry', reasons: ['macd_cross', 'histogram_rising'] };
+    }
+    return macdWatch(f) ? { type: 'watch', reasons: ['macd_rising'] } : { type: 'none' };
+  },
+});
+
+// Strategies a symbol runs when nothing else is configured
+const DEFAULT_ASSIGNMENTS = [
+  { name: 'reversion', params: {} },
+  { name: 'momentum', params: {} },
+];
+
+module.exports = {
+  SIGNAL_TYPES,
+  COMMON_DEFAULTS,
+  DEFAULT_ASSIGNMENTS,
+  createSignal,
+  computeFeatures,
+  exitLevels,
+  standardExit,
+  standardSizing,
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  resolveParams,
+  evaluateEntry,
+  evaluateExit,
+};